@@ -8,12 +8,22 @@
  - settings: custom settings for the scan. Properties:
  - skip_regions: (Optional) List of regions to skip
  - api_calls: (Optional) If provided, will only query these APIs.
+ - checkpoint: (Optional) A checkpoint (see helpers/checkpoint.js) that each
+   service:call:region result is saved to once complete. Results it already
+   holds are not collected again.
+ - cache: (Optional) A cache (see helpers/cache.js) that API calls are served
+   from while its responses are fresh.
+ - onResult: (Optional) Called with the service, call, region and result of
+   each service:call:region once complete, including those restored from the
+   checkpoint, e.g. to write the collection as it progresses.
  - Example:
  {
      "skip_regions": ["us-east-2", "eu-west-1"],
      "api_calls": ["EC2:describeInstances", "S3:listBuckets"]
  }
- - callback: Function to call when the collection is complete
+ - callback: Function to call when the collection is complete, with the
+   collection, the calls that were run, the error summaries, the retries and
+   the number of milliseconds each call took
  *********************/
 
 var AWS = require('aws-sdk');
@@ -41,6 +51,9 @@ var collect = function(AWSConfig, settings, callback) {
     // Used to track rate limiting retries
     let retries = [];
 
+    // Used to track how long each call takes, across its regions
+    let durations = {};
+
     // Used to gather info only
     if (settings.gather) {
         return callback(null, helpers.calls, helpers.postcalls);
@@ -51,6 +64,23 @@ var collect = function(AWSConfig, settings, callback) {
     var debugMode = settings.debug_mode;
     if (debugMode) AWSXRay = require('aws-xray-sdk');
 
+    // Results saved by a previous run that was interrupted
+    var checkpoint = settings.checkpoint;
+
+    var reportResult = function(service, call, region) {
+        if (settings.onResult) settings.onResult(service, call, region, collection[service][call][region]);
+    };
+
+    // Calls the API, unless a fresh response to the same call is cached
+    var callApi = function(executor, serviceName, callKey, region, params, callback) {
+        var call = function(callCb) {
+            if (params) return executor[callKey](params, callCb);
+            executor[callKey](callCb);
+        };
+        if (!settings.cache) return call(callback);
+        settings.cache.wrap(`${serviceName}:${callKey}`, [region, serviceName, callKey, params || {}], call, callback);
+    };
+
     AWSConfig.maxRetries = 8;
     AWSConfig.retryDelayOptions = {base: 100};
 
@@ -89,6 +119,7 @@ var collect = function(AWSConfig, settings, callback) {
                 if (settings.api_calls && settings.api_calls.indexOf(serviceName + ':' + callKey) === -1) return callCb();
 
                 runApiCalls.push(serviceName + ':' + callKey);
+                var callStart = Date.now();
 
                 if (!collection[serviceLower][callKey]) {
                     collection[serviceLower][callKey] = {};
@@ -122,6 +153,19 @@ var collect = function(AWSConfig, settings, callback) {
 
                     if (!collection[serviceLower][callKey][region]) collection[serviceLower][callKey][region] = {};
 
+                    // Results saved by a previous run are restored from the
+                    // checkpoint, and new ones are saved once complete
+                    if (checkpoint && checkpoint.has(serviceLower, callKey, region)) {
+                        collection[serviceLower][callKey][region] = checkpoint.get(serviceLower, callKey, region);
+                        reportResult(serviceLower, callKey, region);
+                        return regionCb();
+                    }
+                    var regionDone = function() {
+                        if (checkpoint) checkpoint.save(serviceLower, callKey, region, collection[serviceLower][callKey][region]);
+                        reportResult(serviceLower, callKey, region);
+                        regionCb();
+                    };
+
                     var LocalAWSConfig = JSON.parse(JSON.stringify(AWSConfig));
                     LocalAWSConfig.region = region;
 
@@ -129,10 +173,10 @@ var collect = function(AWSConfig, settings, callback) {
                         collectors[serviceLower][callKey](LocalAWSConfig, collection, retries, function() {
                             if (callObj.rateLimit) {
                                 setTimeout(function() {
-                                    regionCb();
+                                    regionDone();
                                 }, callObj.rateLimit);
                             } else {
-                                regionCb();
+                                regionDone();
                             }
                         });
                     } else {
@@ -144,9 +188,9 @@ var collect = function(AWSConfig, settings, callback) {
                                 helpers.logError(serviceLower, callKey, region, err, errors, apiCallErrors, apiCallTypeErrors, totalApiCallErrors, errorSummary, errorTypeSummary, debugMode);
                             }
 
-                            if (!data) return regionCb();
-                            if (callObj.property && !data[callObj.property]) return regionCb();
-                            if (callObj.secondProperty && !data[callObj.secondProperty]) return regionCb();
+                            if (!data) return regionDone();
+                            if (callObj.property && !data[callObj.property]) return regionDone();
+                            if (callObj.secondProperty && !data[callObj.secondProperty]) return regionDone();
 
                             var dataToAdd = callObj.secondProperty ? data[callObj.property][callObj.secondProperty] : data[callObj.property] ? data[callObj.property] : data;
 
@@ -164,7 +208,7 @@ var collect = function(AWSConfig, settings, callback) {
                                 return execute([paginateProp, data[nextToken]]);
                             }
 
-                            regionCb();
+                            regionDone();
                         };
 
                         function execute(nextTokens) { // eslint-disable-line no-inner-declarations
@@ -183,14 +227,14 @@ var collect = function(AWSConfig, settings, callback) {
                                         let retry_seconds = Math.round(retry_temp/retryLeveler + Math.random(0, retry_temp) * 5000);
 
                                         console.log(`Trying ${callKey} again in: ${retry_seconds/1000} seconds`);
-                                        retries.push({seconds: Math.round(retry_seconds/1000)});
+                                        retries.push({call: serviceName + ':' + callKey, seconds: Math.round(retry_seconds/1000)});
                                         return retry_seconds;
                                     },
                                     errorFilter: function(err) {
                                         return helpers.collectRateError(err, rateError);
                                     }
                                 }, function(cb) {
-                                    executor[callKey](localParams, function(err, data) {
+                                    callApi(executor, serviceName, callKey, region, localParams, function(err, data) {
                                         return cb(err, data);
                                     });
                                 }, function(err, data){
@@ -207,14 +251,14 @@ var collect = function(AWSConfig, settings, callback) {
                                         let retry_seconds = Math.round(retry_temp/retryLeveler + Math.random(0, retry_temp) * 5000);
 
                                         console.log(`Trying ${callKey} again in: ${retry_seconds/1000} seconds`);
-                                        retries.push({seconds: Math.round(retry_seconds/1000)});
+                                        retries.push({call: serviceName + ':' + callKey, seconds: Math.round(retry_seconds/1000)});
                                         return retry_seconds;
                                     },
                                     errorFilter: function(err) {
                                         return helpers.collectRateError(err, rateError);
                                     }
                                 }, function(cb) {
-                                    executor[callKey](function(err, data) {
+                                    callApi(executor, serviceName, callKey, region, null, function(err, data) {
                                         return cb(err, data);
                                     });
                                 }, function(err, data){
@@ -225,6 +269,7 @@ var collect = function(AWSConfig, settings, callback) {
                         execute();
                     }
                 }, function() {
+                    durations[serviceName + ':' + callKey] = Date.now() - callStart;
                     helpers.debugApiCalls(callKey, serviceName, debugMode);
                     callCb();
                 });
@@ -248,6 +293,7 @@ var collect = function(AWSConfig, settings, callback) {
                         if (settings.api_calls && settings.api_calls.indexOf(serviceName + ':' + callKey) === -1) return callCb();
 
                         runApiCalls.push(serviceName + ':' + callKey);
+                        var callStart = Date.now();
 
                         if (!collection[serviceLower][callKey]) {
                             collection[serviceLower][callKey] = {};
@@ -293,15 +339,29 @@ var collect = function(AWSConfig, settings, callback) {
                             }
                             if (callObj.signatureVersion) LocalAWSConfig.signatureVersion = callObj.signatureVersion;
 
+                            // Calls without a region are made and stored in
+                            // the default region
+                            var resultRegion = LocalAWSConfig.region;
+                            if (checkpoint && checkpoint.has(serviceLower, callKey, resultRegion)) {
+                                collection[serviceLower][callKey][resultRegion] = checkpoint.get(serviceLower, callKey, resultRegion);
+                                reportResult(serviceLower, callKey, resultRegion);
+                                return regionCb();
+                            }
+                            var regionDone = function() {
+                                if (checkpoint) checkpoint.save(serviceLower, callKey, resultRegion, collection[serviceLower][callKey][resultRegion]);
+                                reportResult(serviceLower, callKey, resultRegion);
+                                regionCb();
+                            };
+
                             if (callObj.override) {
                                 collectors[serviceLower][callKey](LocalAWSConfig, collection, retries, function() {
 
                                     if (callObj.rateLimit) {
                                         setTimeout(function() {
-                                            regionCb();
+                                            regionDone();
                                         }, callObj.rateLimit);
                                     } else {
-                                        regionCb();
+                                        regionDone();
                                     }
                                 });
                             } else {
@@ -309,6 +369,8 @@ var collect = function(AWSConfig, settings, callback) {
 
                                 if (!collection[callObj.reliesOnService][callObj.reliesOnCall][LocalAWSConfig.region] ||
                                     !collection[callObj.reliesOnService][callObj.reliesOnCall][LocalAWSConfig.region].data) {
+                                    // Not saved, so that it is collected once
+                                    // the call it relies on succeeds
                                     return regionCb();
                                 }
 
@@ -328,14 +390,14 @@ var collect = function(AWSConfig, settings, callback) {
                                             let retry_seconds = Math.round(retry_temp/retryLeveler + Math.random(0, retry_temp) * 5000);
 
                                             console.log(`Trying ${callKey} again in: ${retry_seconds/1000} seconds`);
-                                            retries.push({seconds: Math.round(retry_seconds/1000)});
+                                            retries.push({call: serviceName + ':' + callKey, seconds: Math.round(retry_seconds/1000)});
                                             return retry_seconds;
                                         },
                                         errorFilter: function(err) {
                                             return helpers.collectRateError(err, rateError);
                                         }
                                     }, function(cb) {
-                                        executor[callKey](filter, function(err, data) {
+                                        callApi(executor, serviceName, callKey, LocalAWSConfig.region, filter, function(err, data) {
                                             if (helpers.collectRateError(err, rateError)) {
                                                 return cb(err);
                                             } else if (err) {
@@ -358,10 +420,11 @@ var collect = function(AWSConfig, settings, callback) {
                                         }
                                     });
                                 }, function() {
-                                    regionCb();
+                                    regionDone();
                                 });
                             }
                         }, function() {
+                            durations[serviceName + ':' + callKey] = Date.now() - callStart;
                             helpers.debugApiCalls(callKey, serviceName, debugMode);
                             callCb();
                         });
@@ -411,11 +474,11 @@ var collect = function(AWSConfig, settings, callback) {
                             cb();
                         }
                     }, function() {
-                        callback(null, collection, runApiCalls, errorSummary, errorTypeSummary, errors, retries);
+                        callback(null, collection, runApiCalls, errorSummary, errorTypeSummary, errors, retries, durations);
                     });
 
                 } else {
-                    callback(null, collection, runApiCalls, errorSummary, errorTypeSummary, errors, retries);
+                    callback(null, collection, runApiCalls, errorSummary, errorTypeSummary, errors, retries, durations);
 
                 }
 
@@ -0,0 +1,118 @@
+/*********************
+ Organization - Lists the accounts of an AWS Organization and assumes a role
+ in each member account so that the collector can be run once per account.
+ The credentials passed in must belong to the organization's management
+ account (or a delegated administrator).
+
+ Arguments:
+ - AWSConfig: The credentials of the management account. Pass an empty
+   object to use the default credential chain.
+ - settings: custom settings for the scan. Properties:
+ - aws_role_name: (Optional) The role to assume in each member account.
+   Default: OrganizationAccountAccessRole
+ - aws_external_id: (Optional) The ExternalId to pass when assuming the role
+ - govcloud / china: (Optional) Selects the partition of the role ARN
+ *********************/
+
+var AWS = require('aws-sdk');
+var async = require('async');
+var helpers = require(__dirname + '/../../helpers/aws');
+
+var DEFAULT_ROLE_NAME = 'OrganizationAccountAccessRole';
+
+var clientConfig = function(AWSConfig, settings) {
+    var localConfig = JSON.parse(JSON.stringify(AWSConfig || {}));
+    localConfig.region = helpers.defaultRegion(settings);
+    return localConfig;
+};
+
+/**
+ * Lists the active accounts in the organization. The management account is
+ * returned first and is scanned with the original credentials.
+ * @param AWSConfig The credentials of the management account
+ * @param settings General purpose settings
+ * @param callback Called with an error or the list of {id, name, management}
+ */
+var listAccounts = function(AWSConfig, settings, callback) {
+    var sts = new AWS.STS(clientConfig(AWSConfig, settings));
+    var organizations = new AWS.Organizations(clientConfig(AWSConfig, settings));
+
+    sts.getCallerIdentity({}, function(err, identity) {
+        if (err || !identity || !identity.Account) return callback(`Unable to query the caller identity: ${err ? err.message || err : 'No data returned'}`);
+
+        var accounts = [];
+        var execute = function(nextToken) {
+            var params = nextToken ? {NextToken: nextToken} : {};
+            organizations.listAccounts(params, function(listErr, data) {
+                if (listErr || !data) return callback(`Unable to list the organization accounts: ${listErr ? listErr.message || listErr : 'No data returned'}`);
+
+                accounts = accounts.concat(data.Accounts || []);
+                if (data.NextToken) return execute(data.NextToken);
+
+                var active = accounts.filter(function(account) {
+                    return account.Status === 'ACTIVE';
+                });
+                var names = {};
+                active.forEach(function(account) {
+                    names[account.Id] = account.Name;
+                });
+
+                var memberIds = helpers.getOrganizationAccounts({data: active}, identity.Account);
+                callback(null, [{id: identity.Account, name: names[identity.Account], management: true}]
+                    .concat(memberIds.map(function(id) {
+                        return {id: id, name: names[id], management: false};
+                    })));
+            });
+        };
+
+        execute();
+    });
+};
+
+/**
+ * Assumes the configured role in a member account.
+ * @param AWSConfig The credentials of the management account
+ * @param accountId The member account ID
+ * @param settings General purpose settings
+ * @param callback Called with an error or the AWS config of the member account
+ */
+var assumeRole = function(AWSConfig, accountId, settings, callback) {
+    var sts = new AWS.STS(clientConfig(AWSConfig, settings));
+    var params = {
+        RoleArn: `arn:${helpers.defaultPartition(settings)}:iam::${accountId}:role/${settings.aws_role_name || DEFAULT_ROLE_NAME}`,
+        RoleSessionName: 'cloudsploit-scan'
+    };
+    if (settings.aws_external_id) params.ExternalId = settings.aws_external_id;
+
+    async.retry({times: 3, interval: 1000}, function(cb) {
+        sts.assumeRole(params, cb);
+    }, function(err, data) {
+        if (err || !data || !data.Credentials) return callback(`Unable to assume role ${params.RoleArn}: ${err ? err.message || err : 'No credentials returned'}`);
+
+        callback(null, {
+            accessKeyId: data.Credentials.AccessKeyId,
+            secretAccessKey: data.Credentials.SecretAccessKey,
+            sessionToken: data.Credentials.SessionToken,
+            region: helpers.defaultRegion(settings)
+        });
+    });
+};
+
+/**
+ * Resolves the AWS config used to collect an account. The management
+ * account keeps the original credentials, in a copy the collector can change.
+ * @param AWSConfig The credentials of the management account
+ * @param account An account returned by listAccounts
+ * @param settings General purpose settings
+ * @param callback Called with an error or the AWS config of the account
+ */
+var accountConfig = function(AWSConfig, account, settings, callback) {
+    if (account.management) return callback(null, Object.assign({}, AWSConfig));
+    assumeRole(AWSConfig, account.id, settings, callback);
+};
+
+module.exports = {
+    listAccounts: listAccounts,
+    assumeRole: assumeRole,
+    accountConfig: accountConfig
+};
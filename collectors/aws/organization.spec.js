@@ -0,0 +1,120 @@
+var AWS = require('aws-sdk');
+var expect = require('chai').expect;
+var organization = require('./organization');
+
+describe('organization', function() {
+    var STS = AWS.STS;
+    var Organizations = AWS.Organizations;
+
+    afterEach(function() {
+        AWS.STS = STS;
+        AWS.Organizations = Organizations;
+    });
+
+    var stubIdentity = function(assumeRole) {
+        AWS.STS = function() {
+            this.getCallerIdentity = function(params, cb) {
+                cb(null, {Account: '111111111111'});
+            };
+            this.assumeRole = assumeRole;
+        };
+    };
+
+    describe('listAccounts', function() {
+        it('should list the active accounts of every page, the management account first', function(done) {
+            var calls = [];
+            stubIdentity();
+            AWS.Organizations = function() {
+                this.listAccounts = function(params, cb) {
+                    calls.push(params);
+                    if (!params.NextToken) {
+                        return cb(null, {
+                            Accounts: [
+                                {Id: '222222222222', Name: 'Staging', Status: 'ACTIVE'},
+                                {Id: '111111111111', Name: 'Management', Status: 'ACTIVE'}
+                            ],
+                            NextToken: 'page-2'
+                        });
+                    }
+                    cb(null, {Accounts: [
+                        {Id: '333333333333', Name: 'Closed', Status: 'SUSPENDED'},
+                        {Id: '444444444444', Name: 'Production', Status: 'ACTIVE'}
+                    ]});
+                };
+            };
+
+            organization.listAccounts({}, {}, function(err, accounts) {
+                expect(err).to.equal(null);
+                expect(calls).to.deep.equal([{}, {NextToken: 'page-2'}]);
+                expect(accounts).to.deep.equal([
+                    {id: '111111111111', name: 'Management', management: true},
+                    {id: '222222222222', name: 'Staging', management: false},
+                    {id: '444444444444', name: 'Production', management: false}
+                ]);
+                done();
+            });
+        });
+
+        it('should return an error when the accounts cannot be listed', function(done) {
+            stubIdentity();
+            AWS.Organizations = function() {
+                this.listAccounts = function(params, cb) {
+                    cb({message: 'AWSOrganizationsNotInUseException'});
+                };
+            };
+
+            organization.listAccounts({}, {}, function(err) {
+                expect(err).to.equal('Unable to list the organization accounts: AWSOrganizationsNotInUseException');
+                done();
+            });
+        });
+    });
+
+    describe('accountConfig', function() {
+        it('should return a copy of the credentials for the management account', function(done) {
+            var config = {accessKeyId: 'key', secretAccessKey: 'secret'};
+            organization.accountConfig(config, {id: '111111111111', management: true}, {}, function(err, localConfig) {
+                expect(err).to.equal(null);
+                expect(localConfig).to.deep.equal(config);
+                expect(localConfig).to.not.equal(config);
+                done();
+            });
+        });
+
+        it('should assume the role in a member account', function(done) {
+            var params;
+            stubIdentity(function(assumeParams, cb) {
+                params = assumeParams;
+                cb(null, {Credentials: {AccessKeyId: 'member-key', SecretAccessKey: 'member-secret', SessionToken: 'token'}});
+            });
+
+            organization.accountConfig({}, {id: '222222222222'}, {aws_external_id: 'external'}, function(err, localConfig) {
+                expect(err).to.equal(null);
+                expect(params).to.deep.equal({
+                    RoleArn: 'arn:aws:iam::222222222222:role/OrganizationAccountAccessRole',
+                    RoleSessionName: 'cloudsploit-scan',
+                    ExternalId: 'external'
+                });
+                expect(localConfig).to.include({accessKeyId: 'member-key', secretAccessKey: 'member-secret', sessionToken: 'token'});
+                done();
+            });
+        });
+
+        it('should return an error when the role cannot be assumed', function(done) {
+            // The role is assumed three times, a second apart
+            this.timeout(5000);
+            var attempts = 0;
+            stubIdentity(function(params, cb) {
+                attempts++;
+                cb({message: 'AccessDenied'});
+            });
+
+            organization.accountConfig({}, {id: '222222222222'}, {aws_role_name: 'Scanner'}, function(err, localConfig) {
+                expect(err).to.equal('Unable to assume role arn:aws:iam::222222222222:role/Scanner: AccessDenied');
+                expect(localConfig).to.equal(undefined);
+                expect(attempts).to.equal(3);
+                done();
+            });
+        });
+    });
+});
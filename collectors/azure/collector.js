@@ -8,6 +8,8 @@
  - settings: custom settings for the scan. Properties:
  - skip_locations: (Optional) List of locations to skip
  - api_calls: (Optional) If provided, will only query these APIs.
+ - cache: (Optional) A cache (see helpers/cache.js) that API calls are served
+   from while its responses are fresh.
  - Example:
  {
  "skip_locations": ["eastus", "westus"],
@@ -30,6 +32,11 @@ var tertiarycalls = apiCalls.tertiarycalls;
 
 var specialcalls = apiCalls.specialcalls;
 
+// Copies a call, labelled as it is reported when served from the cache
+function withCacheLabel(obj, path) {
+    return Object.assign({}, obj, {cacheLabel: path.join(':')});
+}
+
 function parseCollection(path, obj) {
     if (typeof path == 'string') path = path.split('.');
     if (path.length) {
@@ -61,16 +68,25 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
 
         var collection = {};
 
+        // Calls the API, unless a fresh response to the same call is cached
+        let callApi = function(localUrl, obj, cb) {
+            let call = function(callCb) {
+                helpers.call({
+                    url: localUrl,
+                    post: obj.post,
+                    token: obj.graph ? loginData.graphToken : (obj.vault ? loginData.vaultToken : loginData.token),
+                    govcloud: AzureConfig.Govcloud
+                }, callCb);
+            };
+            if (!settings.cache) return call(cb);
+            settings.cache.wrap(obj.cacheLabel, [obj.post ? 'POST' : 'GET', localUrl], call, cb);
+        };
+
         let makeCall = function(localUrl, obj, cb, localData) {
             const makeApiCall = async(retryAttempt = 0) => {
                 try {
                     const response = await new Promise((resolve, reject) => {
-                        helpers.call({
-                            url: localUrl,
-                            post: obj.post,
-                            token: obj.graph ? loginData.graphToken : (obj.vault ? loginData.vaultToken : loginData.token),
-                            govcloud: AzureConfig.Govcloud
-                        }, (err, data, apiResponse) => {
+                        callApi(localUrl, obj, (err, data, apiResponse) => {
                             if (err) {
                                 reject({ error: err, response: apiResponse });
                             } else {
@@ -247,7 +263,7 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
                             settings.api_calls.indexOf([service, one].join(':')) === -1) return subCallCb();
 
                         if (!collection[service][one]) collection[service][one] = {};
-                        processTopCall(collection[service][one], service, subCallObj, subCallCb);
+                        processTopCall(collection[service][one], service, withCacheLabel(subCallObj, [service, one]), subCallCb);
                     }, function() {
                         if (settings.identifier && calls[service].sendIntegration && calls[service].sendIntegration.enabled) {
                             if (!calls[service].sendIntegration.integrationReliesOn) {
@@ -297,7 +313,8 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
                                         graph: subCallObj.graph,
                                         vault: subCallObj.vault,
                                         rateLimit: subCallObj.rateLimit,
-                                        limit: subCallObj.limit
+                                        limit: subCallObj.limit,
+                                        cacheLabel: subCallObj.cacheLabel
                                     };
                                     // Check and replace properties
                                     if (subCallObj.properties && subCallObj.properties.length) {
@@ -351,7 +368,7 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
                             settings.api_calls.indexOf([service, one].join(':')) === -1) return subCallCb();
 
                         if (!collection[service][one]) collection[service][one] = {};
-                        processTopCall(collection[service][one], service, subCallObj, subCallCb);
+                        processTopCall(collection[service][one], service, withCacheLabel(subCallObj, [service, one]), subCallCb);
                     }, function() {
                         if (settings.identifier && postcalls[service].sendIntegration && postcalls[service].sendIntegration.enabled) {
                             if (!postcalls[service].sendIntegration.integrationReliesOn) {
@@ -402,7 +419,8 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
                                         graph: subCallObj.graph,
                                         vault: subCallObj.vault,
                                         rateLimit: subCallObj.rateLimit,
-                                        limit: subCallObj.limit
+                                        limit: subCallObj.limit,
+                                        cacheLabel: subCallObj.cacheLabel
                                     };
                                     // Check and replace properties
                                     if (subCallObj.properties && subCallObj.properties.length) {
@@ -470,7 +488,7 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
 
                         if (!collection[service][one]) collection[service][one] = {};
                         if (subCallObj.url) {
-                            processTopCall(collection[service][one], service, subCallObj, subCallCb);
+                            processTopCall(collection[service][one], service, withCacheLabel(subCallObj, [service, one]), subCallCb);
                         } else {
                             // Go one level deeper
                             async.eachOf(subCallObj, function(innerCallObj, two, innerCb) {
@@ -479,7 +497,7 @@ let collect = function(AzureConfig, settings, callback, fargateFlag) {
                                     settings.api_calls.indexOf([service, one, two].join(':')) === -1) return subCallCb();
 
                                 if (!collection[service][one][two]) collection[service][one][two] = {};
-                                processTopCall(collection[service][one][two], service, innerCallObj, innerCb);
+                                processTopCall(collection[service][one][two], service, withCacheLabel(innerCallObj, [service, one, two]), innerCb);
                             }, function() {
                                 subCallCb();
                             });
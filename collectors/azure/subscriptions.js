@@ -0,0 +1,111 @@
+/*********************
+ Subscriptions - Lists the Azure subscriptions the service principal can
+ access so that the collector can be run once per subscription.
+
+ Arguments:
+ - AzureConfig: The service principal credentials. The configured
+   SubscriptionID is only used to log in.
+ - settings: custom settings for the scan. Properties:
+ - azure_management_group: (Optional) Only scan subscriptions under this
+   management group (including nested groups)
+ - azure_subscriptions: (Optional) Only scan these subscription IDs
+ - azure_skip_subscriptions: (Optional) Never scan these subscription IDs
+ *********************/
+
+var async = require('async');
+
+var SUBSCRIPTIONS_URL = 'https://management.azure.com/subscriptions?api-version=2020-01-01';
+var DESCENDANTS_URL = 'https://management.azure.com/providers/Microsoft.Management/managementGroups/{groupId}/descendants?api-version=2020-05-01';
+
+// Follows nextLink until every page of a list response is loaded
+var listAll = function(helpers, AzureConfig, token, url, callback) {
+    var values = [];
+    var nextUrl = url;
+
+    async.whilst(function() {
+        return !!nextUrl;
+    }, function(cb) {
+        helpers.call({
+            url: nextUrl,
+            token: token,
+            govcloud: AzureConfig.Govcloud
+        }, function(err, data) {
+            if (err) return cb(err);
+            if (data && data.value) values = values.concat(data.value);
+            nextUrl = data && data.nextLink;
+            cb();
+        });
+    }, function(err) {
+        callback(err, values);
+    });
+};
+
+var filterSubscriptions = function(subscriptions, settings) {
+    var include = settings.azure_subscriptions || [];
+    var exclude = settings.azure_skip_subscriptions || [];
+
+    return subscriptions.filter(function(subscription) {
+        if (include.length && include.indexOf(subscription.id) === -1) return false;
+        return exclude.indexOf(subscription.id) === -1;
+    });
+};
+
+/**
+ * Lists the enabled subscriptions to scan.
+ * @param AzureConfig The service principal credentials
+ * @param settings General purpose settings
+ * @param callback Called with an error or the list of {id, name}
+ */
+var listAccounts = function(AzureConfig, settings, callback) {
+    var helpers = require(__dirname + '/../../helpers/azure/auth.js');
+
+    helpers.login(AzureConfig, function(loginErr, loginData) {
+        if (loginErr) return callback(`Unable to log in to Azure: ${loginErr}`);
+
+        listAll(helpers, AzureConfig, loginData.token, SUBSCRIPTIONS_URL, function(err, subscriptions) {
+            if (err) return callback(`Unable to list subscriptions: ${err}`);
+
+            var enabled = subscriptions.filter(function(subscription) {
+                return subscription.state === 'Enabled';
+            }).map(function(subscription) {
+                return {id: subscription.subscriptionId, name: subscription.displayName};
+            });
+
+            if (!settings.azure_management_group) return callback(null, filterSubscriptions(enabled, settings));
+
+            var groupUrl = DESCENDANTS_URL.replace('{groupId}', encodeURIComponent(settings.azure_management_group));
+            listAll(helpers, AzureConfig, loginData.token, groupUrl, function(groupErr, descendants) {
+                if (groupErr) return callback(`Unable to list management group ${settings.azure_management_group}: ${groupErr}`);
+
+                var groupSubscriptions = descendants.filter(function(descendant) {
+                    return descendant.type === 'Microsoft.Management/managementGroups/subscriptions';
+                }).map(function(descendant) {
+                    return descendant.name;
+                });
+
+                callback(null, filterSubscriptions(enabled.filter(function(subscription) {
+                    return groupSubscriptions.indexOf(subscription.id) > -1;
+                }), settings));
+            });
+        });
+    });
+};
+
+/**
+ * Resolves the Azure config used to collect a subscription.
+ * @param AzureConfig The service principal credentials
+ * @param account A subscription returned by listAccounts
+ * @param settings General purpose settings
+ * @param callback Called with the Azure config of the subscription
+ */
+var accountConfig = function(AzureConfig, account, settings, callback) {
+    var localConfig = Object.assign({}, AzureConfig, {SubscriptionID: account.id});
+    delete localConfig.remediate;
+    callback(null, localConfig);
+};
+
+module.exports = {
+    listAccounts: listAccounts,
+    accountConfig: accountConfig,
+    filterSubscriptions: filterSubscriptions
+};
@@ -0,0 +1,39 @@
+var expect = require('chai').expect;
+var subscriptions = require('./subscriptions');
+
+var list = [
+    {id: 'sub-1', name: 'Production'},
+    {id: 'sub-2', name: 'Staging'},
+    {id: 'sub-3', name: 'Development'}
+];
+
+describe('subscriptions', function() {
+    describe('filterSubscriptions', function() {
+        it('should return every subscription when no filter is set', function() {
+            expect(subscriptions.filterSubscriptions(list, {})).to.have.length(3);
+        });
+
+        it('should only return the included subscriptions', function() {
+            var filtered = subscriptions.filterSubscriptions(list, {azure_subscriptions: ['sub-1', 'sub-3']});
+            expect(filtered.map(s => s.id)).to.deep.equal(['sub-1', 'sub-3']);
+        });
+
+        it('should skip the excluded subscriptions', function() {
+            var filtered = subscriptions.filterSubscriptions(list, {azure_skip_subscriptions: ['sub-2']});
+            expect(filtered.map(s => s.id)).to.deep.equal(['sub-1', 'sub-3']);
+        });
+    });
+
+    describe('accountConfig', function() {
+        it('should set the subscription and drop remediation credentials', function(done) {
+            var config = {ApplicationID: 'app', SubscriptionID: 'login-sub', remediate: {}};
+            subscriptions.accountConfig(config, {id: 'sub-2'}, {}, function(err, localConfig) {
+                expect(err).to.equal(null);
+                expect(localConfig.SubscriptionID).to.equal('sub-2');
+                expect(localConfig.remediate).to.equal(undefined);
+                expect(config.SubscriptionID).to.equal('login-sub');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/*********************
+ Projects - Lists the active projects of a Google Cloud organization or folder
+ through the Resource Manager API so that the collector can be run once per
+ project. Every project is scanned with the same service account.
+
+ Arguments:
+ - GoogleConfig: The service account credentials. The configured project is
+   not used to list the projects.
+ - settings: custom settings for the scan. Properties:
+ - gcp_org: (Optional) The organization ID whose projects should be scanned
+ - gcp_folder: (Optional) The folder ID whose projects should be scanned
+ Projects in nested folders are included.
+ *********************/
+
+var async = require('async');
+var helpers = require(__dirname + '/../../helpers/google');
+
+var BASE_URL = 'https://cloudresourcemanager.googleapis.com/v3/';
+
+// Accepts either a bare ID or a full resource name (organizations/123)
+var resourceName = function(type, id) {
+    id = String(id);
+    return id.indexOf('/') > -1 ? id : `${type}/${id}`;
+};
+
+// Follows nextPageToken until every page of a list response is loaded
+var listAll = function(client, resource, parent, callback) {
+    var values = [];
+    var pageToken;
+    var done = false;
+
+    async.whilst(function() {
+        return !done;
+    }, function(cb) {
+        var url = `${BASE_URL}${resource}?parent=${encodeURIComponent(parent)}`;
+        if (pageToken) url += `&pageToken=${encodeURIComponent(pageToken)}`;
+
+        client.request({url: url}, function(err, res) {
+            if (err) return cb(err.message || err);
+            var data = (res && res.data) || {};
+            values = values.concat(data[resource] || []);
+            pageToken = data.nextPageToken;
+            done = !pageToken;
+            cb();
+        });
+    }, function(err) {
+        callback(err, values);
+    });
+};
+
+// Lists the active projects under a parent, walking nested folders
+var listProjects = function(client, parent, callback) {
+    listAll(client, 'projects', parent, function(err, projects) {
+        if (err) return callback(`Unable to list projects of ${parent}: ${err}`);
+
+        listAll(client, 'folders', parent, function(folderErr, folders) {
+            if (folderErr) return callback(`Unable to list folders of ${parent}: ${folderErr}`);
+
+            var active = projects.filter(function(project) {
+                return project.state === 'ACTIVE';
+            });
+            var activeFolders = folders.filter(function(folder) {
+                return folder.state === 'ACTIVE';
+            });
+
+            async.mapLimit(activeFolders, 5, function(folder, folderCb) {
+                listProjects(client, folder.name, folderCb);
+            }, function(nestedErr, nested) {
+                if (nestedErr) return callback(nestedErr);
+                callback(null, active.concat.apply(active, nested));
+            });
+        });
+    });
+};
+
+/**
+ * Lists the active projects to scan.
+ * @param GoogleConfig The service account credentials
+ * @param settings General purpose settings
+ * @param callback Called with an error or the list of {id, name}
+ */
+var listAccounts = function(GoogleConfig, settings, callback) {
+    var parents = [];
+    if (settings.gcp_org) parents.push(resourceName('organizations', settings.gcp_org));
+    if (settings.gcp_folder) parents.push(resourceName('folders', settings.gcp_folder));
+
+    helpers.authenticate(GoogleConfig).then(function(client) {
+        async.mapSeries(parents, function(parent, parentCb) {
+            listProjects(client, parent, parentCb);
+        }, function(err, results) {
+            if (err) return callback(err);
+
+            // An organization and one of its folders may both be provided
+            var seen = {};
+            var accounts = [];
+            [].concat.apply([], results).forEach(function(project) {
+                if (seen[project.projectId]) return;
+                seen[project.projectId] = true;
+                accounts.push({id: project.projectId, name: project.displayName});
+            });
+
+            callback(null, accounts);
+        });
+    }, function(err) {
+        callback(`Unable to authenticate to Google Cloud: ${err.message || err}`);
+    });
+};
+
+/**
+ * Resolves the Google config used to collect a project.
+ * @param GoogleConfig The service account credentials
+ * @param account A project returned by listAccounts
+ * @param settings General purpose settings
+ * @param callback Called with the Google config of the project
+ */
+var accountConfig = function(GoogleConfig, account, settings, callback) {
+    var localConfig = Object.assign({}, GoogleConfig, {project: account.id});
+    delete localConfig.remediate;
+    callback(null, localConfig);
+};
+
+module.exports = {
+    listAccounts: listAccounts,
+    accountConfig: accountConfig
+};
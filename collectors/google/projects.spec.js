@@ -0,0 +1,71 @@
+var expect = require('chai').expect;
+var helpers = require('../../helpers/google');
+var projects = require('./projects');
+
+var responses = {
+    'projects?parent=organizations%2F1': {projects: [
+        {projectId: 'prod', displayName: 'Production', state: 'ACTIVE'},
+        {projectId: 'old', displayName: 'Old', state: 'DELETE_REQUESTED'}
+    ]},
+    'folders?parent=organizations%2F1': {folders: [{name: 'folders/2', state: 'ACTIVE'}]},
+    'projects?parent=folders%2F2': {projects: [{projectId: 'dev', displayName: 'Development', state: 'ACTIVE'}], nextPageToken: 'next'},
+    'projects?parent=folders%2F2&pageToken=next': {projects: [{projectId: 'test', displayName: 'Test', state: 'ACTIVE'}]},
+    'folders?parent=folders%2F2': {}
+};
+
+var fakeClient = {
+    request: function(options, callback) {
+        var path = options.url.replace('https://cloudresourcemanager.googleapis.com/v3/', '');
+        if (!responses[path]) return callback(new Error(`Unexpected request: ${path}`));
+        callback(null, {data: responses[path]});
+    }
+};
+
+describe('projects', function() {
+    var authenticate = helpers.authenticate;
+
+    before(function() {
+        helpers.authenticate = function() {
+            return Promise.resolve(fakeClient);
+        };
+    });
+
+    after(function() {
+        helpers.authenticate = authenticate;
+    });
+
+    describe('listAccounts', function() {
+        it('should list the active projects of nested folders', function(done) {
+            projects.listAccounts({}, {gcp_org: '1'}, function(err, accounts) {
+                expect(err).to.equal(null);
+                expect(accounts.map(a => a.id)).to.deep.equal(['prod', 'dev', 'test']);
+                done();
+            });
+        });
+
+        it('should not list a project twice when its folder is also provided', function(done) {
+            projects.listAccounts({}, {gcp_org: 'organizations/1', gcp_folder: '2'}, function(err, accounts) {
+                expect(err).to.equal(null);
+                expect(accounts).to.have.length(3);
+                done();
+            });
+        });
+
+        it('should return an error when a folder cannot be listed', function(done) {
+            projects.listAccounts({}, {gcp_folder: '3'}, function(err) {
+                expect(err).to.contain('Unable to list projects of folders/3');
+                done();
+            });
+        });
+    });
+
+    describe('accountConfig', function() {
+        it('should set the project to scan', function(done) {
+            projects.accountConfig({project: 'main', client_email: 'a@b.c'}, {id: 'dev'}, {}, function(err, config) {
+                expect(config.project).to.equal('dev');
+                expect(config.client_email).to.equal('a@b.c');
+                done();
+            });
+        });
+    });
+});
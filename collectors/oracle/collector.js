@@ -7,7 +7,10 @@
  - OracleConfig: Required Authentication parameters for Oracle's REST API.
  - settings: custom settings for the scan. Properties:
  - skip_regions: (Optional) List of regions to skip
+ - regions: (Optional) List of the only regions to query
  - api_calls: (Optional) If provided, will only query these APIs.
+ - oracle_all_compartments: (Optional) Also query subscribed regions missing
+   from the built-in region list
  - Example:
  {
      'skip_regions': [', '],
@@ -158,6 +161,30 @@ var getRegionSubscription = function(OracleConfig, collection, settings, calls,
     });
 };
 
+// Replaces the built-in list of all regions with the subscribed regions so
+// that newly launched regions are scanned as well, unless the region filters
+// exclude them
+var subscribedRegions = function(regions, collection, settings) {
+    var subscriptions = collection[regionSubscriptionService.name][regionSubscriptionService.call][regionSubscriptionService.region];
+    if (!subscriptions || !subscriptions.data || !subscriptions.data.length) return regions;
+
+    var subscribed = subscriptions.data.filter(function(subscription) {
+        return subscription.status === 'READY';
+    }).map(function(subscription) {
+        return subscription.regionName;
+    }).filter(function(region) {
+        if (settings.regions && settings.regions.length && settings.regions.indexOf(region) === -1) return false;
+        return !settings.skip_regions || settings.skip_regions.indexOf(region) === -1;
+    });
+    if (!subscribed.length) return regions;
+
+    var localRegions = {};
+    Object.keys(regions).forEach(function(service) {
+        localRegions[service] = regions[service] === regions.all ? subscribed : regions[service];
+    });
+    return localRegions;
+};
+
 // Loop through all of the top-level collectors for each service
 var collect = function(OracleConfig, settings, callback) {
     var collection = {};
@@ -174,6 +201,8 @@ var collect = function(OracleConfig, settings, callback) {
     let services = [];
 
     getRegionSubscription(OracleConfig, collection, settings, calls, regionSubscriptionService.name, regionSubscriptionService.call, regionSubscriptionService.region, function() {
+        if (settings.oracle_all_compartments) regions = subscribedRegions(regions, collection, settings);
+
         async.eachOfLimit(calls, 10, function(call, service, serviceCb) {
             if (!collection[service]) collection[service] = {};
 
@@ -0,0 +1,61 @@
+var expect = require('chai').expect;
+var helpers = require('../../helpers/oracle');
+var collector = require('./collector');
+
+describe('collector', function() {
+    var OracleExecutor = helpers.OracleExecutor;
+    var queried;
+
+    beforeEach(function() {
+        queried = [];
+        helpers.OracleExecutor = function(config) {
+            this.run = function(collection, service, callObj, callKey, callback) {
+                if (service == 'regionSubscription') {
+                    return callback(null, [
+                        {regionName: 'us-ashburn-1', status: 'READY'},
+                        {regionName: 'eu-frankfurt-1', status: 'READY'},
+                        {regionName: 'xx-newregion-1', status: 'READY'}
+                    ]);
+                }
+                queried.push(config.region);
+                callback(null, []);
+            };
+        };
+    });
+
+    afterEach(function() {
+        helpers.OracleExecutor = OracleExecutor;
+    });
+
+    var collect = function(settings, callback) {
+        var called = false;
+        collector({tenancyId: 'ocid1.tenancy'}, Object.assign({api_calls: ['vcn:list'], oracle_all_compartments: true}, settings), function() {
+            if (called) return;
+            called = true;
+            callback();
+        });
+    };
+
+    it('should query every subscribed region', function(done) {
+        collect({}, function() {
+            expect(queried.sort()).to.deep.equal(['eu-frankfurt-1', 'us-ashburn-1', 'xx-newregion-1']);
+            done();
+        });
+    });
+
+    it('should only query the subscribed regions allowed by the region filters', function(done) {
+        collect({regions: ['us-ashburn-1'], skip_regions: helpers.regions().all.filter(function(region) {
+            return region != 'us-ashburn-1';
+        })}, function() {
+            expect(queried).to.deep.equal(['us-ashburn-1']);
+            done();
+        });
+    });
+
+    it('should not query the subscribed regions that are skipped', function(done) {
+        collect({skip_regions: ['eu-frankfurt-1']}, function() {
+            expect(queried.sort()).to.deep.equal(['us-ashburn-1', 'xx-newregion-1']);
+            done();
+        });
+    });
+});
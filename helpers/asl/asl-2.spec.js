@@ -0,0 +1,235 @@
+var expect = require('chai').expect;
+var asl = require('./asl-2');
+var resourceMap = require('../aws/resources');
+
+var collection = function() {
+    return {
+        ec2: {
+            describeInstances: {
+                'us-east-1': {
+                    data: [{
+                        OwnerId: '123456654321',
+                        Instances: [
+                            {
+                                InstanceId: 'i-web',
+                                MetadataOptions: {HttpTokens: 'required'},
+                                SecurityGroups: [{GroupId: 'sg-public'}, {GroupId: 'sg-ssh'}]
+                            },
+                            {
+                                InstanceId: 'i-app',
+                                MetadataOptions: {HttpTokens: 'optional'},
+                                SecurityGroups: [{GroupId: 'sg-ssh'}]
+                            }
+                        ]
+                    }]
+                },
+                'us-west-2': {
+                    err: {message: 'Access denied'}
+                },
+                'eu-west-1': {
+                    data: []
+                }
+            },
+            describeSecurityGroups: {
+                'us-east-1': {
+                    data: [
+                        {GroupId: 'sg-public', IpPermissions: [{FromPort: 443, IpRanges: [{CidrIp: '0.0.0.0/0'}]}]},
+                        {GroupId: 'sg-ssh', IpPermissions: [{FromPort: 22, IpRanges: [{CidrIp: '10.0.0.0/8'}]}]}
+                    ]
+                }
+            }
+        },
+        sts: {
+            getCallerIdentity: {
+                'us-east-1': {
+                    data: '123456654321'
+                }
+            }
+        }
+    };
+};
+
+var instances = function(conditions) {
+    return {
+        version: 2,
+        service: 'ec2',
+        api: 'describeInstances',
+        path: 'Instances',
+        apis: ['EC2:describeInstances', 'EC2:describeSecurityGroups', 'STS:getCallerIdentity'],
+        conditions: conditions
+    };
+};
+
+// Runs the ASL, returning the results of us-east-1 keyed by resource
+var run = function(input, source) {
+    var results;
+    asl(source || collection(), input, resourceMap, 'aws', null, function(err, res) {
+        expect(err).to.be.null;
+        results = {};
+        res.filter(function(result) {
+            return result.region == 'us-east-1';
+        }).forEach(function(result) {
+            results[result.resource] = result;
+        });
+    });
+    return results;
+};
+
+var WEB = 'arn:aws:ec2:us-east-1:123456654321:instance/i-web';
+var APP = 'arn:aws:ec2:us-east-1:123456654321:instance/i-app';
+
+describe('asl-2', function () {
+    it('should check each resource nested in the items of the response', function () {
+        var results;
+        asl(collection(), instances({property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required'}), resourceMap, 'aws', null, function(err, res) {
+            results = res;
+        });
+
+        expect(results).to.deep.equal([
+            {status: 0, resource: WEB, message: 'MetadataOptions.HttpTokens: required matched: required', region: 'us-east-1'},
+            {status: 2, resource: APP, message: 'MetadataOptions.HttpTokens: optional did not match: required', region: 'us-east-1'},
+            {status: 3, message: 'Access denied', region: 'us-west-2'},
+            {status: 0, message: 'No resources found in this region', region: 'eu-west-1'}
+        ]);
+    });
+
+    it('should require all, any or none of the conditions of nested blocks', function () {
+        var results = run(instances({
+            all: [
+                {property: 'InstanceId', op: 'MATCHES', value: '^i-'},
+                {
+                    any: [
+                        {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required'},
+                        {none: [{property: 'SecurityGroups[*].GroupId', op: 'EQ', value: 'sg-ssh'}]}
+                    ]
+                }
+            ]
+        }));
+
+        expect(results[WEB].status).to.equal(0);
+        expect(results[APP].status).to.equal(2);
+        expect(results[APP].message).to.equal('MetadataOptions.HttpTokens: optional did not match: required and SecurityGroups[*].GroupId: sg-ssh matched: sg-ssh');
+    });
+
+    it('should negate nested blocks of none blocks', function () {
+        var results = run(instances({
+            none: [{
+                all: [
+                    {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'optional'},
+                    {property: 'SecurityGroups[*].GroupId', op: 'EQ', value: 'sg-ssh'}
+                ]
+            }]
+        }));
+
+        expect(results[WEB].status).to.equal(0);
+        expect(results[APP].status).to.equal(2);
+    });
+
+    it('should evaluate conditions against the related resources of a join', function () {
+        var results = run(instances({
+            join: {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId'},
+            none: [{property: 'IpPermissions[*].IpRanges[*].CidrIp', op: 'EQ', value: '0.0.0.0/0'}]
+        }));
+
+        expect(results[WEB].status).to.equal(2);
+        expect(results[WEB].message).to.equal('sg-public: IpPermissions[*].IpRanges[*].CidrIp: 0.0.0.0/0 matched: 0.0.0.0/0');
+        expect(results[APP].status).to.equal(0);
+        expect(results[APP].message).to.equal('sg-ssh: IpPermissions[*].IpRanges[*].CidrIp: 10.0.0.0/8 did not match: 0.0.0.0/0');
+    });
+
+    it('should pass a join matching any when one related resource passes', function () {
+        var results = run(instances({
+            join: {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId', match: 'any'},
+            all: [{property: 'IpPermissions[*].FromPort', op: 'EQ', value: 22}]
+        }));
+
+        expect(results[WEB].status).to.equal(0);
+        expect(results[WEB].message).to.equal('sg-ssh: IpPermissions[*].FromPort: 22 matched: 22');
+    });
+
+    it('should fail resources without related resources unless the join is optional', function () {
+        var source = collection();
+        source.ec2.describeSecurityGroups['us-east-1'].data = [];
+        var join = {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId'};
+
+        var results = run(instances({join: join, all: [{property: 'GroupId', op: 'EXISTS'}]}), source);
+        expect(results[APP].status).to.equal(2);
+        expect(results[APP].message).to.equal('SecurityGroups[*].GroupId: no related ec2:describeSecurityGroups resources found');
+
+        join.optional = true;
+        results = run(instances({join: join, all: [{property: 'GroupId', op: 'EXISTS'}]}), source);
+        expect(results[APP].status).to.equal(0);
+    });
+
+    it('should join the responses of APIs called once per resource', function () {
+        var results;
+        asl({
+            s3: {
+                listBuckets: {'us-east-1': {data: [{Name: 'logs'}, {Name: 'website'}]}},
+                getBucketVersioning: {'us-east-1': {
+                    logs: {data: {Status: 'Enabled'}},
+                    website: {err: {message: 'Access denied'}}
+                }}
+            }
+        }, {
+            version: 2,
+            service: 's3',
+            api: 'listBuckets',
+            apis: ['S3:listBuckets', 'S3:getBucketVersioning'],
+            conditions: {
+                join: {service: 's3', api: 'getBucketVersioning', on: 'Name'},
+                all: [{property: 'Status', op: 'EQ', value: 'Enabled'}]
+            }
+        }, resourceMap, 'aws', null, function(err, res) {
+            results = res;
+        });
+
+        expect(results[0]).to.deep.equal({status: 0, resource: 'arn:aws:s3:::logs', message: 'logs: Status: Enabled matched: Enabled', region: 'us-east-1'});
+        expect(results[1]).to.deep.equal({status: 3, resource: 'arn:aws:s3:::website', message: 'Unable to query s3:getBucketVersioning for website: Access denied', region: 'us-east-1'});
+    });
+
+    it('should replace the message of failing conditions and blocks with their custom message', function () {
+        var results = run(instances({
+            all: [
+                {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required', message: 'IMDSv2 is {actual} instead of {value}'},
+                {none: [{property: 'SecurityGroups[*].GroupId', op: 'EQ', value: 'sg-public', message: 'Instance uses the public security group'}]},
+                {any: [{property: 'IamInstanceProfile.Arn', op: 'EXISTS'}], message: 'Instance has no IAM role'}
+            ]
+        }));
+
+        expect(results[WEB].message).to.equal('Instance uses the public security group and Instance has no IAM role');
+        expect(results[APP].message).to.equal('IMDSv2 is optional instead of required and Instance has no IAM role');
+    });
+
+    it('should transform the values of properties', function () {
+        var results = run(instances({property: 'SecurityGroups', transform: 'COUNT', op: 'GT', value: 1}));
+
+        expect(results[WEB].status).to.equal(0);
+        expect(results[APP].status).to.equal(2);
+        expect(results[APP].message).to.equal('SecurityGroups: 1 was not greater than: 1');
+    });
+
+    it('should compare EQ and NE values the same way', function () {
+        var eq = run(instances({property: 'SecurityGroups', transform: 'COUNT', op: 'EQ', value: '2'}));
+        var ne = run(instances({property: 'SecurityGroups', transform: 'COUNT', op: 'NE', value: '2'}));
+
+        expect(eq[WEB].status).to.equal(0);
+        expect(ne[WEB].status).to.equal(2);
+        expect(eq[APP].status).to.equal(2);
+        expect(ne[APP].status).to.equal(0);
+    });
+
+    it('should fail conditions on properties that are not set', function () {
+        var results = run(instances({property: 'IamInstanceProfile.Arn', op: 'NE', value: ''}));
+
+        expect(results[WEB]).to.include({status: 2, message: 'IamInstanceProfile.Arn: not set to any value'});
+    });
+
+    it('should return an error when the collection does not hold the API', function () {
+        var input = instances({property: 'InstanceId', op: 'EXISTS'});
+        input.api = 'describeVolumes';
+        asl(collection(), input, resourceMap, 'aws', null, function(err) {
+            expect(err).to.equal('Source data did not contain API: ec2:describeVolumes');
+        });
+    });
+});
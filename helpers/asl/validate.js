@@ -0,0 +1,96 @@
+var Ajv = require('ajv');
+var schema = require('./asl-2.schema.json');
+
+// The operators that do not compare the property with a value
+var UNARY_OPS = ['EXISTS', 'ISTRUE', 'ISFALSE'];
+
+var checkSchema = new Ajv({allErrors: true}).compile(schema);
+
+// Formats the errors of the schema. The errors of the alternatives of a
+// failed oneOf and the if of a node are left out: only the branch taken
+// matters.
+var schemaErrors = function(errors) {
+    var oneOfPaths = errors.filter(function(error) {
+        return error.keyword == 'oneOf';
+    }).map(function(error) {
+        return `${error.schemaPath}/`;
+    });
+
+    var messages = [];
+    errors.forEach(function(error) {
+        if (error.keyword == 'if') return;
+        if (oneOfPaths.some(function(path) { return error.schemaPath.indexOf(path) === 0; })) return;
+
+        var message = `asl${error.dataPath} ${error.message}`;
+        if (error.keyword == 'oneOf') message = `asl${error.dataPath} should have exactly one of all, any or none`;
+        if (error.keyword == 'enum') message += `: ${error.params.allowedValues.join(', ')}`;
+        if (error.keyword == 'const') message += `: ${error.params.allowedValue}`;
+        if (error.keyword == 'additionalProperties') message += `: ${error.params.additionalProperty}`;
+        if (messages.indexOf(message) === -1) messages.push(message);
+    });
+    return messages;
+};
+
+// Calls fn with each node of the conditions and its path
+var eachNode = function(node, path, fn) {
+    fn(node, path);
+    ['all', 'any', 'none'].forEach(function(key) {
+        (node[key] || []).forEach(function(child, i) {
+            eachNode(child, `${path}.${key}[${i}]`, fn);
+        });
+    });
+};
+
+// Whether an API call is listed in the API calls of a plugin, e.g. ec2 and
+// describeInstances in EC2:describeInstances
+var listed = function(apis, service, api) {
+    return apis.some(function(call) {
+        var parts = call.split(':');
+        return parts[0].toLowerCase() == service.toLowerCase() && parts[parts.length - 1] == api;
+    });
+};
+
+/**
+ * Checks an ASL version 2 block against asl-2.schema.json, then checks
+ * what the schema cannot express: the values and regular expressions of the
+ * conditions and, when the API calls of the plugin are given, that the APIs
+ * read by the block are collected.
+ * @param {Object} asl The asl block of a plugin
+ * @param {string[]} apis The API calls of the plugin
+ * @return {string[]} The problems found, empty when the block is valid
+ */
+var validate = function(asl, apis) {
+    if (!checkSchema(asl)) return schemaErrors(checkSchema.errors);
+
+    var errors = [];
+    if (Array.isArray(apis) && !listed(apis, asl.service, asl.api)) {
+        errors.push(`asl reads ${asl.service}:${asl.api}, which is not in the apis of the plugin`);
+    }
+
+    eachNode(asl.conditions, 'asl.conditions', function(node, path) {
+        if (node.join) {
+            if (Array.isArray(apis) && !listed(apis, node.join.service, node.join.api)) {
+                errors.push(`${path}.join reads ${node.join.service}:${node.join.api}, which is not in the apis of the plugin`);
+            }
+            return;
+        }
+        if (node.all || node.any || node.none) return;
+
+        if (UNARY_OPS.indexOf(node.op) === -1 && !('value' in node)) {
+            errors.push(`${path} should have required property 'value' for op ${node.op}`);
+        }
+        if ((node.op == 'MATCHES' || node.op == 'NOTMATCHES') && 'value' in node) {
+            try {
+                new RegExp(node.value);
+            } catch (e) {
+                errors.push(`${path} has an invalid regular expression: ${e.message}`);
+            }
+        }
+    });
+    return errors;
+};
+
+module.exports = {
+    schema: schema,
+    validate: validate
+};
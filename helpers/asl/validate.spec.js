@@ -0,0 +1,78 @@
+var expect = require('chai').expect;
+var aslValidator = require('./validate');
+
+var APIS = ['EC2:describeInstances', 'EC2:describeSecurityGroups'];
+
+var instances = function(conditions) {
+    return {
+        version: 2,
+        service: 'ec2',
+        api: 'describeInstances',
+        path: 'Instances',
+        conditions: conditions
+    };
+};
+
+describe('validate', function () {
+    it('should accept nested blocks, joins and custom messages', function () {
+        expect(aslValidator.validate(instances({
+            all: [
+                {property: 'MetadataOptions.HttpTokens', op: 'EQ', value: 'required', message: 'Instance does not require IMDSv2'},
+                {any: [{property: 'IamInstanceProfile.Arn', op: 'EXISTS'}, {property: 'Tags[*].Key', op: 'MATCHES', value: '^exempt$'}]},
+                {
+                    join: {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId', match: 'all'},
+                    none: [{property: 'IpPermissions[*].IpRanges[*].CidrIp', op: 'EQ', value: '0.0.0.0/0'}],
+                    message: 'Instance is open to the internet'
+                }
+            ]
+        }), APIS)).to.deep.equal([]);
+    });
+
+    it('should accept a single condition', function () {
+        expect(aslValidator.validate(instances({property: 'InstanceId', op: 'EXISTS'}))).to.deep.equal([]);
+    });
+
+    it('should list the problems of the schema', function () {
+        expect(aslValidator.validate(instances({
+            all: [
+                {property: 'InstanceId', op: 'EQUALS', value: 'i-1'},
+                {any: []},
+                {all: [{property: 'InstanceId', op: 'EXISTS'}], none: [{property: 'InstanceId', op: 'EXISTS'}]},
+                {property: 'InstanceId', op: 'EXISTS', severity: 'high'}
+            ]
+        }))).to.deep.equal([
+            'asl.conditions.all[0].op should be equal to one of the allowed values: EQ, NE, GT, LT, CONTAINS, NOTCONTAINS, MATCHES, NOTMATCHES, EXISTS, ISTRUE, ISFALSE',
+            'asl.conditions.all[1].any should NOT have fewer than 1 items',
+            'asl.conditions.all[2] should have exactly one of all, any or none',
+            'asl.conditions.all[3] should NOT have additional properties: severity'
+        ]);
+    });
+
+    it('should reject another version and a missing API', function () {
+        expect(aslValidator.validate({version: 1, service: 'ec2', conditions: {property: 'InstanceId', op: 'EXISTS'}})).to.deep.equal([
+            'asl.version should be equal to constant: 2',
+            'asl should have required property \'api\''
+        ]);
+    });
+
+    it('should require values and valid regular expressions', function () {
+        expect(aslValidator.validate(instances({
+            any: [
+                {property: 'InstanceId', op: 'EQ'},
+                {property: 'InstanceId', op: 'MATCHES', value: '(i-'}
+            ]
+        }))).to.deep.equal([
+            'asl.conditions.any[0] should have required property \'value\' for op EQ',
+            'asl.conditions.any[1] has an invalid regular expression: Invalid regular expression: /(i-/: Unterminated group'
+        ]);
+    });
+
+    it('should require the APIs read to be in the apis of the plugin', function () {
+        expect(aslValidator.validate(instances({
+            join: {service: 'ec2', api: 'describeSecurityGroups', on: 'SecurityGroups[*].GroupId', to: 'GroupId'},
+            all: [{property: 'GroupId', op: 'EXISTS'}]
+        }), ['EC2:describeInstances'])).to.deep.equal([
+            'asl.conditions.join reads ec2:describeSecurityGroups, which is not in the apis of the plugin'
+        ]);
+    });
+});
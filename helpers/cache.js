@@ -0,0 +1,114 @@
+var AWS = require('aws-sdk');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var DEFAULT_TTL = 3600;
+
+/**
+ * Resolves the account scanned with a config, so that accounts scanned
+ * without an account ID are cached by account rather than by credentials:
+ * the caller account for AWS, the subscription for Azure and the project
+ * for Google.
+ * @param {string} cloud The cloud
+ * @param {Object} config The account config
+ * @param {Object} settings govcloud / china select the AWS partition
+ * @param {Function} callback Called with an error or the account
+ */
+var identity = function(cloud, config, settings, callback) {
+    config = config || {};
+    if (cloud === 'aws') {
+        var stsConfig = JSON.parse(JSON.stringify(config));
+        stsConfig.region = settings.govcloud ? 'us-gov-west-1' : settings.china ? 'cn-north-1' : 'us-east-1';
+        return new AWS.STS(stsConfig).getCallerIdentity({}, function(err, data) {
+            if (err || !data || !data.Account) return callback(`Unable to query the caller identity: ${err ? err.message || err : 'No data returned'}`);
+            callback(null, data.Account);
+        });
+    }
+
+    var id = cloud === 'azure' ? config.SubscriptionID : cloud === 'google' ? config.project : null;
+    if (!id) return setImmediate(callback, `The config of ${cloud} does not name its account`);
+    setImmediate(callback, null, String(id));
+};
+
+/**
+ * Creates a cache saving the successful responses of API calls to a
+ * directory, one file per call. A call is identified by a key holding
+ * everything it depends on, such as its region, parameters or URL.
+ * @param {string} dir The cache directory, created if it does not exist
+ * @param {Object} options (Optional) Properties:
+ * - ttl: The number of seconds a response is served for. Default: 3600
+ * - refresh: Whether to ignore the saved responses and save new ones
+ * - log: Logs the warnings of the cache. Default: console.log
+ * @return {Object} The cache
+ */
+var create = function(dir, options) {
+    options = options || {};
+    var ttl = (options.ttl || DEFAULT_TTL) * 1000;
+    var log = options.log || console.log;
+
+    // Responses may hold secrets, such as storage account keys, so the cache
+    // is only readable by the current user
+    fs.mkdirSync(dir, {recursive: true, mode: 0o700});
+
+    var fileName = function(key) {
+        var hash = crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+        return path.join(dir, `${hash}.json`);
+    };
+
+    var read = function(key) {
+        if (options.refresh) return;
+        try {
+            var entry = JSON.parse(fs.readFileSync(fileName(key), 'utf8'));
+            if (Date.now() - entry.time <= ttl) return entry;
+        } catch (e) {
+            return;
+        }
+    };
+
+    var write = function(label, key, data) {
+        var file = fileName(key);
+        try {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({time: Date.now(), label: label, key: key, data: data}), {mode: 0o600});
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (e) {
+            log(`WARN: Unable to save ${label} to the cache: ${e.message}`);
+        }
+    };
+
+    var cache = {
+        /**
+         * The number of calls served from the cache, by call label.
+         */
+        hits: {},
+
+        /**
+         * Serves a call from the cache when a fresh response is saved, or
+         * makes it and saves its response unless it failed.
+         * @param {string} label The call, as reported, e.g. S3:listBuckets
+         * @param {Array} key The values identifying the call
+         * @param {Function} call Makes the call, taking a callback(err, data)
+         * @param {Function} callback Called with the error and data
+         */
+        wrap: function(label, key, call, callback) {
+            var entry = read(key);
+            if (entry) {
+                cache.hits[label] = (cache.hits[label] || 0) + 1;
+                return setImmediate(callback, null, entry.data);
+            }
+
+            call(function(err, data) {
+                if (!err && data !== undefined) write(label, key, data);
+                callback.apply(null, arguments);
+            });
+        }
+    };
+
+    return cache;
+};
+
+module.exports = {
+    DEFAULT_TTL: DEFAULT_TTL,
+    identity: identity,
+    create: create
+};
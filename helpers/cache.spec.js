@@ -0,0 +1,165 @@
+var AWS = require('aws-sdk');
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var apiCache = require('./cache');
+
+describe('cache', function() {
+    var dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-cache-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    var countingCall = function(calls, err, data) {
+        return function(cb) {
+            calls.push(1);
+            cb(err, data);
+        };
+    };
+
+    describe('identity', function() {
+        var STS = AWS.STS;
+
+        afterEach(function() {
+            AWS.STS = STS;
+        });
+
+        it('should resolve the caller account of AWS credentials in their partition', function(done) {
+            var configs = [];
+            AWS.STS = function(config) {
+                configs.push(config);
+                this.getCallerIdentity = function(params, cb) {
+                    cb(null, {Account: '123456654321', Arn: 'arn:aws-us-gov:iam::123456654321:user/scanner'});
+                };
+            };
+
+            apiCache.identity('aws', {}, {govcloud: true}, function(err, id) {
+                expect(err).to.be.null;
+                expect(id).to.equal('123456654321');
+                expect(configs).to.deep.equal([{region: 'us-gov-west-1'}]);
+                done();
+            });
+        });
+
+        it('should return an error when the caller identity cannot be queried', function(done) {
+            AWS.STS = function() {
+                this.getCallerIdentity = function(params, cb) {
+                    cb({message: 'Missing credentials in config'});
+                };
+            };
+
+            apiCache.identity('aws', {}, {}, function(err) {
+                expect(err).to.equal('Unable to query the caller identity: Missing credentials in config');
+                done();
+            });
+        });
+
+        it('should use the subscription of Azure and the project of Google', function(done) {
+            apiCache.identity('azure', {ApplicationID: 'app', SubscriptionID: 'sub-1'}, {}, function(err, azureId) {
+                expect(azureId).to.equal('sub-1');
+                apiCache.identity('google', {project: 'my-project', private_key: 'key'}, {}, function(err, googleId) {
+                    expect(googleId).to.equal('my-project');
+                    apiCache.identity('google', {}, {}, function(err) {
+                        expect(err).to.equal('The config of google does not name its account');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('create', function() {
+        it('should serve a call from the cache once saved', function(done) {
+            var calls = [];
+            var cache = apiCache.create(dir);
+            cache.wrap('S3:listBuckets', ['us-east-1', 'S3', 'listBuckets', {}], countingCall(calls, null, {Buckets: []}), function(err, data) {
+                expect(data).to.deep.equal({Buckets: []});
+
+                var next = apiCache.create(dir);
+                next.wrap('S3:listBuckets', ['us-east-1', 'S3', 'listBuckets', {}], countingCall(calls, null, {Buckets: [{Name: 'new'}]}), function(err, data) {
+                    expect(calls).to.have.length(1);
+                    expect(data).to.deep.equal({Buckets: []});
+                    expect(next.hits).to.deep.equal({'S3:listBuckets': 1});
+                    done();
+                });
+            });
+        });
+
+        it('should key calls by their dependency', function(done) {
+            var calls = [];
+            var cache = apiCache.create(dir);
+            cache.wrap('S3:getBucketPolicy', ['us-east-1', 'S3', 'getBucketPolicy', {Bucket: 'one'}], countingCall(calls, null, {Policy: '{}'}), function() {
+                cache.wrap('S3:getBucketPolicy', ['us-east-1', 'S3', 'getBucketPolicy', {Bucket: 'two'}], countingCall(calls, null, {Policy: '{}'}), function() {
+                    expect(calls).to.have.length(2);
+                    expect(cache.hits).to.deep.equal({});
+                    done();
+                });
+            });
+        });
+
+        it('should not save failed calls', function(done) {
+            var calls = [];
+            var cache = apiCache.create(dir);
+            cache.wrap('EC2:describeInstances', ['us-east-1'], countingCall(calls, {code: 'Throttling'}), function(err) {
+                expect(err).to.deep.equal({code: 'Throttling'});
+                cache.wrap('EC2:describeInstances', ['us-east-1'], countingCall(calls, null, {Reservations: []}), function() {
+                    expect(calls).to.have.length(2);
+                    done();
+                });
+            });
+        });
+
+        it('should not serve expired responses', function(done) {
+            var calls = [];
+            apiCache.create(dir).wrap('IAM:listUsers', ['us-east-1'], countingCall(calls, null, {Users: []}), function() {
+                var file = path.join(dir, fs.readdirSync(dir)[0]);
+                var entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+                entry.time -= 120 * 1000;
+                fs.writeFileSync(file, JSON.stringify(entry));
+
+                apiCache.create(dir, {ttl: 60}).wrap('IAM:listUsers', ['us-east-1'], countingCall(calls, null, {Users: []}), function() {
+                    expect(calls).to.have.length(2);
+                    done();
+                });
+            });
+        });
+
+        it('should log the responses it cannot save', function(done) {
+            var logged = [];
+            var cache = apiCache.create(dir, {log: function(message) { logged.push(message); }});
+            fs.rmdirSync(dir);
+            cache.wrap('S3:listBuckets', ['us-east-1'], countingCall([], null, {Buckets: []}), function(err, data) {
+                fs.mkdirSync(dir);
+                expect(data).to.deep.equal({Buckets: []});
+                expect(logged).to.have.length(1);
+                expect(logged[0]).to.match(/^WARN: Unable to save S3:listBuckets to the cache: ENOENT/);
+                done();
+            });
+        });
+
+        it('should make the calls again when refreshing', function(done) {
+            var calls = [];
+            apiCache.create(dir).wrap('IAM:listRoles', ['us-east-1'], countingCall(calls, null, {Roles: []}), function() {
+                var cache = apiCache.create(dir, {refresh: true});
+                cache.wrap('IAM:listRoles', ['us-east-1'], countingCall(calls, null, {Roles: [{RoleName: 'new'}]}), function() {
+                    expect(calls).to.have.length(2);
+
+                    apiCache.create(dir).wrap('IAM:listRoles', ['us-east-1'], countingCall(calls, null, {}), function(err, data) {
+                        expect(calls).to.have.length(2);
+                        expect(data).to.deep.equal({Roles: [{RoleName: 'new'}]});
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,168 @@
+// Errors telling that the credentials are missing a permission, or that the
+// call was throttled, across the error codes and messages of each cloud
+var PERMISSION_DENIED = /AccessDenied|Unauthorized|AuthorizationError|AuthorizationFailed|Forbidden|PERMISSION_DENIED|not authorized|does not have permission/i;
+var THROTTLED = /Throttl|TooManyRequests|RequestLimitExceeded|Rate exceeded|SlowDown|RESOURCE_EXHAUSTED|rate limit/i;
+
+// The code of an error, or its message if it has none
+var errorCode = function(err) {
+    if (err && typeof err === 'object') return String(err.code || err.name || err.message || 'Unknown');
+    return String(err).substr(0, 100);
+};
+
+/**
+ * Classifies an API call error as permission_denied, throttled or other.
+ * @param {Object|string} err The error, as saved in the collection
+ * @return {string} The error type
+ */
+var classify = function(err) {
+    var statusCode = err && typeof err === 'object' ? err.statusCode : null;
+    var text = err && typeof err === 'object' ? `${err.code || ''} ${err.message || ''}` : String(err);
+
+    if (statusCode == 403 || PERMISSION_DENIED.test(text)) return 'permission_denied';
+    if (statusCode == 429 || THROTTLED.test(text)) return 'throttled';
+    return 'other';
+};
+
+// Finds the results of a call in a collection. The AWS collector stores its
+// services in lower case.
+var findCall = function(collection, call) {
+    var node = collection;
+    var found = call.split(':').every(function(key, index) {
+        if (!node || typeof node !== 'object') return false;
+        if (index === 0 && !node[key]) key = key.toLowerCase();
+        node = node[key];
+        return !!node;
+    });
+    return found ? node : null;
+};
+
+var isResult = function(obj) {
+    return !!obj && typeof obj === 'object' && (obj.data !== undefined || obj.err !== undefined);
+};
+
+var countResources = function(data) {
+    if (Array.isArray(data)) return data.length;
+    return data ? 1 : 0;
+};
+
+/**
+ * Builds a report of the API calls of a collection: for each call, the
+ * regions and resources it covered, its duration, its retries and its errors
+ * by type.
+ * @param {Object} collection The collection
+ * @param {string[]} calls The calls that were run, e.g. S3:listBuckets
+ * @param {Object} stats (Optional) Properties, as returned by the collector:
+ * - durations: The number of milliseconds each call took, by call
+ * - retries: The retries, with the call they were made for
+ * @return {Object[]} The report of each call
+ */
+var build = function(collection, calls, stats) {
+    stats = stats || {};
+
+    return (calls || []).map(function(call) {
+        var entry = {
+            call: call,
+            regions: 0,
+            resources: 0,
+            duration: stats.durations && stats.durations[call] !== undefined ? stats.durations[call] : null,
+            retries: (stats.retries || []).filter(function(retry) {
+                return retry.call === call;
+            }).length,
+            errors: {permission_denied: 0, throttled: 0, other: 0},
+            error_codes: {}
+        };
+
+        var addError = function(err) {
+            entry.errors[classify(err)]++;
+            var code = errorCode(err);
+            entry.error_codes[code] = (entry.error_codes[code] || 0) + 1;
+        };
+
+        var regions = findCall(collection || {}, call) || {};
+        Object.keys(regions).forEach(function(region) {
+            var result = regions[region];
+            if (!result || typeof result !== 'object') return;
+
+            if (isResult(result)) {
+                // A call made once per region
+                entry.regions++;
+                entry.resources += countResources(result.data);
+                if (result.err) addError(result.err);
+            } else {
+                // A call made once per resource found by the call it relies on
+                var resources = Object.keys(result).filter(function(resource) {
+                    return isResult(result[resource]);
+                });
+                if (!resources.length) return;
+                entry.regions++;
+                entry.resources += resources.length;
+                resources.forEach(function(resource) {
+                    if (result[resource].err) addError(result[resource].err);
+                });
+            }
+        });
+
+        return entry;
+    });
+};
+
+/**
+ * Returns the calls of a report that were denied a permission at least once.
+ * @param {Object[]} report The report, as built by build()
+ * @return {string[]} The calls
+ */
+var permissionDenied = function(report) {
+    return report.filter(function(entry) {
+        return entry.errors.permission_denied > 0;
+    }).map(function(entry) {
+        return entry.call;
+    });
+};
+
+/**
+ * Lists the errors of every API call of a collection.
+ * @param {Object} collection The collection
+ * @return {Object[]} The errors: the call as keyed in the collection, its
+ * region, the resource it was made for (or null when made once per region),
+ * the error type (see classify), code and message
+ */
+var errors = function(collection) {
+    var found = [];
+    var addError = function(call, region, resource, err) {
+        found.push({
+            call: call,
+            region: region,
+            resource: resource,
+            type: classify(err),
+            code: errorCode(err),
+            message: err && typeof err === 'object' ? String(err.message || errorCode(err)) : String(err)
+        });
+    };
+
+    Object.keys(collection || {}).forEach(function(service) {
+        Object.keys(collection[service] || {}).forEach(function(callKey) {
+            var call = `${service}:${callKey}`;
+            var regions = collection[service][callKey] || {};
+            Object.keys(regions).forEach(function(region) {
+                var result = regions[region];
+                if (!result || typeof result !== 'object') return;
+
+                if (isResult(result)) {
+                    if (result.err) addError(call, region, null, result.err);
+                } else {
+                    Object.keys(result).forEach(function(resource) {
+                        if (isResult(result[resource]) && result[resource].err) addError(call, region, resource, result[resource].err);
+                    });
+                }
+            });
+        });
+    });
+    return found;
+};
+
+module.exports = {
+    classify: classify,
+    build: build,
+    permissionDenied: permissionDenied,
+    errors: errors
+};
@@ -0,0 +1,86 @@
+var expect = require('chai').expect;
+var callReport = require('./callreport');
+
+describe('callreport', function() {
+    describe('classify', function() {
+        it('should classify permission denied errors', function() {
+            expect(callReport.classify({code: 'AccessDeniedException', statusCode: 400})).to.equal('permission_denied');
+            expect(callReport.classify({code: 'UnauthorizedOperation'})).to.equal('permission_denied');
+            expect(callReport.classify({code: 'Unknown', statusCode: 403})).to.equal('permission_denied');
+            expect(callReport.classify('AuthorizationFailed: The client does not have authorization')).to.equal('permission_denied');
+        });
+
+        it('should classify throttling errors', function() {
+            expect(callReport.classify({code: 'ThrottlingException', message: 'Rate exceeded'})).to.equal('throttled');
+            expect(callReport.classify({code: 'Unknown', statusCode: 429})).to.equal('throttled');
+        });
+
+        it('should classify other errors', function() {
+            expect(callReport.classify({code: 'NoSuchBucketPolicy', statusCode: 404})).to.equal('other');
+        });
+    });
+
+    describe('build', function() {
+        var collection = {
+            s3: {
+                listBuckets: {
+                    'us-east-1': {data: [{Name: 'one'}, {Name: 'two'}]}
+                },
+                getBucketPolicy: {
+                    'us-east-1': {
+                        one: {data: {Policy: '{}'}},
+                        two: {err: {code: 'NoSuchBucketPolicy', statusCode: 404}}
+                    }
+                }
+            },
+            iam: {
+                getAccountSummary: {
+                    'us-east-1': {err: {code: 'AccessDenied', statusCode: 403}}
+                }
+            },
+            ec2: {
+                describeInstances: {
+                    'us-east-1': {data: []},
+                    'eu-west-1': {err: {code: 'Throttling'}},
+                    'ap-south-1': {}
+                }
+            }
+        };
+
+        var report = callReport.build(collection,
+            ['S3:listBuckets', 'S3:getBucketPolicy', 'IAM:getAccountSummary', 'EC2:describeInstances', 'KMS:listKeys'],
+            {durations: {'S3:listBuckets': 120}, retries: [{call: 'EC2:describeInstances', seconds: 1}, {call: 'EC2:describeInstances', seconds: 2}]});
+
+        var entry = function(call) {
+            return report.find(function(e) { return e.call === call; });
+        };
+
+        it('should count the regions and resources of each call', function() {
+            expect(entry('S3:listBuckets')).to.include({regions: 1, resources: 2, duration: 120});
+            expect(entry('S3:getBucketPolicy')).to.include({regions: 1, resources: 2, duration: null});
+            expect(entry('EC2:describeInstances')).to.include({regions: 2, resources: 0, retries: 2});
+        });
+
+        it('should break down the errors of each call', function() {
+            expect(entry('S3:getBucketPolicy').errors).to.deep.equal({permission_denied: 0, throttled: 0, other: 1});
+            expect(entry('S3:getBucketPolicy').error_codes).to.deep.equal({NoSuchBucketPolicy: 1});
+            expect(entry('EC2:describeInstances').errors).to.deep.equal({permission_denied: 0, throttled: 1, other: 0});
+        });
+
+        it('should report calls without results', function() {
+            expect(entry('KMS:listKeys')).to.include({regions: 0, resources: 0});
+        });
+
+        it('should list the calls denied a permission', function() {
+            expect(callReport.permissionDenied(report)).to.deep.equal(['IAM:getAccountSummary']);
+        });
+
+        it('should list the errors of a collection', function() {
+            expect(callReport.errors(collection)).to.deep.equal([
+                {call: 's3:getBucketPolicy', region: 'us-east-1', resource: 'two', type: 'other', code: 'NoSuchBucketPolicy', message: 'NoSuchBucketPolicy'},
+                {call: 'iam:getAccountSummary', region: 'us-east-1', resource: null, type: 'permission_denied', code: 'AccessDenied', message: 'AccessDenied'},
+                {call: 'ec2:describeInstances', region: 'eu-west-1', resource: null, type: 'throttled', code: 'Throttling', message: 'Throttling'}
+            ]);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+var fs = require('fs');
+var path = require('path');
+
+// Errors that may not happen again when resuming, e.g. because the
+// credentials expired, the network failed or the call was throttled. Results
+// with other errors, such as a bucket without a policy, are complete.
+var TRANSIENT_ERRORS = ['ExpiredToken', 'ExpiredTokenException', 'RequestExpired', 'InvalidClientTokenId',
+    'UnrecognizedClientException', 'CredentialsError', 'NetworkingError', 'TimeoutError', 'RequestTimeout',
+    'Throttling', 'ThrottlingException', 'TooManyRequestsException'];
+
+var isTransient = function(err) {
+    return !!err && typeof err === 'object' && (err.retryable === true || TRANSIENT_ERRORS.indexOf(err.code) > -1);
+};
+
+// A result is incomplete if the call, or one of the calls it depends on,
+// failed with a transient error
+var isComplete = function(result) {
+    if (!result || typeof result !== 'object') return false;
+    if (isTransient(result.err)) return false;
+    return !Object.keys(result).some(function(key) {
+        return !!result[key] && typeof result[key] === 'object' && isTransient(result[key].err);
+    });
+};
+
+// The folder of the checkpoint directory holding the saved results, so that
+// clearing them never deletes the other files of the directory
+var RESULTS_DIR = 'cloudsploit-checkpoint';
+
+/**
+ * Creates a checkpoint saving each service:call:region result of a
+ * collection to a directory as it completes, so that an interrupted
+ * collection can be resumed without making the same calls again.
+ * @param {string} checkpointDir The checkpoint directory, created if it does
+ * not exist. The results are saved in its cloudsploit-checkpoint folder.
+ * @param {boolean} resume Whether to keep the results saved by a previous
+ * run. Otherwise, they are deleted.
+ * @return {Object} The checkpoint
+ */
+var create = function(checkpointDir, resume) {
+    var dir = path.join(checkpointDir, RESULTS_DIR);
+    fs.mkdirSync(dir, {recursive: true});
+
+    var fileName = function(service, call, region) {
+        return `${service}.${call}.${region}.json`;
+    };
+
+    var saved = {};
+    fs.readdirSync(dir).forEach(function(file) {
+        if (!/\.json(\.tmp)?$/.test(file)) return;
+        if (!resume || /\.tmp$/.test(file)) return fs.unlinkSync(path.join(dir, file));
+
+        // A file that cannot be read, e.g. because the process died while
+        // writing it, is collected again
+        try {
+            saved[file] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (e) {
+            return;
+        }
+    });
+
+    return {
+        /**
+         * The number of results saved by a previous run.
+         */
+        count: Object.keys(saved).length,
+
+        /**
+         * Returns whether the result of a call in a region was saved by a
+         * previous run.
+         */
+        has: function(service, call, region) {
+            return Object.prototype.hasOwnProperty.call(saved, fileName(service, call, region));
+        },
+
+        /**
+         * Returns the result of a call in a region saved by a previous run.
+         */
+        get: function(service, call, region) {
+            return saved[fileName(service, call, region)];
+        },
+
+        /**
+         * Saves the result of a call in a region, unless it is incomplete.
+         * The file is written under a temporary name first so that an
+         * interrupted write does not leave a partial result behind.
+         */
+        save: function(service, call, region, result) {
+            if (!isComplete(result)) return;
+            var file = path.join(dir, fileName(service, call, region));
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(result));
+            fs.renameSync(`${file}.tmp`, file);
+        }
+    };
+};
+
+module.exports = {
+    RESULTS_DIR: RESULTS_DIR,
+    isComplete: isComplete,
+    create: create
+};
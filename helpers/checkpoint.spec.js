@@ -0,0 +1,83 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var checkpoint = require('./checkpoint');
+
+describe('checkpoint', function() {
+    var dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-checkpoint-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    describe('isComplete', function() {
+        it('should be complete with data or a permanent error', function() {
+            expect(checkpoint.isComplete({data: []})).to.be.true;
+            expect(checkpoint.isComplete({err: {code: 'NoSuchBucketPolicy'}})).to.be.true;
+        });
+
+        it('should not be complete with a transient error', function() {
+            expect(checkpoint.isComplete({err: {code: 'ExpiredToken'}})).to.be.false;
+            expect(checkpoint.isComplete({err: {code: 'Unknown', retryable: true}})).to.be.false;
+        });
+
+        it('should not be complete when a dependent call failed with a transient error', function() {
+            expect(checkpoint.isComplete({'my-bucket': {data: {}}, 'other-bucket': {err: {code: 'ThrottlingException'}}})).to.be.false;
+        });
+    });
+
+    describe('create', function() {
+        it('should save and resume results', function() {
+            var first = checkpoint.create(dir);
+            expect(first.count).to.equal(0);
+            first.save('s3', 'listBuckets', 'us-east-1', {data: [{Name: 'my-bucket'}]});
+
+            var resumed = checkpoint.create(dir, true);
+            expect(resumed.count).to.equal(1);
+            expect(resumed.has('s3', 'listBuckets', 'us-east-1')).to.be.true;
+            expect(resumed.has('s3', 'listBuckets', 'us-west-2')).to.be.false;
+            expect(resumed.get('s3', 'listBuckets', 'us-east-1')).to.deep.equal({data: [{Name: 'my-bucket'}]});
+        });
+
+        it('should clear the saved results when not resuming', function() {
+            checkpoint.create(dir).save('ec2', 'describeInstances', 'us-east-1', {data: []});
+
+            var restarted = checkpoint.create(dir);
+            expect(restarted.count).to.equal(0);
+            expect(restarted.has('ec2', 'describeInstances', 'us-east-1')).to.be.false;
+            expect(fs.readdirSync(path.join(dir, checkpoint.RESULTS_DIR))).to.be.empty;
+        });
+
+        it('should only clear the results it saved', function() {
+            fs.writeFileSync(path.join(dir, 'package.json'), '{"name": "project"}');
+            fs.writeFileSync(path.join(dir, 'ec2.describeInstances.us-east-1.json'), '{"data": []}');
+            checkpoint.create(dir).save('ec2', 'describeInstances', 'us-east-1', {data: []});
+
+            checkpoint.create(dir);
+            expect(fs.readdirSync(dir).sort()).to.deep.equal([checkpoint.RESULTS_DIR, 'ec2.describeInstances.us-east-1.json', 'package.json']);
+            expect(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).to.equal('{"name": "project"}');
+        });
+
+        it('should not save incomplete results', function() {
+            checkpoint.create(dir).save('ec2', 'describeInstances', 'us-east-1', {err: {code: 'RequestExpired'}});
+            expect(checkpoint.create(dir, true).count).to.equal(0);
+        });
+
+        it('should ignore files that cannot be read', function() {
+            var resultsDir = path.join(dir, checkpoint.RESULTS_DIR);
+            fs.mkdirSync(resultsDir);
+            fs.writeFileSync(path.join(resultsDir, 'iam.listUsers.us-east-1.json'), '{"data": [');
+            fs.writeFileSync(path.join(resultsDir, 'iam.listRoles.us-east-1.json.tmp'), '{}');
+
+            var resumed = checkpoint.create(dir, true);
+            expect(resumed.count).to.equal(0);
+            expect(resumed.has('iam', 'listUsers', 'us-east-1')).to.be.false;
+            expect(fs.existsSync(path.join(resultsDir, 'iam.listRoles.us-east-1.json.tmp'))).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,143 @@
+var fs = require('fs');
+var StringDecoder = require('string_decoder').StringDecoder;
+
+// A collection is keyed by service, then call, then region, and each region
+// holds the "data" or "err" returned by the cloud provider. A collection saved
+// while scanning several accounts has one more level, keyed by account, and
+// one saved while scanning several clouds another, keyed by cloud.
+var isCollection = function(collection) {
+    return Object.keys(collection).some(function(service) {
+        var calls = collection[service];
+        if (!calls || typeof calls !== 'object') return false;
+        return Object.keys(calls).some(function(call) {
+            var regions = calls[call];
+            if (!regions || typeof regions !== 'object') return false;
+            return Object.keys(regions).some(function(region) {
+                var result = regions[region];
+                return !!result && typeof result === 'object' &&
+                    (result.data !== undefined || result.err !== undefined);
+            });
+        });
+    });
+};
+
+var isObject = function(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !!Object.keys(value).length;
+};
+
+// Calls fn with each line of a file, without reading the whole file into a
+// single string
+var eachLine = function(path, fn) {
+    var fd = fs.openSync(path, 'r');
+    var buffer = Buffer.alloc(1024 * 1024);
+    var decoder = new StringDecoder('utf8');
+    var rest = '';
+    try {
+        var bytes;
+        while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            var lines = (rest + decoder.write(buffer.slice(0, bytes))).split('\n');
+            rest = lines.pop();
+            lines.forEach(fn);
+        }
+        rest += decoder.end();
+        if (rest) fn(rest);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// A collection written with --collection-ndjson has one result per line,
+// with its path in the collection
+var isNdjson = function(path) {
+    var fd = fs.openSync(path, 'r');
+    var buffer = Buffer.alloc(64 * 1024);
+    var bytes;
+    try {
+        bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    var firstLine = buffer.toString('utf8', 0, bytes).split('\n')[0];
+    try {
+        var line = JSON.parse(firstLine);
+        return !!line && Array.isArray(line.path);
+    } catch (e) {
+        return false;
+    }
+};
+
+var loadNdjson = function(path, cloud) {
+    var collections = {};
+    var accounts = [];
+    var lineNumber = 0;
+
+    eachLine(path, function(text) {
+        lineNumber++;
+        if (!text.trim()) return;
+
+        var line;
+        try {
+            line = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Collection file ${path} has an invalid line ${lineNumber}: ${e.message}`);
+        }
+        if (!line || !Array.isArray(line.path) || !line.path.length) {
+            throw new Error(`Collection file ${path} has an invalid line ${lineNumber}: no path`);
+        }
+        if (cloud ? line.cloud !== cloud : line.cloud) return;
+
+        var account = line.account || null;
+        if (!collections[account]) {
+            collections[account] = {};
+            accounts.push(account);
+        }
+        var node = collections[account];
+        line.path.slice(0, -1).forEach(function(key) {
+            if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+            node = node[key];
+        });
+        node[line.path[line.path.length - 1]] = line.result;
+    });
+
+    if (!accounts.length) throw new Error(`Collection file ${path} does not contain a collection${cloud ? ` for ${cloud}` : ''}`);
+    return accounts.map(function(account) {
+        return {account: account, collection: collections[account]};
+    });
+};
+
+/**
+ * Loads a collection written with --collection or --collection-ndjson.
+ * @param {string} path The path to the collection JSON or NDJSON file
+ * @param {string} cloud (Optional) The cloud to load from a collection saved
+ * while scanning several clouds
+ * @return {Object[]} The collection of each account as {account, collection}.
+ * The account of a collection saved from a single account scan is null.
+ */
+var load = function(path, cloud) {
+    if (isNdjson(path)) return loadNdjson(path, cloud);
+
+    var contents = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!isObject(contents)) throw new Error(`Collection file ${path} does not contain a collection`);
+
+    if (cloud) {
+        contents = contents[cloud];
+        if (!isObject(contents)) throw new Error(`Collection file ${path} does not contain a collection for ${cloud}`);
+    }
+
+    if (isCollection(contents)) return [{account: null, collection: contents}];
+
+    var accounts = Object.keys(contents).filter(function(account) {
+        return contents[account] && typeof contents[account] === 'object' && isCollection(contents[account]);
+    });
+    if (!accounts.length) throw new Error(`Collection file ${path} does not contain a collection`);
+
+    return accounts.map(function(account) {
+        return {account: account, collection: contents[account]};
+    });
+};
+
+module.exports = {
+    isCollection: isCollection,
+    load: load
+};
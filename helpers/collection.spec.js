@@ -0,0 +1,112 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var collectionFile = require('./collection');
+
+var collection = {
+    s3: {
+        listBuckets: {
+            'us-east-1': {data: [{Name: 'bucket'}]}
+        }
+    },
+    sts: {
+        getCallerIdentity: {
+            'us-east-1': {err: 'Access denied'}
+        }
+    }
+};
+
+var writeFile = function(contents) {
+    var file = path.join(os.tmpdir(), `collection-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return file;
+};
+
+describe('collection', function() {
+    describe('isCollection', function() {
+        it('should detect a collection', function() {
+            expect(collectionFile.isCollection(collection)).to.equal(true);
+        });
+
+        it('should not detect a collection keyed by account', function() {
+            expect(collectionFile.isCollection({'123456789012': collection})).to.equal(false);
+        });
+    });
+
+    describe('load', function() {
+        it('should load the collection of a single account', function() {
+            var file = writeFile(collection);
+            var loaded = collectionFile.load(file);
+            fs.unlinkSync(file);
+
+            expect(loaded).to.deep.equal([{account: null, collection: collection}]);
+        });
+
+        it('should load the collection of each account', function() {
+            var file = writeFile({'111111111111': collection, '222222222222': collection});
+            var loaded = collectionFile.load(file);
+            fs.unlinkSync(file);
+
+            expect(loaded.map(l => l.account)).to.deep.equal(['111111111111', '222222222222']);
+            expect(loaded[1].collection).to.deep.equal(collection);
+        });
+
+        it('should load the collection of a cloud from a collection of several clouds', function() {
+            var file = writeFile({aws: {'111111111111': collection}, google: collection});
+            var aws = collectionFile.load(file, 'aws');
+            var google = collectionFile.load(file, 'google');
+            fs.unlinkSync(file);
+
+            expect(aws).to.deep.equal([{account: '111111111111', collection: collection}]);
+            expect(google).to.deep.equal([{account: null, collection: collection}]);
+        });
+
+        it('should throw when the collection of several clouds does not contain the cloud', function() {
+            var file = writeFile({aws: collection});
+            expect(function() {
+                collectionFile.load(file, 'azure');
+            }).to.throw('does not contain a collection for azure');
+            fs.unlinkSync(file);
+        });
+
+        it('should throw when the file does not contain a collection', function() {
+            var file = writeFile({results: []});
+            expect(function() {
+                collectionFile.load(file);
+            }).to.throw('does not contain a collection');
+            fs.unlinkSync(file);
+        });
+
+        it('should load a collection written as NDJSON', function() {
+            var output = require('../postprocess/output');
+            var buffer = {cache: '', write: function(data) { this.cache += data; }, end: function() {}};
+            var handler = output.createCollectionNdjson(buffer, {mocha: true, multi_cloud: true});
+            handler.write(collection, 'aws', '111111111111');
+            handler.write(collection, 'google');
+            var file = writeFile(buffer.cache);
+            var aws = collectionFile.load(file, 'aws');
+            var google = collectionFile.load(file, 'google');
+            fs.unlinkSync(file);
+
+            expect(aws).to.deep.equal([{account: '111111111111', collection: collection}]);
+            expect(google).to.deep.equal([{account: null, collection: collection}]);
+        });
+
+        it('should throw on an invalid NDJSON line', function() {
+            var file = writeFile('{"path": ["s3", "listBuckets", "us-east-1"], "result": {"data": []}}\n{"path":');
+            expect(function() {
+                collectionFile.load(file);
+            }).to.throw('invalid line 2');
+            fs.unlinkSync(file);
+        });
+
+        it('should throw when the file is not valid JSON', function() {
+            var file = writeFile('{');
+            expect(function() {
+                collectionFile.load(file);
+            }).to.throw();
+            fs.unlinkSync(file);
+        });
+    });
+});
@@ -32,6 +32,9 @@ var processCall = function(GoogleConfig, collection, settings, regions, call, se
 
                 async.eachLimit(regions[service][myEngine], 5, function(region, regionCb) {
                     if (callObj.location == 'zone') {
+                        // The zones of a skipped region are skipped as well
+                        if (settings.skip_regions &&
+                            settings.skip_regions.indexOf(region) > -1) return regionCb();
                         async.eachLimit(regions.zones[region], 5, function(zone, zoneCb) {
                             run(GoogleConfig, collection, settings, service, callObj, callKey, zone, zoneCb, client, myEngine);
                         }, function() {
@@ -57,6 +60,9 @@ var processCall = function(GoogleConfig, collection, settings, regions, call, se
 
             async.eachLimit(regions[service], 5, function(region, regionCb) {
                 if (callObj.location == 'zone') {
+                    // The zones of a skipped region are skipped as well
+                    if (settings.skip_regions &&
+                        settings.skip_regions.indexOf(region) > -1) return regionCb();
                     async.eachLimit(regions.zones[region], 5,function(zone, zoneCb) {
                         run(GoogleConfig, collection, settings, service, callObj, callKey, zone, zoneCb, client);
                     }, function() {
@@ -85,6 +91,7 @@ var run = function(GoogleConfig, collection, settings, service, callObj, callKey
     LocalGoogleConfig[callObj.location] = region;
     LocalGoogleConfig.service = service;
     LocalGoogleConfig.auth = client;
+    LocalGoogleConfig.cache = settings.cache;
     callObj.params = JSON.parse(JSON.stringify(GoogleConfig));
     callObj.params[callObj.location] = region;
     callObj.params.service = service;
@@ -289,6 +296,8 @@ var handleErrors = function(err) {
 };
 
 var execute = async function(LocalGoogleConfig, collection, service, callObj, callKey, region, regionCb, client, options, myEngine, isPostCall = false, parentRecord = {}) {
+    var cache = LocalGoogleConfig.cache;
+    var cacheLabel = [service, myEngine, callKey].filter(Boolean).join(':');
     var executorCb = function(err, data, url, postCall, parent) {
         if (err) {
             let errMessage = handleErrors(err);
@@ -331,7 +340,7 @@ var execute = async function(LocalGoogleConfig, collection, service, callObj, ca
         }
         if (data.data && callObj.pagination && data.data.nextPageToken && (!callObj.maxLimit
             || (callObj.maxLimit && collectionItems.data && collectionItems.data.length < callObj.maxLimit))) {
-            makeApiCall(client, url, executorCb, data.data.nextPageToken, { pagination: callObj.pagination, paginationKey: callObj.paginationKey, reqParams: callObj.reqParams });
+            makeApiCall(client, url, executorCb, data.data.nextPageToken, { pagination: callObj.pagination, paginationKey: callObj.paginationKey, reqParams: callObj.reqParams, cache, cacheLabel });
         } else {
             if (callObj.rateLimit) {
                 setTimeout(function() {
@@ -354,7 +363,7 @@ var execute = async function(LocalGoogleConfig, collection, service, callObj, ca
         } else if (callObj.location && callObj.location == 'region') {
             url = url.replace(/{locationId}/g, callObj.params.region);
         }
-        makeApiCall(client, url, executorCb, null, {method: callObj.method, isPostCall, parentRecord, pagination: callObj.pagination, paginationKey: callObj.paginationKey, reqParams: callObj.reqParams, dataKey: callObj.dataKey, body: callObj.body});
+        makeApiCall(client, url, executorCb, null, {method: callObj.method, isPostCall, parentRecord, pagination: callObj.pagination, paginationKey: callObj.paginationKey, reqParams: callObj.reqParams, dataKey: callObj.dataKey, body: callObj.body, cache, cacheLabel});
     }
 };
 
@@ -386,41 +395,56 @@ function makeApiCall(client, originalUrl, callCb, nextToken, config) {
         queryParams = queryParams ? `${queryParams}&${config.reqParams}` : `?${config.reqParams}`;
     }
     url = `${originalUrl}${queryParams}`;
-    async.retry({
-        times: apiRetryAttempts,
-        interval: function(retryCount){
-            let retryExponential = 3;
-            let retryLeveler = 3;
-            let timestamp = parseInt(((new Date()).getTime()).toString().slice(-1));
-            let retry_temp = Math.min(apiRetryCap, (apiRetryBackoff * (retryExponential + timestamp) ** retryCount));
-            let retry_seconds = Math.round(retry_temp/retryLeveler + Math.random(0, retry_temp) * 5000);
-
-            console.log(`Trying again in: ${retry_seconds/1000} seconds`);
-            retries.push({seconds: Math.round(retry_seconds/1000)});
-            return retry_seconds;
-        },
-        errorFilter: function(err) {
-            return isRateError(err);
-        }
-    }, function(cb) {
-
-        let request = {
-            url,
-            method: config.method ? config.method : 'GET'
-        };
 
-        if (config.body) request.body = JSON.stringify(config.body);
+    let request = {
+        url,
+        method: config.method ? config.method : 'GET'
+    };
 
-        client.request(request, function(err, res) {
-            if (err) {
-                cb(err, null);
-            } else if (res) {
-                callCb(null, res, originalUrl, config.isPostCall, config.parentRecord);
+    if (config.body) request.body = JSON.stringify(config.body);
+
+    // Only the response data is passed on, so that the request and its
+    // credentials are not cached
+    let send = function(sendCb) {
+        async.retry({
+            times: apiRetryAttempts,
+            interval: function(retryCount){
+                let retryExponential = 3;
+                let retryLeveler = 3;
+                let timestamp = parseInt(((new Date()).getTime()).toString().slice(-1));
+                let retry_temp = Math.min(apiRetryCap, (apiRetryBackoff * (retryExponential + timestamp) ** retryCount));
+                let retry_seconds = Math.round(retry_temp/retryLeveler + Math.random(0, retry_temp) * 5000);
+
+                console.log(`Trying again in: ${retry_seconds/1000} seconds`);
+                retries.push({seconds: Math.round(retry_seconds/1000)});
+                return retry_seconds;
+            },
+            errorFilter: function(err) {
+                return isRateError(err);
             }
+        }, function(cb) {
+            client.request(request, function(err, res) {
+                if (err) {
+                    cb(err, null);
+                } else if (res) {
+                    sendCb(null, {data: res.data});
+                }
+            });
+        }, function(err, data){
+            sendCb(err, data);
         });
-    }, function(err, data){
-        callCb(err, data);
-    });
+    };
+
+    let done = function(err, data) {
+        if (err) return callCb(err, data);
+        callCb(null, data, originalUrl, config.isPostCall, config.parentRecord);
+    };
+
+    if (config.cache) {
+        config.cache.wrap(config.cacheLabel, [request.method, url, request.body], send, done);
+    } else {
+        send(done);
+    }
 }
 
 function setData(collection, dataToAdd, postCall, parent, serviceInfo) {
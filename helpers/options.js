@@ -0,0 +1,46 @@
+// The options the command line (index.js) and the Node API (scan.js) pass to
+// the engine, so that both scan the same way.
+
+/**
+ * The defaults of the command line options the engine relies on. The flags
+ * that turn a behavior off (store_false) default to true.
+ */
+var DEFAULTS = {
+    skip_paginate: true
+};
+
+// Fills in the properties the collectors of each cloud expect but that its
+// credential file does not hold
+var CREDENTIAL_DEFAULTS = {
+    azure: function(credentials) {
+        if (!credentials.location) credentials.location = 'East US';
+    },
+    google: function(credentials) {
+        if (!credentials.project) credentials.project = credentials.project_id;
+    },
+    oracle: function(credentials) {
+        if (!credentials.RESTversion) credentials.RESTversion = '/20160918';
+    }
+};
+
+/**
+ * Normalizes the credentials of a cloud, in the format of its credential
+ * file (see config_example.js), into the configuration of its collector,
+ * e.g. the project_id of a Google key file into project.
+ * @param {string} cloud The cloud
+ * @param {Object} credentials The credentials
+ * @return {Object} A copy of the credentials with the missing properties
+ * filled in
+ */
+var credentials = function(cloud, credentials) {
+    if (!credentials || typeof credentials !== 'object') return credentials;
+
+    var normalized = Object.assign({}, credentials);
+    if (CREDENTIAL_DEFAULTS[cloud]) CREDENTIAL_DEFAULTS[cloud](normalized);
+    return normalized;
+};
+
+module.exports = {
+    DEFAULTS: DEFAULTS,
+    credentials: credentials
+};
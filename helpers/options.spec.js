@@ -0,0 +1,38 @@
+var expect = require('chai').expect;
+var engineOptions = require('./options');
+
+describe('options', function () {
+    describe('DEFAULTS', function () {
+        it('should paginate AWS results by default', function () {
+            expect(engineOptions.DEFAULTS.skip_paginate).to.equal(true);
+        });
+    });
+
+    describe('credentials', function () {
+        it('should use the project_id of a Google key file as its project', function () {
+            var keyFile = {type: 'service_account', project_id: 'my-project', client_email: 'scanner@my-project.iam.gserviceaccount.com'};
+            var credentials = engineOptions.credentials('google', keyFile);
+
+            expect(credentials.project).to.equal('my-project');
+            expect(keyFile).to.not.have.property('project');
+        });
+
+        it('should keep the project of Google credentials', function () {
+            expect(engineOptions.credentials('google', {project: 'other', project_id: 'my-project'}).project).to.equal('other');
+        });
+
+        it('should default the location of Azure credentials', function () {
+            expect(engineOptions.credentials('azure', {ApplicationID: 'app'}).location).to.equal('East US');
+            expect(engineOptions.credentials('azure', {ApplicationID: 'app', location: 'West Europe'}).location).to.equal('West Europe');
+        });
+
+        it('should default the REST version of Oracle credentials', function () {
+            expect(engineOptions.credentials('oracle', {tenancyId: 'ocid1.tenancy'}).RESTversion).to.equal('/20160918');
+        });
+
+        it('should leave other clouds and missing credentials unchanged', function () {
+            expect(engineOptions.credentials('aws', {accessKeyId: 'AKIA'})).to.deep.equal({accessKeyId: 'AKIA'});
+            expect(engineOptions.credentials('azure', undefined)).to.be.undefined;
+        });
+    });
+});
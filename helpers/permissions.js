@@ -0,0 +1,446 @@
+// Resolves the API calls of the selected plugins, along with the calls they
+// rely on, into the permissions a scanner role needs on each cloud. The
+// permissions are derived from the API definitions in helpers/<cloud>/api.js.
+
+var CLOUDS = ['aws', 'azure', 'google'];
+
+var isPlaceholder = function(segment) {
+    return /^\{.*\}$/.test(segment) || segment.indexOf('{') > -1;
+};
+
+// Whether an API call has the Service:call shape. Some plugins declare no
+// calls as [''].
+var isCall = function(call) {
+    return typeof call === 'string' && /^[^:]+:[^:]/.test(call);
+};
+
+var capitalize = function(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+};
+
+var unique = function(list) {
+    return list.filter(function(item, index) {
+        return list.indexOf(item) === index;
+    }).sort();
+};
+
+/*********************
+ AWS
+ *********************/
+
+// The IAM prefix of each SDK service, when it is not its lower case name
+var AWS_PREFIXES = {
+    CloudWatchLogs: 'logs',
+    CognitoIdentityServiceProvider: 'cognito-idp',
+    ComputeOptimizer: 'compute-optimizer',
+    ConfigService: 'config',
+    CustomerProfiles: 'profile',
+    DevOpsGuru: 'devops-guru',
+    DirectoryService: 'ds',
+    DocDB: 'rds',
+    ECRPUBLIC: 'ecr-public',
+    EFS: 'elasticfilesystem',
+    ELB: 'elasticloadbalancing',
+    ELBv2: 'elasticloadbalancing',
+    EMR: 'elasticmapreduce',
+    EventBridge: 'events',
+    ForecastService: 'forecast',
+    LexModelsV2: 'lex',
+    Location: 'geo',
+    MWAA: 'airflow',
+    Neptune: 'rds',
+    OpenSearch: 'es',
+    OpenSearchServerless: 'aoss',
+    ResourceGroupsTaggingAPI: 'tag',
+    S3Control: 's3',
+    TimestreamWrite: 'timestream',
+    WAFRegional: 'waf-regional'
+};
+
+// The IAM actions of API calls whose action is not named after the call
+var AWS_ACTIONS = {
+    'APIGateway:*': 'apigateway:GET',
+    'ApiGatewayV2:*': 'apigateway:GET',
+    'S3:listBuckets': 's3:ListAllMyBuckets',
+    'S3:headBucket': 's3:ListBucket',
+    'S3:listObjects': 's3:ListBucket',
+    'S3:listObjectsV2': 's3:ListBucket',
+    'S3:getBucketEncryption': 's3:GetEncryptionConfiguration',
+    'S3:getBucketLifecycleConfiguration': 's3:GetLifecycleConfiguration',
+    'S3:getBucketAccelerateConfiguration': 's3:GetAccelerateConfiguration',
+    'S3:getBucketReplication': 's3:GetReplicationConfiguration',
+    'S3:getBucketCors': 's3:GetBucketCORS',
+    'S3:getBucketNotificationConfiguration': 's3:GetBucketNotification',
+    'S3:getPublicAccessBlock': 's3:GetBucketPublicAccessBlock',
+    'S3:getObjectLockConfiguration': 's3:GetBucketObjectLockConfiguration',
+    'S3:getBucketIntelligentTieringConfiguration': 's3:GetIntelligentTieringConfiguration',
+    'S3Control:getPublicAccessBlock': 's3:GetAccountPublicAccessBlock'
+};
+
+var awsAction = function(call) {
+    if (!isCall(call)) return;
+
+    // Remediation permissions may already be IAM actions
+    if (/^[a-z0-9-]+:[A-Z*]/.test(call)) return call;
+
+    var parts = call.split(':');
+    if (AWS_ACTIONS[call]) return AWS_ACTIONS[call];
+    if (AWS_ACTIONS[`${parts[0]}:*`]) return AWS_ACTIONS[`${parts[0]}:*`];
+    return `${AWS_PREFIXES[parts[0]] || parts[0].toLowerCase()}:${capitalize(parts[1])}`;
+};
+
+var awsDefinitions = function() {
+    var api = require('./aws/api.js');
+    return [api.calls].concat(api.postcalls);
+};
+
+// The calls an AWS call relies on. Services are referenced in lower case.
+var awsDependencies = function(call, definitions) {
+    var parts = call.split(':');
+    var services = [].concat.apply([], definitions.map(Object.keys));
+    var dependencies = [];
+    definitions.forEach(function(definition) {
+        var def = definition[parts[0]] && definition[parts[0]][parts[1]];
+        if (!def || !def.reliesOnService) return;
+        var service = services.find(function(name) {
+            return name.toLowerCase() === def.reliesOnService.toLowerCase();
+        });
+        if (service) dependencies.push(`${service}:${def.reliesOnCall}`);
+    });
+    return dependencies;
+};
+
+/*********************
+ Azure
+ *********************/
+
+// The Microsoft Graph permissions of each Graph resource. Graph permissions
+// are granted to the app registration rather than through a role.
+var GRAPH_PERMISSIONS = {
+    users: 'User.Read.All',
+    groups: 'Group.Read.All',
+    applications: 'Application.Read.All',
+    servicePrincipals: 'Application.Read.All',
+    directoryRoles: 'RoleManagement.Read.Directory',
+    roleManagement: 'RoleManagement.Read.Directory',
+    policies: 'Policy.Read.All',
+    domains: 'Domain.Read.All',
+    organization: 'Organization.Read.All'
+};
+
+// The Key Vault data actions of each vault resource
+var VAULT_DATA_ACTIONS = {
+    keys: 'Microsoft.KeyVault/vaults/keys/read',
+    secrets: 'Microsoft.KeyVault/vaults/secrets/readMetadata/action',
+    certificates: 'Microsoft.KeyVault/vaults/certificates/read',
+    policy: 'Microsoft.KeyVault/vaults/certificates/read'
+};
+
+var azureDefinitions = function() {
+    var api = require('./azure/api.js');
+    return [api.calls, api.postcalls, api.tertiarycalls, api.specialcalls];
+};
+
+var findDefinition = function(definitions, parts) {
+    var found;
+    definitions.some(function(definition) {
+        var def = definition;
+        parts.forEach(function(part) {
+            def = def && typeof def === 'object' ? def[part] : undefined;
+        });
+        if (def && typeof def === 'object') found = def;
+        return !!found;
+    });
+    return found;
+};
+
+var urlSegments = function(url) {
+    return url.replace(/\?.*$/, '').replace(/^https?:\/\/[^/]+/, '').split('/').filter(Boolean);
+};
+
+// Resolves an Azure call into the resource types its URL reads, e.g.
+// ['Microsoft.Storage', 'storageAccounts']. URLs starting with the ID of a
+// resource found by another call continue from the types of that call.
+var azureTypes = function(def, definitions, depth) {
+    if (!def || !def.url || depth > 5) return;
+    var segments = urlSegments(def.url);
+    var base;
+    var rest;
+
+    var providers = segments.lastIndexOf('providers');
+    if (providers > -1) {
+        base = [segments[providers + 1]];
+        rest = segments.slice(providers + 2);
+    } else if (segments.length && isPlaceholder(segments[0])) {
+        var reliesOn = Array.isArray(def.reliesOnPath) ? def.reliesOnPath[0] : def.reliesOnPath;
+        if (!reliesOn) return;
+        base = azureTypes(findDefinition(definitions, reliesOn.split('.')), definitions, depth + 1);
+        rest = segments.slice(1);
+    } else {
+        base = ['Microsoft.Resources'];
+        rest = segments;
+    }
+    if (!base) return;
+
+    return base.concat(rest.filter(function(segment, index) {
+        return index % 2 === 0 && !isPlaceholder(segment);
+    }));
+};
+
+// Resolves an Azure call into its permission, as an action, a data action or
+// a Microsoft Graph permission
+var azurePermission = function(call, definitions, verb) {
+    var parts = call.split(':');
+    var def = findDefinition(definitions, parts);
+
+    // Remediation permissions (e.g. storageAccounts:update) are resolved from
+    // another call of the same service
+    if (!def || !def.url) {
+        var service = findDefinition(definitions, [parts[0]]);
+        var other = service && Object.keys(service).map(function(key) {
+            return service[key];
+        }).find(function(candidate) {
+            return candidate && candidate.url && !candidate.graph && !candidate.vault;
+        });
+        if (!verb || !other) return;
+        def = other;
+    }
+
+    if (def.graph) {
+        var resource = urlSegments(def.url).find(function(segment) {
+            return !/^(v1\.0|beta)$/.test(segment) && !isPlaceholder(segment);
+        });
+        return {graph: GRAPH_PERMISSIONS[resource] || 'Directory.Read.All'};
+    }
+
+    if (def.vault) {
+        var vaultResource = urlSegments(def.url.replace(/^\{vaultUri\}/, '')).filter(function(segment) {
+            return !isPlaceholder(segment);
+        }).pop();
+        return VAULT_DATA_ACTIONS[vaultResource] ? {dataAction: VAULT_DATA_ACTIONS[vaultResource]} : undefined;
+    }
+
+    var types = azureTypes(def, definitions, 0);
+    if (!types) return;
+
+    if (verb) {
+        if (/^(update|create|set)/i.test(verb)) return {action: `${types.join('/')}/write`};
+        if (/^delete/i.test(verb)) return {action: `${types.join('/')}/delete`};
+        return {action: `${types.join('/')}/${verb}/action`};
+    }
+    if (def.post) return {action: `${types.join('/')}/action`};
+    return {action: `${types.join('/')}/read`};
+};
+
+var azureDependencies = function(call, definitions) {
+    var def = findDefinition(definitions, call.split(':'));
+    if (!def || !def.reliesOnPath) return [];
+    return [].concat(def.reliesOnPath).map(function(path) {
+        return path.split('.').join(':');
+    });
+};
+
+/*********************
+ Google
+ *********************/
+
+// The IAM service of each API host, when it is not the host name
+var GOOGLE_SERVICES = {
+    sqladmin: 'cloudsql',
+    cloudresourcemanager: 'resourcemanager',
+    bigtableadmin: 'bigtable'
+};
+
+// Path segments that locate a resource rather than name its type
+var GOOGLE_LOCATIONS = ['projects', 'zones', 'regions', 'locations', 'global', 'aggregated'];
+
+// The resource types of API paths not named after their type
+var GOOGLE_RESOURCES = {
+    'iam.keys': 'serviceAccountKeys',
+    'storage.b': 'buckets'
+};
+
+var googleDefinitions = function() {
+    var api = require('./google/api.js');
+    return [api.calls, api.postcalls, api.tertiarycalls, api.additionalCalls, api.specialcalls];
+};
+
+var googleService = function(url) {
+    // Regional endpoints are prefixed with their location, e.g. {locationId}-aiplatform
+    var host = url.replace(/^https?:\/\//, '').split('/')[0].split('.')[0].replace(/^\{[^}]*\}-/, '');
+    // APIs served from www.googleapis.com are named by their first path segment
+    if (host == 'www') host = urlSegments(url)[0];
+    return GOOGLE_SERVICES[host] || host;
+};
+
+// The resource type an API path reads, i.e. its last segment naming a type
+var googleResource = function(url) {
+    var segments = urlSegments(url).map(function(segment) {
+        return segment.split(':')[0];
+    }).filter(function(segment) {
+        return segment && !isPlaceholder(segment) && !/^v\d/.test(segment) && segment != 'iam' &&
+            segment != 'getIamPolicy' && segment != googleService(url);
+    });
+    var types = segments.filter(function(segment) {
+        return GOOGLE_LOCATIONS.indexOf(segment) === -1;
+    });
+    // Custom methods, e.g. instanceGroups/{name}/listInstances, read their parent
+    if (types.length > 1 && /^(list|get)[A-Z]/.test(types[types.length - 1])) types.pop();
+    var resource = types.length ? types[types.length - 1] : segments[segments.length - 1];
+    return GOOGLE_RESOURCES[`${googleService(url)}.${resource}`] || resource;
+};
+
+var googlePermission = function(call, definitions) {
+    var parts = call.split(':');
+    var def = findDefinition(definitions, parts);
+    if (!def || !def.url) return;
+
+    var url = def.url.replace(/\?.*$/, '');
+    var resource = googleResource(url);
+    if (!resource) {
+        // Paths made of the name of a resource found by another call
+        var reliesOn = def.reliesOnService && findDefinition(definitions, [def.reliesOnService[0], def.reliesOnCall[0]]);
+        if (!reliesOn || !reliesOn.url) return;
+        resource = googleResource(reliesOn.url);
+    }
+
+    var segments = urlSegments(url);
+    var last = segments[segments.length - 1] || '';
+    var verb = 'list';
+    if (/getIamPolicy$/.test(last) || last == 'iam' || /IamPolicy/.test(parts[parts.length - 1])) verb = 'getIamPolicy';
+    else if (isPlaceholder(last) || /^get/.test(parts[parts.length - 1]) || /^(list|get)[A-Z]/.test(last)) verb = 'get';
+
+    return {permission: `${googleService(url)}.${resource}.${verb}`};
+};
+
+var googleDependencies = function(call, definitions) {
+    var def = findDefinition(definitions, call.split(':'));
+    if (!def || !Array.isArray(def.reliesOnService)) return [];
+    return def.reliesOnService.map(function(service, index) {
+        var subService = def.reliesOnSubService ? def.reliesOnSubService[index] : null;
+        return [service, subService, def.reliesOnCall[index]].filter(Boolean).join(':');
+    });
+};
+
+/*********************
+ Documents
+ *********************/
+
+// Adds the calls each call relies on, since they are collected first
+var withDependencies = function(calls, dependencies) {
+    var resolved = [];
+    var add = function(call) {
+        if (resolved.indexOf(call) > -1) return;
+        resolved.push(call);
+        dependencies(call).forEach(add);
+    };
+    calls.forEach(add);
+    return resolved;
+};
+
+/**
+ * Builds the permissions document granting the API calls of a cloud: an IAM
+ * policy for AWS, a custom role definition for Azure and a custom role for
+ * Google Cloud.
+ * @param {string} cloud The cloud
+ * @param {string[]} calls The API calls of the selected plugins
+ * @param {string[]} remediate (Optional) The remediation permissions of the
+ * plugins selected for remediation
+ * @return {Object} Properties:
+ * - calls: The API calls, including those they rely on
+ * - document: The permissions document
+ * - graph: (Azure) The Microsoft Graph permissions
+ * - unresolved: The calls no permission could be derived for
+ */
+var build = function(cloud, calls, remediate) {
+    var result = {calls: [], unresolved: []};
+    remediate = remediate || [];
+
+    // Empty calls are left out, other malformed ones are reported
+    result.unresolved = calls.concat(remediate).filter(function(call) {
+        return call && !isCall(call);
+    });
+    calls = calls.filter(isCall);
+    remediate = remediate.filter(isCall);
+
+    if (cloud == 'aws') {
+        var awsDefs = awsDefinitions();
+        result.calls = withDependencies(calls, function(call) {
+            return awsDependencies(call, awsDefs);
+        });
+        var statements = [{
+            Sid: 'CloudSploitScan',
+            Effect: 'Allow',
+            Action: unique(result.calls.map(awsAction).filter(Boolean)),
+            Resource: '*'
+        }];
+        if (remediate.length) {
+            statements.push({
+                Sid: 'CloudSploitRemediate',
+                Effect: 'Allow',
+                Action: unique(remediate.map(awsAction).filter(Boolean)),
+                Resource: '*'
+            });
+        }
+        result.document = {Version: '2012-10-17', Statement: statements};
+    } else if (cloud == 'azure') {
+        var azureDefs = azureDefinitions();
+        result.calls = withDependencies(calls, function(call) {
+            return azureDependencies(call, azureDefs);
+        });
+        var actions = [];
+        var dataActions = [];
+        var graph = [];
+        var addPermission = function(call, permission) {
+            if (!permission) return result.unresolved.push(call);
+            if (permission.action) actions.push(permission.action);
+            if (permission.dataAction) dataActions.push(permission.dataAction);
+            if (permission.graph) graph.push(permission.graph);
+        };
+        result.calls.forEach(function(call) {
+            addPermission(call, azurePermission(call, azureDefs));
+        });
+        remediate.forEach(function(call) {
+            addPermission(call, azurePermission(call, azureDefs, call.split(':').pop()));
+        });
+        result.document = {
+            Name: 'CloudSploit Scanner',
+            IsCustom: true,
+            Description: 'Grants the permissions required by the selected CloudSploit plugins',
+            Actions: unique(actions),
+            NotActions: [],
+            DataActions: unique(dataActions),
+            NotDataActions: [],
+            AssignableScopes: ['/subscriptions/{subscriptionId}']
+        };
+        result.graph = unique(graph);
+    } else if (cloud == 'google') {
+        var googleDefs = googleDefinitions();
+        result.calls = withDependencies(calls, function(call) {
+            return googleDependencies(call, googleDefs);
+        });
+        var permissions = [];
+        result.calls.forEach(function(call) {
+            var permission = googlePermission(call, googleDefs);
+            if (!permission) return result.unresolved.push(call);
+            permissions.push(permission.permission);
+        });
+        result.document = {
+            title: 'CloudSploit Scanner',
+            description: 'Grants the permissions required by the selected CloudSploit plugins',
+            stage: 'GA',
+            includedPermissions: unique(permissions)
+        };
+        if (remediate.length) result.unresolved = result.unresolved.concat(remediate);
+    } else {
+        throw new Error(`Permissions are not supported for ${cloud}`);
+    }
+
+    return result;
+};
+
+module.exports = {
+    CLOUDS: CLOUDS,
+    awsAction: awsAction,
+    build: build
+};
@@ -0,0 +1,84 @@
+var expect = require('chai').expect;
+var permissions = require('./permissions');
+
+describe('permissions', function() {
+    describe('awsAction', function() {
+        it('should name actions after the call', function() {
+            expect(permissions.awsAction('EC2:describeInstances')).to.equal('ec2:DescribeInstances');
+            expect(permissions.awsAction('CloudWatchLogs:describeMetricFilters')).to.equal('logs:DescribeMetricFilters');
+        });
+
+        it('should map calls whose action is named differently', function() {
+            expect(permissions.awsAction('S3:listBuckets')).to.equal('s3:ListAllMyBuckets');
+            expect(permissions.awsAction('APIGateway:getRestApis')).to.equal('apigateway:GET');
+        });
+
+        it('should keep permissions that are already IAM actions', function() {
+            expect(permissions.awsAction('s3:PutBucketEncryption')).to.equal('s3:PutBucketEncryption');
+        });
+
+        it('should not name actions for calls without a Service:call shape', function() {
+            expect(permissions.awsAction('')).to.be.undefined;
+            expect(permissions.awsAction('EC2')).to.be.undefined;
+        });
+    });
+
+    describe('build', function() {
+        it('should build an AWS IAM policy including the calls relied on', function() {
+            var result = permissions.build('aws', ['S3:getBucketPolicy'], ['s3:PutBucketPolicy']);
+            expect(result.calls).to.deep.equal(['S3:getBucketPolicy', 'S3:listBuckets']);
+            expect(result.document.Version).to.equal('2012-10-17');
+            expect(result.document.Statement).to.deep.equal([
+                {Sid: 'CloudSploitScan', Effect: 'Allow', Action: ['s3:GetBucketPolicy', 's3:ListAllMyBuckets'], Resource: '*'},
+                {Sid: 'CloudSploitRemediate', Effect: 'Allow', Action: ['s3:PutBucketPolicy'], Resource: '*'}
+            ]);
+        });
+
+        it('should build an Azure custom role definition', function() {
+            var result = permissions.build('azure', ['storageAccounts:listKeys', 'vaults:getKeys', 'users:list'], ['storageAccounts:update']);
+            expect(result.document.Actions).to.deep.equal([
+                'Microsoft.KeyVault/vaults/read',
+                'Microsoft.Storage/storageAccounts/listKeys/action',
+                'Microsoft.Storage/storageAccounts/read',
+                'Microsoft.Storage/storageAccounts/write'
+            ]);
+            expect(result.document.DataActions).to.deep.equal(['Microsoft.KeyVault/vaults/keys/read']);
+            expect(result.graph).to.deep.equal(['User.Read.All']);
+            expect(result.unresolved).to.deep.equal([]);
+        });
+
+        it('should build a Google custom role', function() {
+            var result = permissions.build('google', ['buckets:getIamPolicy', 'compute:list']);
+            expect(result.document.includedPermissions).to.deep.equal([
+                'compute.instances.list',
+                'storage.buckets.getIamPolicy',
+                'storage.buckets.list'
+            ]);
+        });
+
+        it('should leave out empty calls and report malformed ones', function() {
+            var result = permissions.build('aws', ['', 'S3:listBuckets', 'S3']);
+            expect(result.calls).to.deep.equal(['S3:listBuckets']);
+            expect(result.unresolved).to.deep.equal(['S3']);
+        });
+
+        it('should build permissions for every plugin of each supported cloud', function() {
+            var exports = require('../exports');
+            permissions.CLOUDS.forEach(function(cloud) {
+                var calls = [];
+                Object.keys(exports[cloud]).forEach(function(pluginId) {
+                    calls = calls.concat(exports[cloud][pluginId].apis || []);
+                });
+                var result = permissions.build(cloud, calls);
+                expect(result.document, cloud).to.be.an('object');
+                expect(result.calls.length, cloud).to.be.above(0);
+            });
+        });
+
+        it('should reject unsupported clouds', function() {
+            expect(function() {
+                permissions.build('oracle', []);
+            }).to.throw('Permissions are not supported for oracle');
+        });
+    });
+});
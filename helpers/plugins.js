@@ -0,0 +1,210 @@
+var fs = require('fs');
+var path = require('path');
+var aslValidator = require('./asl/validate');
+
+// The clouds plugins can be written for, as in exports.js
+var CLOUDS = ['aws', 'azure', 'github', 'oracle', 'google', 'alibaba'];
+
+// The folder of the built-in plugins, laid out as plugins/<cloud>/<service>
+var PLUGINS_DIR = path.join(__dirname, '..', 'plugins');
+
+// The files the plugins were loaded from
+var registeredFiles = new WeakMap();
+var builtInRegistered = false;
+
+/**
+ * Records the file a plugin was loaded from, as load does for the plugins of
+ * external directories.
+ * @param {Object} plugin The plugin module
+ * @param {string} file The path of the plugin file
+ * @return {Object} The plugin
+ */
+var register = function(plugin, file) {
+    if (plugin && typeof plugin === 'object') registeredFiles.set(plugin, file);
+    return plugin;
+};
+
+// Registers the files of the built-in plugins the first time a file is looked
+// up, by walking exports.js once and matching its plugins with the files of
+// plugins/
+var registerBuiltIn = function() {
+    if (builtInRegistered) return;
+    builtInRegistered = true;
+
+    var exports = require('../exports.js');
+    Object.keys(exports).forEach(function(cloud) {
+        var dir = path.join(PLUGINS_DIR, cloud);
+        if (!fs.existsSync(dir)) return;
+
+        var files = new Map();
+        pluginFiles(dir).forEach(function(file) {
+            files.set(require(file), file);
+        });
+        Object.keys(exports[cloud]).forEach(function(pluginId) {
+            var plugin = exports[cloud][pluginId];
+            if (files.has(plugin) && !registeredFiles.has(plugin)) register(plugin, files.get(plugin));
+        });
+    });
+};
+
+/**
+ * Returns the file a plugin was loaded from.
+ * @param {Object} plugin The plugin module
+ * @return {string} The path of the plugin file or undefined if the plugin
+ * is neither a built-in plugin nor was registered
+ */
+var pluginFile = function(plugin) {
+    if (!plugin || typeof plugin !== 'object') return;
+    if (!registeredFiles.has(plugin)) registerBuiltIn();
+    return registeredFiles.get(plugin);
+};
+
+/**
+ * Checks a plugin against the contract of the built-in plugins.
+ * @param {Object} plugin The plugin module
+ * @return {string[]} The problems found, empty when the plugin is valid
+ */
+var validate = function(plugin) {
+    if (!plugin || typeof plugin !== 'object') return ['it does not export an object'];
+
+    var errors = [];
+    ['title', 'category'].forEach(function(prop) {
+        if (typeof plugin[prop] !== 'string' || !plugin[prop].length) errors.push(`${prop} is not a non-empty string`);
+    });
+
+    if (!Array.isArray(plugin.apis)) {
+        errors.push('apis is not an array');
+    } else if (plugin.apis.some(function(api) { return typeof api !== 'string'; })) {
+        errors.push('apis contains an API call that is not a string');
+    }
+
+    if (typeof plugin.run !== 'function') errors.push('run is not a function');
+
+    if (plugin.settings !== undefined) {
+        if (!plugin.settings || typeof plugin.settings !== 'object') {
+            errors.push('settings is not an object');
+        } else {
+            Object.keys(plugin.settings).forEach(function(key) {
+                var setting = plugin.settings[key];
+                ['name', 'description', 'regex', 'default'].forEach(function(prop) {
+                    if (!setting || typeof setting !== 'object' || !(prop in setting)) errors.push(`setting ${key} does not have property: ${prop}`);
+                });
+            });
+        }
+    }
+
+    if (plugin.asl && plugin.asl.version == 2) {
+        errors = errors.concat(aslValidator.validate(plugin.asl, plugin.apis));
+    } else if (plugin.asl !== undefined) {
+        if (!plugin.asl || typeof plugin.asl !== 'object' || !Array.isArray(plugin.asl.conditions) || !plugin.asl.conditions.length) {
+            errors.push('asl does not have conditions');
+        } else if (plugin.asl.conditions.some(function(condition) {
+            return !condition || typeof condition.service !== 'string' || typeof condition.api !== 'string';
+        })) {
+            errors.push('asl has a condition without a service and api');
+        }
+    }
+
+    if (plugin.remediate !== undefined && typeof plugin.remediate !== 'function') errors.push('remediate is not a function');
+
+    return errors;
+};
+
+/**
+ * Checks the version 2 ASL of plugins that load does not validate, such as
+ * the built-in plugins, so that a mistake is reported before the scan rather
+ * than thrown by the ASL runner.
+ * @param {Object} plugins The plugins keyed by their ID
+ * @return {string[]} The problems found, each prefixed with its plugin ID
+ */
+var validateAsl = function(plugins) {
+    var errors = [];
+    Object.keys(plugins || {}).forEach(function(pluginId) {
+        var plugin = plugins[pluginId];
+        if (!plugin || !plugin.asl || plugin.asl.version != 2) return;
+        aslValidator.validate(plugin.asl, plugin.apis).forEach(function(error) {
+            errors.push(`${pluginId}: ${error}`);
+        });
+    });
+    return errors;
+};
+
+// The plugin files of a directory and its subdirectories
+var pluginFiles = function(dir) {
+    var files = [];
+    fs.readdirSync(dir).sort().forEach(function(name) {
+        var file = path.join(dir, name);
+        if (fs.statSync(file).isDirectory()) {
+            files = files.concat(pluginFiles(file));
+        } else if (/\.js$/.test(name) && !/\.spec\.js$/.test(name)) {
+            files.push(file);
+        }
+    });
+    return files;
+};
+
+/**
+ * Loads the plugins of external directories. Each directory holds one folder
+ * per cloud, laid out like plugins/ (e.g. <dir>/aws/s3/bucketTags.js). The
+ * plugins of a directory are namespaced by its name, so that
+ * /opt/acme/aws/s3/bucketTags.js has the ID acme.bucketTags.
+ * @param {string|string[]} dirs The plugin directories
+ * @return {Object} The plugins of each cloud keyed by their ID, as in
+ * exports.js
+ * @throws {Error} When a directory or plugin cannot be loaded, or a plugin
+ * does not meet the plugin contract
+ */
+var load = function(dirs) {
+    var plugins = {};
+    var namespaces = {};
+
+    [].concat(dirs || []).forEach(function(dir) {
+        dir = path.resolve(dir);
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Plugin directory ${dir} does not exist`);
+
+        var namespace = path.basename(dir);
+        if (!/^[A-Za-z0-9_-]+$/.test(namespace)) {
+            throw new Error(`Plugin directory ${dir} cannot be used as a namespace. Its name may only contain letters, digits, _ and -`);
+        }
+        if (namespaces[namespace]) throw new Error(`Plugin directories ${namespaces[namespace]} and ${dir} have the same name`);
+        namespaces[namespace] = dir;
+
+        var clouds = fs.readdirSync(dir).filter(function(name) {
+            return name != 'node_modules' && name.charAt(0) != '.' && fs.statSync(path.join(dir, name)).isDirectory();
+        });
+        var unknown = clouds.filter(function(cloud) {
+            return CLOUDS.indexOf(cloud) === -1;
+        });
+        if (unknown.length) throw new Error(`Plugin directory ${dir} has folders for unknown clouds: ${unknown.join(', ')}. Expected: ${CLOUDS.join(', ')}`);
+
+        clouds.forEach(function(cloud) {
+            pluginFiles(path.join(dir, cloud)).forEach(function(file) {
+                var pluginId = `${namespace}.${path.basename(file, '.js')}`;
+                if (plugins[cloud] && plugins[cloud][pluginId]) throw new Error(`Plugin ${file} has the same ID as another plugin: ${pluginId}`);
+
+                var plugin;
+                try {
+                    plugin = require(file);
+                } catch (e) {
+                    throw new Error(`Plugin ${file} could not be loaded: ${e.message}`);
+                }
+
+                var errors = validate(plugin);
+                if (errors.length) throw new Error(`Plugin ${file} is invalid: ${errors.join('; ')}`);
+
+                if (!plugins[cloud]) plugins[cloud] = {};
+                plugins[cloud][pluginId] = register(plugin, file);
+            });
+        });
+    });
+
+    return plugins;
+};
+
+module.exports = {
+    register: register,
+    file: pluginFile,
+    validate: validate,
+    validateAsl: validateAsl,
+    load: load
+};
@@ -0,0 +1,146 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var pluginLoader = require('./plugins');
+
+var PLUGIN = `module.exports = {
+    title: 'Bucket Tags',
+    category: 'S3',
+    apis: ['S3:listBuckets', 'S3:getBucketTagging'],
+    run: function(cache, settings, callback) {
+        callback(null, []);
+    }
+};
+`;
+
+describe('plugins', function() {
+    var root;
+
+    // Writes the files of a plugin directory, keyed by their path in it
+    var pluginDir = function(name, files) {
+        var dir = path.join(root, name);
+        Object.keys(files).forEach(function(file) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+            fs.writeFileSync(path.join(dir, file), files[file]);
+        });
+        return dir;
+    };
+
+    beforeEach(function() {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-plugins-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    describe('validate', function() {
+        it('should accept every built-in plugin', function() {
+            var exports = require('../exports');
+            Object.keys(exports).forEach(function(cloud) {
+                Object.keys(exports[cloud]).forEach(function(pluginId) {
+                    expect(pluginLoader.validate(exports[cloud][pluginId]), pluginId).to.deep.equal([]);
+                });
+            });
+        });
+
+        it('should list the problems of a plugin', function() {
+            expect(pluginLoader.validate({title: 'Title', apis: [{service: 'S3'}], run: 'callback', asl: {}})).to.deep.equal([
+                'category is not a non-empty string',
+                'apis contains an API call that is not a string',
+                'run is not a function',
+                'asl does not have conditions'
+            ]);
+        });
+
+        it('should accept run functions with default or destructured parameters', function() {
+            [
+                function(cache, settings = {}, callback) { callback(null, [], settings); },
+                function({s3}, settings, callback) { callback(null, [], s3); },
+                (cache, settings, callback) => callback(null, [])
+            ].forEach(function(run) {
+                expect(pluginLoader.validate({title: 'Bucket Tags', category: 'S3', apis: ['S3:listBuckets'], run: run})).to.deep.equal([]);
+            });
+        });
+
+        it('should check version 2 ASL against its schema', function() {
+            expect(pluginLoader.validate({
+                title: 'Instance IMDSv2',
+                category: 'EC2',
+                apis: ['EC2:describeInstances'],
+                run: function(cache, settings, callback) { callback(null, []); },
+                asl: {version: 2, service: 'ec2', api: 'describeInstances', conditions: {any: [{property: 'MetadataOptions.HttpTokens', op: 'EQ'}]}}
+            })).to.deep.equal([
+                'asl.conditions.any[0] should have required property \'value\' for op EQ'
+            ]);
+        });
+    });
+
+    describe('validateAsl', function() {
+        it('should report the version 2 ASL problems of each plugin', function() {
+            expect(pluginLoader.validateAsl({
+                instanceName: {
+                    apis: ['EC2:describeInstances'],
+                    asl: {version: 2, service: 'ec2', api: 'describeInstances', conditions: {all: [{property: 'KeyName', op: 'MATCHES', value: '(prod'}]}}
+                },
+                bucketTags: {apis: ['S3:listBuckets'], asl: {conditions: []}},
+                rootMfaEnabled: {apis: ['IAM:generateCredentialReport']}
+            })).to.deep.equal([
+                'instanceName: asl.conditions.all[0] has an invalid regular expression: Invalid regular expression: /(prod/: Unterminated group'
+            ]);
+        });
+    });
+
+    describe('file', function() {
+        it('should return the file of the built-in plugins', function() {
+            var exports = require('../exports');
+            expect(pluginLoader.file(exports.aws.bucketEncryption)).to.equal(path.join(__dirname, '..', 'plugins', 'aws', 's3', 'bucketEncryption.js'));
+            expect(pluginLoader.file(exports.aws.guardDutyEnabled)).to.equal(path.join(__dirname, '..', 'plugins', 'aws', 'guardduty', 'guarddutyEnabled.js'));
+            expect(pluginLoader.file({title: 'Bucket Tags'})).to.be.undefined;
+        });
+    });
+
+    describe('load', function() {
+        it('should load the plugins of each cloud under the directory name', function() {
+            var dir = pluginDir('acme', {
+                'aws/s3/bucketTags.js': PLUGIN,
+                'aws/s3/bucketTags.spec.js': 'throw new Error("not a plugin");',
+                'google/storage/bucketLabels.js': PLUGIN
+            });
+
+            var plugins = pluginLoader.load([dir]);
+            expect(Object.keys(plugins.aws)).to.deep.equal(['acme.bucketTags']);
+            expect(Object.keys(plugins.google)).to.deep.equal(['acme.bucketLabels']);
+            expect(plugins.aws['acme.bucketTags'].title).to.equal('Bucket Tags');
+            expect(pluginLoader.file(plugins.aws['acme.bucketTags'])).to.equal(path.join(dir, 'aws', 's3', 'bucketTags.js'));
+        });
+
+        it('should fail on an invalid plugin', function() {
+            var dir = pluginDir('invalid', {'aws/s3/bucketTags.js': 'module.exports = {title: "Bucket Tags"};'});
+            expect(function() {
+                pluginLoader.load([dir]);
+            }).to.throw(/bucketTags.js is invalid: category is not a non-empty string; apis is not an array/);
+        });
+
+        it('should fail on a plugin that cannot be loaded', function() {
+            var dir = pluginDir('broken', {'aws/s3/bucketTags.js': 'module.exports = {'});
+            expect(function() {
+                pluginLoader.load([dir]);
+            }).to.throw(/bucketTags.js could not be loaded/);
+        });
+
+        it('should fail on a folder that is not a cloud', function() {
+            var dir = pluginDir('gcp', {'gcp/storage/bucketLabels.js': PLUGIN});
+            expect(function() {
+                pluginLoader.load([dir]);
+            }).to.throw('has folders for unknown clouds: gcp');
+        });
+
+        it('should fail on a directory that does not exist', function() {
+            expect(function() {
+                pluginLoader.load([path.join(root, 'missing')]);
+            }).to.throw('does not exist');
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// The region lists of each cloud, including those of the GovCloud and China
+// partitions. Azure calls its regions locations. GitHub does not have regions.
+var REGION_FILES = {
+    aws: ['./aws/regions.js', './aws/regions_gov.js', './aws/regions_china.js'],
+    azure: ['./azure/locations.js', './azure/locations_gov.js'],
+    google: ['./google/regions.js'],
+    oracle: ['./oracle/regions.js', './oracle/regions_gov.js'],
+    alibaba: ['./alibaba/regions.js', './alibaba/regions_china.js']
+};
+
+// Pseudo-regions the collectors use for global and home region calls. They
+// are never skipped, so that global services are still collected.
+var PSEUDO_REGIONS = ['global', 'default'];
+
+var cloudRegions = {};
+
+/**
+ * Returns every region of a cloud, as listed in helpers/<cloud>/regions.js.
+ * @param {string} cloud The cloud
+ * @return {string[]} The regions or undefined if the cloud has none
+ */
+var all = function(cloud) {
+    if (!REGION_FILES[cloud]) return;
+    if (!cloudRegions[cloud]) {
+        var regions = [];
+        REGION_FILES[cloud].forEach(function(file) {
+            var regionFile = require(file);
+            Object.keys(regionFile).forEach(function(service) {
+                if (!Array.isArray(regionFile[service])) return;
+                regionFile[service].forEach(function(region) {
+                    if (typeof region === 'string' && PSEUDO_REGIONS.indexOf(region) === -1 &&
+                        regions.indexOf(region) === -1) regions.push(region);
+                });
+            });
+        });
+        cloudRegions[cloud] = regions;
+    }
+    return cloudRegions[cloud];
+};
+
+/**
+ * Splits region lists, as passed through repeated flags that may each hold
+ * comma-separated regions.
+ * @param {string[]} values The flag values
+ * @return {string[]} The regions
+ */
+var parse = function(values) {
+    var regions = [];
+    (values || []).forEach(function(value) {
+        String(value).split(',').forEach(function(region) {
+            region = region.trim();
+            if (region && regions.indexOf(region) === -1) regions.push(region);
+        });
+    });
+    return regions;
+};
+
+/**
+ * Returns the regions of a cloud to skip so that only the allowed regions,
+ * minus the denied regions, are scanned.
+ * @param {string} cloud The cloud
+ * @param {string[]} regions (Optional) The only regions to scan
+ * @param {string[]} skipRegions (Optional) The regions not to scan
+ * @return {string[]} The regions to skip or undefined to scan every region
+ */
+var skipList = function(cloud, regions, skipRegions) {
+    var known = all(cloud) || [];
+    regions = parse(regions);
+    skipRegions = parse(skipRegions);
+
+    regions.concat(skipRegions).forEach(function(region) {
+        if (known.indexOf(region) === -1) {
+            throw new Error(`Invalid ${cloud} region: ${region}. See the regions in helpers/${cloud}/`);
+        }
+    });
+    if (!regions.length && !skipRegions.length) return;
+
+    return known.filter(function(region) {
+        return (regions.length && regions.indexOf(region) === -1) || skipRegions.indexOf(region) > -1;
+    });
+};
+
+module.exports = {
+    all: all,
+    parse: parse,
+    skipList: skipList
+};
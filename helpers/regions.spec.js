@@ -0,0 +1,58 @@
+var expect = require('chai').expect;
+var regions = require('./regions');
+
+describe('regions', function() {
+    describe('all', function() {
+        it('should list the regions of every partition of a cloud', function() {
+            var aws = regions.all('aws');
+            expect(aws).to.include('us-east-1');
+            expect(aws).to.include('us-gov-west-1');
+            expect(aws).to.include('cn-north-1');
+        });
+
+        it('should not list the global pseudo-regions', function() {
+            expect(regions.all('google')).not.to.include('global');
+            expect(regions.all('oracle')).not.to.include('default');
+        });
+
+        it('should return undefined for a cloud without regions', function() {
+            expect(regions.all('github')).to.be.undefined;
+        });
+    });
+
+    describe('parse', function() {
+        it('should split comma-separated regions and remove duplicates', function() {
+            expect(regions.parse(['us-east-1, eu-west-1', 'us-east-1'])).to.deep.equal(['us-east-1', 'eu-west-1']);
+        });
+    });
+
+    describe('skipList', function() {
+        it('should skip nothing without regions', function() {
+            expect(regions.skipList('aws')).to.be.undefined;
+            expect(regions.skipList('aws', [], [])).to.be.undefined;
+        });
+
+        it('should skip every region but the allowed ones', function() {
+            var skipped = regions.skipList('azure', ['eastus']);
+            expect(skipped).not.to.include('eastus');
+            expect(skipped).to.include('westus');
+            expect(skipped).to.have.length(regions.all('azure').length - 1);
+        });
+
+        it('should skip the denied regions', function() {
+            expect(regions.skipList('alibaba', null, ['cn-hangzhou'])).to.deep.equal(['cn-hangzhou']);
+        });
+
+        it('should combine the allowed and denied regions', function() {
+            var skipped = regions.skipList('aws', ['us-east-1', 'eu-west-1'], ['eu-west-1']);
+            expect(skipped).to.include('eu-west-1');
+            expect(skipped).not.to.include('us-east-1');
+        });
+
+        it('should throw for a region of another cloud', function() {
+            expect(function() {
+                regions.skipList('google', ['us-east-1']);
+            }).to.throw('Invalid google region: us-east-1');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+var path = require('path');
+var minimatch = require('minimatch');
+var pluginLoader = require('./plugins');
+
+// The plugin fields a filter can match, in the format field:pattern. A
+// pattern without a field matches the plugin ID.
+var FIELDS = ['plugin', 'category', 'domain', 'severity', 'compliance', 'service'];
+
+/**
+ * Returns the service folder of a plugin, e.g. "s3" for
+ * plugins/aws/s3/bucketEncryption.js.
+ * @param {Object} plugin The plugin, as in exports.js
+ * @return {string} The service folder or undefined if the file of the
+ * plugin was not registered (see helpers/plugins.js)
+ */
+var service = function(plugin) {
+    var filename = pluginLoader.file(plugin);
+    if (!filename) return;
+    return path.basename(path.dirname(filename));
+};
+
+var values = function(field, pluginId, plugin) {
+    if (field === 'plugin') return [pluginId];
+    if (field === 'compliance') return Object.keys(plugin.compliance || {});
+    if (field === 'service') return [service(plugin)];
+    return [plugin[field]];
+};
+
+var parse = function(filter) {
+    var index = filter.indexOf(':');
+    var field = index > -1 ? filter.substr(0, index).trim().toLowerCase() : 'plugin';
+    var pattern = index > -1 ? filter.substr(index + 1).trim() : filter.trim();
+
+    if (FIELDS.indexOf(field) === -1) {
+        throw new Error(`Invalid plugin filter: ${filter}. Expected format: field:pattern, where field is one of ${FIELDS.join(', ')}`);
+    }
+    if (!pattern) throw new Error(`Invalid plugin filter: ${filter}. The pattern cannot be empty`);
+
+    return function(pluginId, plugin) {
+        return values(field, pluginId, plugin).some(function(value) {
+            return !!value && minimatch(String(value), pattern, {nocase: true});
+        });
+    };
+};
+
+/**
+ * Creates a function selecting plugins from include and exclude filters.
+ * Filters have the format field:pattern (e.g. category:S3 or service:ec2),
+ * where the pattern is a glob. A filter without a field matches the plugin ID.
+ * A plugin is selected when it matches any include filter, or there are none,
+ * and no exclude filter.
+ * @param {string[]} includes The include filters
+ * @param {string[]} excludes The exclude filters
+ * @return {Function} A function taking the plugin ID and plugin
+ */
+var create = function(includes, excludes) {
+    var includeFilters = (includes || []).map(parse);
+    var excludeFilters = (excludes || []).map(parse);
+
+    return function(pluginId, plugin) {
+        if (includeFilters.length && !includeFilters.some(function(filter) { return filter(pluginId, plugin); })) return false;
+        return !excludeFilters.some(function(filter) { return filter(pluginId, plugin); });
+    };
+};
+
+module.exports = {
+    FIELDS: FIELDS,
+    service: service,
+    create: create
+};
@@ -0,0 +1,62 @@
+var expect = require('chai').expect;
+var selection = require('./selection');
+var bucketEncryption = require('../exports').aws.bucketEncryption;
+
+var plugin = {
+    title: 'Instance Public IP',
+    category: 'EC2',
+    domain: 'Compute',
+    severity: 'High',
+    compliance: {pci: 'PCI requirement', hipaa: 'HIPAA requirement'}
+};
+
+describe('selection', function () {
+    describe('service', function () {
+        it('should return the service folder of a plugin', function () {
+            expect(selection.service(bucketEncryption)).to.equal('s3');
+        });
+
+        it('should return undefined for a plugin that was not registered', function () {
+            expect(selection.service(plugin)).to.be.undefined;
+        });
+    });
+
+    describe('create', function () {
+        it('should select every plugin without filters', function () {
+            expect(selection.create()('instancePublicIp', plugin)).to.equal(true);
+        });
+
+        it('should match plugin ID globs', function () {
+            var select = selection.create(['instance*']);
+            expect(select('instancePublicIp', plugin)).to.equal(true);
+            expect(select('bucketEncryption', bucketEncryption)).to.equal(false);
+        });
+
+        it('should match plugin fields regardless of case', function () {
+            expect(selection.create(['category:ec2'])('instancePublicIp', plugin)).to.equal(true);
+            expect(selection.create(['domain:Comp*'])('instancePublicIp', plugin)).to.equal(true);
+            expect(selection.create(['severity:high'])('instancePublicIp', plugin)).to.equal(true);
+            expect(selection.create(['compliance:hipaa'])('instancePublicIp', plugin)).to.equal(true);
+            expect(selection.create(['compliance:cis*'])('instancePublicIp', plugin)).to.equal(false);
+        });
+
+        it('should match the service folder', function () {
+            var select = selection.create(['service:s3']);
+            expect(select('bucketEncryption', bucketEncryption)).to.equal(true);
+            expect(select('instancePublicIp', plugin)).to.equal(false);
+        });
+
+        it('should select plugins matching any include and no exclude', function () {
+            var select = selection.create(['category:EC2', 'category:S3'], ['severity:High']);
+            expect(select('instancePublicIp', plugin)).to.equal(false);
+            expect(select('bucketVersioning', {category: 'S3', severity: 'Low'})).to.equal(true);
+            expect(select('iamRolePolicies', {category: 'IAM', severity: 'Low'})).to.equal(false);
+        });
+
+        it('should throw for an unknown field', function () {
+            expect(function() {
+                selection.create(['region:us-east-1']);
+            }).to.throw('Invalid plugin filter: region:us-east-1');
+        });
+    });
+});
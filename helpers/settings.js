@@ -0,0 +1,101 @@
+var fs = require('fs');
+
+/**
+ * Parses a list of key=value strings, as passed through repeated --set
+ * flags, into a settings object. Everything after the first "=" is
+ * treated as the value so that values may contain "=" themselves.
+ * @param {string[]} pairs The key=value strings
+ * @return {Object} The parsed settings
+ */
+var parsePairs = function(pairs) {
+    var parsed = {};
+    if (!pairs) return parsed;
+
+    pairs.forEach(function(pair) {
+        var index = pair.indexOf('=');
+        if (index < 1) {
+            throw new Error(`Invalid setting: ${pair}. Expected format: key=value`);
+        }
+        parsed[pair.substr(0, index).trim()] = pair.substr(index + 1);
+    });
+
+    return parsed;
+};
+
+/**
+ * Loads plugin settings from a JSON file. The file must contain a single
+ * object mapping setting keys to values.
+ * @param {string} path The path to the JSON file
+ * @return {Object} The settings contained in the file
+ */
+var loadFile = function(path) {
+    var contents = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new Error(`Settings file ${path} must contain a JSON object`);
+    }
+    return contents;
+};
+
+// Plugins compare their settings as strings (e.g. == 'true'), so values
+// coming from JSON or the config file are normalized the same way.
+var normalizeValue = function(value) {
+    if (Array.isArray(value)) return value.join(',');
+    if (value === null || value === undefined) return '';
+    return String(value);
+};
+
+/**
+ * Validates the provided plugin settings against the settings declared
+ * by the plugins of a cloud.
+ * @param {Object} plugins The plugins keyed by plugin ID, as in exports.js
+ * @param {Object} pluginSettings The user-provided settings
+ * @return {Object} An object with the normalized, known "settings", the
+ * "unknown" keys and the validation "errors"
+ */
+var validate = function(plugins, pluginSettings) {
+    var declared = {};
+    Object.keys(plugins).forEach(function(pluginId) {
+        var plugin = plugins[pluginId];
+        if (!plugin.settings) return;
+        Object.keys(plugin.settings).forEach(function(key) {
+            if (!declared[key]) declared[key] = [];
+            declared[key].push({pluginId: pluginId, regex: plugin.settings[key].regex});
+        });
+    });
+
+    var validated = {
+        settings: {},
+        unknown: [],
+        errors: []
+    };
+
+    Object.keys(pluginSettings || {}).forEach(function(key) {
+        if (!declared[key]) return validated.unknown.push(key);
+
+        var value = normalizeValue(pluginSettings[key]);
+        var rejectedBy = declared[key].filter(function(declaration) {
+            if (!declaration.regex) return false;
+            try {
+                return !(new RegExp(declaration.regex)).test(value);
+            } catch (e) {
+                // An invalid regex in a plugin should not block the scan
+                return false;
+            }
+        });
+
+        if (rejectedBy.length) {
+            validated.errors.push(`Invalid value for setting ${key}: ${value}. ` +
+                `Must match ${rejectedBy[0].regex} (used by ${rejectedBy.map(d => d.pluginId).join(', ')})`);
+        } else {
+            validated.settings[key] = value;
+        }
+    });
+
+    return validated;
+};
+
+module.exports = {
+    parsePairs: parsePairs,
+    loadFile: loadFile,
+    validate: validate
+};
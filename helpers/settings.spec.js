@@ -0,0 +1,67 @@
+var expect = require('chai').expect;
+var pluginSettings = require('./settings');
+
+var plugins = {
+    pluginOne: {
+        settings: {
+            allow_static: {
+                name: 'Allow Static',
+                description: 'Allow static',
+                regex: '^(true|false)$',
+                default: 'false'
+            }
+        }
+    },
+    pluginTwo: {
+        settings: {
+            max_days: {
+                name: 'Max Days',
+                description: 'Max days',
+                regex: '^[1-9]{1}[0-9]{0,3}$',
+                default: '90'
+            }
+        }
+    },
+    pluginThree: {}
+};
+
+describe('settings', function () {
+    describe('parsePairs', function () {
+        it('should return an empty object when no pairs are provided', function () {
+            expect(pluginSettings.parsePairs()).to.deep.equal({});
+        });
+
+        it('should split each pair on the first equals sign', function () {
+            expect(pluginSettings.parsePairs(['allow_static=true', 'filter=a=b']))
+                .to.deep.equal({allow_static: 'true', filter: 'a=b'});
+        });
+
+        it('should throw when a pair has no key', function () {
+            expect(function() { pluginSettings.parsePairs(['=true']); }).to.throw('Invalid setting');
+            expect(function() { pluginSettings.parsePairs(['allow_static']); }).to.throw('Invalid setting');
+        });
+    });
+
+    describe('validate', function () {
+        it('should accept values matching the plugin regex', function () {
+            var validated = pluginSettings.validate(plugins, {allow_static: true, max_days: 30});
+            expect(validated.errors).to.be.empty;
+            expect(validated.unknown).to.be.empty;
+            expect(validated.settings).to.deep.equal({allow_static: 'true', max_days: '30'});
+        });
+
+        it('should report values not matching the plugin regex', function () {
+            var validated = pluginSettings.validate(plugins, {allow_static: 'yes'});
+            expect(validated.errors).to.have.lengthOf(1);
+            expect(validated.errors[0]).to.include('allow_static');
+            expect(validated.errors[0]).to.include('pluginOne');
+            expect(validated.settings).to.deep.equal({});
+        });
+
+        it('should report unknown keys', function () {
+            var validated = pluginSettings.validate(plugins, {not_a_setting: 'true'});
+            expect(validated.unknown).to.deep.equal(['not_a_setting']);
+            expect(validated.errors).to.be.empty;
+        });
+    });
+});
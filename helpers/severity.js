@@ -0,0 +1,112 @@
+// Plugin severities, from the least to the most severe
+var SEVERITIES = ['Info', 'Low', 'Medium', 'High', 'Critical'];
+
+// Plugins without a valid severity are treated as Medium
+var DEFAULT_SEVERITY = 'Medium';
+
+var STATUSES = ['OK', 'WARN', 'FAIL', 'UNKNOWN'];
+
+/**
+ * Returns the canonical spelling of a severity, e.g. "MEDIUM" becomes
+ * "Medium".
+ * @param {string} severity The severity to normalize
+ * @return {string} The canonical severity or undefined if it is not valid
+ */
+var normalize = function(severity) {
+    if (!severity || typeof severity !== 'string') return;
+    return SEVERITIES.find(function(s) {
+        return s.toLowerCase() === severity.trim().toLowerCase();
+    });
+};
+
+/**
+ * Normalizes the severity of each plugin in place.
+ * @param {Object} plugins The plugins keyed by plugin ID, as in exports.js
+ * @return {string[]} A warning for each plugin whose severity was changed
+ */
+var normalizePlugins = function(plugins) {
+    var warnings = [];
+    Object.keys(plugins).forEach(function(pluginId) {
+        var plugin = plugins[pluginId];
+        var severity = normalize(plugin.severity);
+        if (severity && severity === plugin.severity) return;
+
+        if (severity) {
+            warnings.push(`Plugin ${pluginId} has severity "${plugin.severity}", using ${severity}`);
+        } else {
+            severity = DEFAULT_SEVERITY;
+            warnings.push(`Plugin ${pluginId} has ${plugin.severity ? `an invalid severity "${plugin.severity}"` : 'no severity'}, using ${severity}`);
+        }
+        plugin.severity = severity;
+    });
+    return warnings;
+};
+
+/**
+ * Compares two severities.
+ * @return {number} A negative number if a is less severe than b, 0 if they
+ * are the same or a positive number otherwise
+ */
+var compare = function(a, b) {
+    return SEVERITIES.indexOf(normalize(a)) - SEVERITIES.indexOf(normalize(b));
+};
+
+/**
+ * Creates a filter selecting plugins by severity.
+ * @param {string} minSeverity (Optional) The least severe severity to keep
+ * @param {string[]} severities (Optional) The only severities to keep
+ * @return {Function} A function returning whether a plugin severity is kept
+ */
+var createFilter = function(minSeverity, severities) {
+    if (minSeverity && !normalize(minSeverity)) {
+        throw new Error(`Invalid severity: ${minSeverity}. Expected one of: ${SEVERITIES.join(', ')}`);
+    }
+    var included = (severities || []).map(function(severity) {
+        if (!normalize(severity)) throw new Error(`Invalid severity: ${severity}. Expected one of: ${SEVERITIES.join(', ')}`);
+        return normalize(severity);
+    });
+
+    return function(severity) {
+        if (minSeverity && compare(severity, minSeverity) < 0) return false;
+        if (included.length && included.indexOf(normalize(severity)) === -1) return false;
+        return true;
+    };
+};
+
+/**
+ * Parses --fail-on expressions of the format STATUS>=Severity, e.g.
+ * FAIL>=High, into a function matching the results they apply to. A result
+ * matches when its status is at least STATUS and its plugin severity matches
+ * the operator (>=, > or =).
+ * @param {string[]} expressions The expressions
+ * @return {Function} A function taking a result status and plugin severity
+ */
+var parseFailOn = function(expressions) {
+    var conditions = (expressions || []).map(function(expression) {
+        var match = /^\s*([A-Za-z]+)\s*(>=|>|=)\s*([A-Za-z]+)\s*$/.exec(expression);
+        var status = match && STATUSES.indexOf(match[1].toUpperCase());
+        if (!match || status === -1 || !normalize(match[3])) {
+            throw new Error(`Invalid --fail-on expression: ${expression}. Expected format: STATUS>=Severity, e.g. FAIL>=High`);
+        }
+        return {status: status, operator: match[2], severity: normalize(match[3])};
+    });
+
+    return function(status, severity) {
+        return conditions.some(function(condition) {
+            if (status < condition.status) return false;
+            var comparison = compare(severity || DEFAULT_SEVERITY, condition.severity);
+            if (condition.operator === '>=') return comparison >= 0;
+            if (condition.operator === '>') return comparison > 0;
+            return comparison === 0;
+        });
+    };
+};
+
+module.exports = {
+    SEVERITIES: SEVERITIES,
+    normalize: normalize,
+    normalizePlugins: normalizePlugins,
+    compare: compare,
+    createFilter: createFilter,
+    parseFailOn: parseFailOn
+};
@@ -0,0 +1,89 @@
+var expect = require('chai').expect;
+var severity = require('./severity');
+
+describe('severity', function () {
+    describe('normalize', function () {
+        it('should return the canonical severity', function () {
+            expect(severity.normalize('MEDIUM')).to.equal('Medium');
+            expect(severity.normalize('low')).to.equal('Low');
+            expect(severity.normalize('High')).to.equal('High');
+        });
+
+        it('should return undefined for an invalid severity', function () {
+            expect(severity.normalize('')).to.be.undefined;
+            expect(severity.normalize('Severe')).to.be.undefined;
+            expect(severity.normalize()).to.be.undefined;
+        });
+    });
+
+    describe('normalizePlugins', function () {
+        it('should normalize the plugin severities with a warning', function () {
+            var plugins = {
+                valid: {severity: 'High'},
+                upper: {severity: 'MEDIUM'},
+                empty: {severity: ''},
+                missing: {}
+            };
+            var warnings = severity.normalizePlugins(plugins);
+
+            expect(plugins.valid.severity).to.equal('High');
+            expect(plugins.upper.severity).to.equal('Medium');
+            expect(plugins.empty.severity).to.equal('Medium');
+            expect(plugins.missing.severity).to.equal('Medium');
+            expect(warnings).to.have.length(3);
+            expect(warnings[0]).to.include('upper');
+        });
+    });
+
+    describe('createFilter', function () {
+        it('should keep every severity by default', function () {
+            var filter = severity.createFilter();
+            expect(filter('Info')).to.equal(true);
+        });
+
+        it('should keep the minimum severity or higher', function () {
+            var filter = severity.createFilter('high');
+            expect(filter('Medium')).to.equal(false);
+            expect(filter('High')).to.equal(true);
+            expect(filter('Critical')).to.equal(true);
+        });
+
+        it('should keep the included severities only', function () {
+            var filter = severity.createFilter(null, ['Low', 'critical']);
+            expect(filter('Low')).to.equal(true);
+            expect(filter('Medium')).to.equal(false);
+            expect(filter('Critical')).to.equal(true);
+        });
+
+        it('should throw for an invalid severity', function () {
+            expect(function() {
+                severity.createFilter('Severe');
+            }).to.throw('Invalid severity: Severe');
+        });
+    });
+
+    describe('parseFailOn', function () {
+        it('should match results of the status or worse and the severity or higher', function () {
+            var failOn = severity.parseFailOn(['FAIL>=High']);
+            expect(failOn(2, 'High')).to.equal(true);
+            expect(failOn(2, 'Critical')).to.equal(true);
+            expect(failOn(2, 'Medium')).to.equal(false);
+            expect(failOn(1, 'Critical')).to.equal(false);
+        });
+
+        it('should match any of several expressions', function () {
+            var failOn = severity.parseFailOn(['FAIL>=High', 'WARN=Critical']);
+            expect(failOn(1, 'Critical')).to.equal(true);
+            expect(failOn(1, 'High')).to.equal(false);
+        });
+
+        it('should throw for an invalid expression', function () {
+            expect(function() {
+                severity.parseFailOn(['FAIL>High>Low']);
+            }).to.throw('Invalid --fail-on expression');
+            expect(function() {
+                severity.parseFailOn(['BAD>=High']);
+            }).to.throw('Invalid --fail-on expression');
+        });
+    });
+});
@@ -2,6 +2,8 @@
 
 const { ArgumentParser } = require('argparse');
 const engine = require('./engine');
+const pluginSettings = require('./helpers/settings');
+const engineOptions = require('./helpers/options');
 
 
 console.log(`
@@ -33,6 +35,11 @@ parser.add_argument('--compliance', {
 parser.add_argument('--plugin', {
     help: 'A specific plugin to run. If none provided, all plugins will be run. Obtain from the exports.js file. E.g. acmValidation'
 });
+parser.add_argument('--plugin-dir', {
+    help: 'A directory of in-house plugins, with one folder per cloud laid out like plugins/. Its plugins run with the built-in ones, ' +
+        'their IDs prefixed with the directory name, e.g. acme.bucketTags. Can be provided several times',
+    action: 'append'
+});
 parser.add_argument('--govcloud', {
     help: 'AWS only. Enables GovCloud mode.',
     action: 'store_true'
@@ -41,15 +48,131 @@ parser.add_argument('--china', {
     help: 'AWS only. Enables AWS China mode.',
     action: 'store_true'
 });
+parser.add_argument('--regions', {
+    help: 'Only scans the provided regions (locations for Azure). Can be provided several times or as a comma-separated list. ' +
+        'Global services are always scanned',
+    action: 'append'
+});
+parser.add_argument('--skip-regions', {
+    help: 'Skips the provided regions (locations for Azure). Can be provided several times or as a comma-separated list',
+    dest: 'skip_regions',
+    action: 'append'
+});
+parser.add_argument('--aws-organization', {
+    help: 'AWS only. Scans every active account of the AWS Organization by assuming a role in each member account.',
+    action: 'store_true'
+});
+parser.add_argument('--aws-role-name', {
+    help: 'AWS only. The role to assume in each member account. Default: OrganizationAccountAccessRole'
+});
+parser.add_argument('--aws-external-id', {
+    help: 'AWS only. The ExternalId to pass when assuming the member account role.'
+});
+parser.add_argument('--azure-all-subscriptions', {
+    help: 'Azure only. Scans every subscription the service principal can access.',
+    action: 'store_true'
+});
+parser.add_argument('--azure-management-group', {
+    help: 'Azure only. Scans every subscription under the provided management group.'
+});
+parser.add_argument('--azure-subscription', {
+    help: 'Azure only. A subscription ID to scan when scanning several subscriptions. If none provided, all are scanned.',
+    dest: 'azure_subscriptions',
+    action: 'append'
+});
+parser.add_argument('--azure-skip-subscription', {
+    help: 'Azure only. A subscription ID to skip when scanning several subscriptions.',
+    dest: 'azure_skip_subscriptions',
+    action: 'append'
+});
+parser.add_argument('--gcp-org', {
+    help: 'Google only. Scans every active project of the provided organization ID.'
+});
+parser.add_argument('--gcp-folder', {
+    help: 'Google only. Scans every active project of the provided folder ID, including nested folders.'
+});
+parser.add_argument('--oracle-all-compartments', {
+    help: 'Oracle only. Scans every compartment of the tenancy in every subscribed region.',
+    action: 'store_true'
+});
+parser.add_argument('--account-concurrency', {
+    help: 'The number of accounts to scan at the same time. Default: 3',
+    type: 'int'
+});
 parser.add_argument('--csv', { help: 'Output: CSV file' });
 parser.add_argument('--json', { help: 'Output: JSON file' });
+parser.add_argument('--ndjson', { help: 'Output: NDJSON file, with one result per line written as soon as it is found' });
 parser.add_argument('--junit', { help: 'Output: Junit file' });
+parser.add_argument('--sarif', { help: 'Output: SARIF 2.1.0 file' });
+parser.add_argument('--html', { help: 'Output: self-contained HTML report' });
 parser.add_argument('--console', {
     help: 'Console output format. Default: table',
     choices: ['none', 'text', 'table'],
     default: 'table'
 });
 parser.add_argument('--collection', { help: 'Output: full collection JSON as file' });
+parser.add_argument('--collection-ndjson', {
+    help: 'Output: full collection as an NDJSON file, with one API call result per line, written as each account is collected'
+});
+parser.add_argument('--collection-report', {
+    help: 'Output: JSON report of every API call, with the regions and resources it covered, its duration, its retries and its permission denied, throttled and other errors'
+});
+parser.add_argument('--from-collection', {
+    help: 'Runs the plugins against a collection file saved with --collection or --collection-ndjson instead of querying the cloud provider. Use --cloud to set its provider (default: aws)'
+});
+parser.add_argument('--checkpoint', {
+    help: 'AWS only. A directory where each collected result is saved as it completes, so that an interrupted scan can be resumed with --resume'
+});
+parser.add_argument('--resume', {
+    help: 'Resumes a scan from the results saved in the --checkpoint directory, only collecting the remaining ones',
+    action: 'store_true'
+});
+parser.add_argument('--cache-dir', {
+    help: 'A directory where the AWS, Azure and Google API responses are cached, so that scans run within --cache-ttl are served from it. Default: ./.cloudsploit-cache'
+});
+parser.add_argument('--cache-ttl', {
+    help: 'The number of seconds cached API responses are served for. Enables the cache. Default: 3600',
+    type: 'int'
+});
+parser.add_argument('--no-cache', {
+    help: 'Disables the API response cache set in the config file',
+    action: 'store_true'
+});
+parser.add_argument('--refresh', {
+    help: 'Makes every API call again and saves the new responses to the cache',
+    action: 'store_true'
+});
+parser.add_argument('--baseline', {
+    help: 'The JSON output of a previous scan. Each result is reported as NEW, UNCHANGED, STATUS_CHANGED or RESOLVED, and --exit-code only considers new failures'
+});
+parser.add_argument('--include', {
+    help: 'Only run plugins matching the filter. Format: field:pattern, where field is one of plugin, category, domain, severity, compliance or service and pattern is a glob. A pattern without a field matches the plugin ID. Can be repeated',
+    action: 'append'
+});
+parser.add_argument('--exclude', {
+    help: 'Do not run plugins matching the filter. Same format as --include. Can be repeated',
+    action: 'append'
+});
+parser.add_argument('--list-plugins', {
+    help: 'Prints the plugins that would run and the API calls they require, without scanning',
+    action: 'store_true'
+});
+parser.add_argument('--print-permissions', {
+    help: 'Prints the IAM policy (AWS) or custom role (Azure, Google) granting the API calls of the selected plugins, without scanning',
+    action: 'store_true'
+});
+parser.add_argument('--min-severity', {
+    help: 'Only run plugins of the provided severity or higher. One of: Info, Low, Medium, High, Critical'
+});
+parser.add_argument('--severity', {
+    help: 'Only run plugins of the provided severity. Can be repeated',
+    dest: 'severities',
+    action: 'append'
+});
+parser.add_argument('--fail-on', {
+    help: 'Exits with a non-zero status code if a result matches the expression. Format: STATUS>=Severity, e.g. FAIL>=High. Can be repeated',
+    action: 'append'
+});
 parser.add_argument('--ignore-ok', {
     help: 'Ignore passing (OK) results',
     action: 'store_true'
@@ -66,13 +189,34 @@ parser.add_argument('--suppress', {
     help: 'Suppress results matching the provided Regex. Format: pluginId:region:resourceId',
     action: 'append'
 });
+parser.add_argument('--suppressions', {
+    help: 'A JSON or YAML file of suppression rules, each with a match in the --suppress format, a reason and an optional owner, ticket and expiry date'
+});
+parser.add_argument('--suppression-report', {
+    help: 'Output: JSON report of the results suppressed by each suppression rule, and of the rules that never matched or expired'
+});
+parser.add_argument('--suppress-tag', {
+    help: 'Accepts the results of AWS, Azure, Google and Oracle resources tagged or labeled to suppress them, reporting them apart. ' +
+        'Format of the tag: pluginId1,pluginId2;reason=text. Optionally takes the tag key. Default: cloudsploit-suppress',
+    nargs: '?',
+    const: 'cloudsploit-suppress'
+});
 parser.add_argument('--remediate', {
     help: 'Run remediation the provided plugin',
     action: 'append'
 });
 parser.add_argument('--cloud', {
-    help: 'The name of cloud to run plugins for. If not provided, logic will assume cloud from config.js file based on provided credentials',
-    choices: ['aws', 'azure', 'github', 'google', 'oracle','alibaba'],
+    help: 'The name of cloud to run plugins for. If not provided, logic will assume cloud from config.js file based on provided credentials. ' +
+        'Can be provided several times, or as "all" for every cloud with credentials in the config file, to scan several clouds in one run',
+    choices: ['aws', 'azure', 'github', 'google', 'oracle', 'alibaba', 'all'],
+    action: 'append'
+});
+parser.add_argument('--settings', {
+    help: 'A JSON file containing plugin settings, e.g. {"s3_allow_unencrypted_static_websites": "true"}',
+    dest: 'settings_file'
+});
+parser.add_argument('--set', {
+    help: 'Set a plugin setting, overriding the config and settings files. Format: key=value',
     action: 'append'
 });
 parser.add_argument('--run-asl', {
@@ -80,10 +224,44 @@ parser.add_argument('--run-asl', {
     action: 'store_false'
 });
 
+parser.set_defaults(engineOptions.DEFAULTS);
+
+// The clouds in the order their credentials are looked for when --cloud is
+// not provided
+var CLOUDS = ['aws', 'azure', 'google', 'oracle', 'github', 'alibaba'];
+
 let settings = parser.parse_args();
 let cloudConfig = {};
+let clouds = (settings.cloud || []).filter(function(cloud, index, all) {
+    return all.indexOf(cloud) === index;
+});
+
+// Plugin settings passed through --set take precedence over the --settings file
+try {
+    settings.plugin_settings = Object.assign({},
+        settings.settings_file ? pluginSettings.loadFile(settings.settings_file) : {},
+        pluginSettings.parsePairs(settings.set));
+} catch (e) {
+    console.error(`ERROR: Plugin settings could not be loaded: ${e.message}`);
+    process.exit(1);
+}
 
 // Now execute the scans using the defined configuration information.
+if (!settings.config && (settings.from_collection || settings.list_plugins || settings.print_permissions)) {
+    // Listing plugins or permissions, or analyzing a saved collection, does not need credentials
+    if (clouds.indexOf('all') > -1) clouds = CLOUDS;
+    if (clouds.length > 1) {
+        settings.clouds = clouds;
+        settings.cloud = null;
+        clouds.forEach(function(cloud) {
+            cloudConfig[cloud] = {};
+        });
+    } else {
+        settings.cloud = clouds[0] || 'aws';
+    }
+    return engine(cloudConfig, settings);
+}
+
 if (!settings.config) {
     settings.cloud = 'aws';
     // AWS will handle the default credential chain without needing a credential file
@@ -111,6 +289,21 @@ try {
     process.exit(1);
 }
 
+// Settings in the config file have the lowest precedence
+if (config.settings) settings.plugin_settings = Object.assign({}, config.settings, settings.plugin_settings);
+
+// The cache block of the config file enables the API response cache, with
+// command line arguments taking precedence
+if (config.cache) {
+    if (!settings.cache_dir) settings.cache_dir = config.cache.dir;
+    if (!settings.cache_ttl) settings.cache_ttl = config.cache.ttl;
+}
+
+// The plugin directories of the config file are used unless --plugin-dir is provided
+if (config.plugin_dirs && !(settings.plugin_dir && settings.plugin_dir.length)) {
+    settings.plugin_dir = [].concat(config.plugin_dirs);
+}
+
 function loadHelperFile(path) {
     try {
         var contents = require(path);
@@ -131,105 +324,192 @@ function checkRequiredKeys(obj, keys) {
     });
 }
 
-if (config.credentials.aws.credential_file && (!settings.cloud || (settings.cloud == 'aws'))) {
-    settings.cloud = 'aws';
-    cloudConfig = loadHelperFile(config.credentials.aws.credential_file);
-    if (!cloudConfig || !cloudConfig.accessKeyId || !cloudConfig.secretAccessKey) {
-        console.error('ERROR: AWS credential file does not have accessKeyId or secretAccessKey properties');
-        process.exit(1);
-    }
-} else if (config.credentials.aws.access_key && (!settings.cloud || (settings.cloud == 'aws'))) {
-    settings.cloud = 'aws';
-    checkRequiredKeys(config.credentials.aws, ['secret_access_key']);
-    cloudConfig = {
-        accessKeyId: config.credentials.aws.access_key,
-        secretAccessKey: config.credentials.aws.secret_access_key,
-        sessionToken: config.credentials.aws.session_token,
-        region: 'us-east-1'
-    };
-} else if (config.credentials.azure.credential_file && (!settings.cloud || (settings.cloud == 'azure'))) {
-    settings.cloud = 'azure';
-    cloudConfig = loadHelperFile(config.credentials.azure.credential_file);
-    if (!cloudConfig || !cloudConfig.ApplicationID || !cloudConfig.KeyValue || !cloudConfig.DirectoryID || !cloudConfig.SubscriptionID) {
-        console.error('ERROR: Azure credential file does not have ApplicationID, KeyValue, DirectoryID, or SubscriptionID');
-        process.exit(1);
-    }
-    cloudConfig.location = 'East US';
-} else if (config.credentials.azure.application_id && (!settings.cloud || (settings.cloud == 'azure'))) {
-    settings.cloud = 'azure';
-    checkRequiredKeys(config.credentials.azure, ['key_value', 'directory_id', 'subscription_id']);
-    cloudConfig = {
-        ApplicationID: config.credentials.azure.application_id,
-        KeyValue: config.credentials.azure.key_value,
-        DirectoryID: config.credentials.azure.directory_id,
-        SubscriptionID: config.credentials.azure.subscription_id,
-        location: 'East US',
-        Govcloud: config.credentials.azure.govcloud,
-        StorageConnection: config.credentials.azure.storage_connection,
-        BlobContainer: config.credentials.azure.blob_container
-    };
-} else if (config.credentials.google.credential_file && (!settings.cloud || (settings.cloud == 'google'))) {
-    settings.cloud = 'google';
-    cloudConfig = loadHelperFile(config.credentials.google.credential_file);
-    cloudConfig.project = cloudConfig.project_id;
-} else if (config.credentials.google.project && (!settings.cloud || (settings.cloud == 'google'))) {
-    settings.cloud = 'google';
-    checkRequiredKeys(config.credentials.google, ['client_email', 'private_key']);
-    cloudConfig = {
-        type: 'service_account',
-        project: config.credentials.google.project,
-        client_email: config.credentials.google.client_email,
-        private_key: config.credentials.google.private_key,
-    };
-} else if (config.credentials.oracle.credential_file && (!settings.cloud || (settings.cloud == 'oracle'))) {
-    settings.cloud = 'oracle';
-    cloudConfig = loadHelperFile(config.credentials.oracle.credential_file);
-    if (!cloudConfig || !cloudConfig.tenancyId || !cloudConfig.compartmentId || !cloudConfig.userId || !cloudConfig.keyValue || !cloudConfig.region) {
-        console.error('ERROR: Oracle credential file does not have tenancyId, compartmentId, userId, region, or keyValue');
-        process.exit(1);
+// Returns the configuration of a cloud built from its credentials in the
+// config file or undefined if the config file has none for it
+function loadCloudConfig(cloud) {
+    if (!config.credentials[cloud]) return;
+
+    var cloudConfig;
+    if (cloud == 'aws' && config.credentials.aws.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.aws.credential_file);
+        if (!cloudConfig || !cloudConfig.accessKeyId || !cloudConfig.secretAccessKey) {
+            console.error('ERROR: AWS credential file does not have accessKeyId or secretAccessKey properties');
+            process.exit(1);
+        }
+    } else if (cloud == 'aws' && config.credentials.aws.access_key) {
+        checkRequiredKeys(config.credentials.aws, ['secret_access_key']);
+        cloudConfig = {
+            accessKeyId: config.credentials.aws.access_key,
+            secretAccessKey: config.credentials.aws.secret_access_key,
+            sessionToken: config.credentials.aws.session_token,
+            region: 'us-east-1'
+        };
+    } else if (cloud == 'azure' && config.credentials.azure.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.azure.credential_file);
+        if (!cloudConfig || !cloudConfig.ApplicationID || !cloudConfig.KeyValue || !cloudConfig.DirectoryID || !cloudConfig.SubscriptionID) {
+            console.error('ERROR: Azure credential file does not have ApplicationID, KeyValue, DirectoryID, or SubscriptionID');
+            process.exit(1);
+        }
+    } else if (cloud == 'azure' && config.credentials.azure.application_id) {
+        checkRequiredKeys(config.credentials.azure, ['key_value', 'directory_id', 'subscription_id']);
+        cloudConfig = {
+            ApplicationID: config.credentials.azure.application_id,
+            KeyValue: config.credentials.azure.key_value,
+            DirectoryID: config.credentials.azure.directory_id,
+            SubscriptionID: config.credentials.azure.subscription_id,
+            location: 'East US',
+            Govcloud: config.credentials.azure.govcloud,
+            StorageConnection: config.credentials.azure.storage_connection,
+            BlobContainer: config.credentials.azure.blob_container
+        };
+    } else if (cloud == 'google' && config.credentials.google.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.google.credential_file);
+    } else if (cloud == 'google' && config.credentials.google.project) {
+        checkRequiredKeys(config.credentials.google, ['client_email', 'private_key']);
+        cloudConfig = {
+            type: 'service_account',
+            project: config.credentials.google.project,
+            client_email: config.credentials.google.client_email,
+            private_key: config.credentials.google.private_key,
+        };
+    } else if (cloud == 'oracle' && config.credentials.oracle.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.oracle.credential_file);
+        if (!cloudConfig || !cloudConfig.tenancyId || !cloudConfig.compartmentId || !cloudConfig.userId || !cloudConfig.keyValue || !cloudConfig.region) {
+            console.error('ERROR: Oracle credential file does not have tenancyId, compartmentId, userId, region, or keyValue');
+            process.exit(1);
+        }
+    } else if (cloud == 'oracle' && config.credentials.oracle.tenancy_id) {
+        checkRequiredKeys(config.credentials.oracle, ['compartment_id', 'user_id', 'key_fingerprint', 'key_value']);
+        cloudConfig = {
+            RESTversion: '/20160918',
+            tenancyId: config.credentials.oracle.tenancy_id,
+            compartmentId: config.credentials.oracle.compartment_id,
+            userId: config.credentials.oracle.user_id,
+            keyFingerprint: config.credentials.oracle.key_fingerprint,
+            keyValue: config.credentials.oracle.key_value,
+            region: config.credentials.oracle.region,
+        };
+    } else if (cloud == 'github' && config.credentials.github.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.github.credential_file);
+    } else if (cloud == 'github' && config.credentials.github.token) {
+        checkRequiredKeys(config.credentials.github, ['url', 'login']);
+        cloudConfig = {
+            token: config.credentials.github.token,
+            url: config.credentials.github.url,
+            organization: config.credentials.github.organization,
+            login: config.credentials.github.login
+        };
+    } else if (cloud == 'alibaba' && config.credentials.alibaba.credential_file) {
+        cloudConfig = loadHelperFile(config.credentials.alibaba.credential_file);
+    } else if (cloud == 'alibaba' && config.credentials.alibaba.access_key_id) {
+        checkRequiredKeys(config.credentials.alibaba, ['access_key_secret']);
+        cloudConfig = {
+            accessKeyId: config.credentials.alibaba.access_key_id,
+            accessKeySecret: config.credentials.alibaba.access_key_secret
+        };
     }
+    return engineOptions.credentials(cloud, cloudConfig);
+}
 
-    cloudConfig.RESTversion = '/20160918';
-} else if (config.credentials.oracle.tenancy_id && (!settings.cloud || (settings.cloud == 'oracle'))) {
-    settings.cloud = 'oracle';
-    checkRequiredKeys(config.credentials.oracle, ['compartment_id', 'user_id', 'key_fingerprint', 'key_value']);
-    cloudConfig = {
-        RESTversion: '/20160918',
-        tenancyId: config.credentials.oracle.tenancy_id,
-        compartmentId: config.credentials.oracle.compartment_id,
-        userId: config.credentials.oracle.user_id,
-        keyFingerprint: config.credentials.oracle.key_fingerprint,
-        keyValue: config.credentials.oracle.key_value,
-        region: config.credentials.oracle.region,
-    };
-} else if (config.credentials.github.credential_file && (!settings.cloud || (settings.cloud == 'github'))) {
-    settings.cloud = 'github';
-    cloudConfig = loadHelperFile(config.credentials.github.credential_file);
-} else if (config.credentials.github.token && (!settings.cloud || (settings.cloud == 'github'))) {
-    settings.cloud = 'github';
-    checkRequiredKeys(config.credentials.github, ['url', 'login']);
-    cloudConfig = {
-        token: config.credentials.github.token,
-        url: config.credentials.github.url,
-        organization: config.credentials.github.organization,
-        login: config.credentials.github.login
-    };
-} else if (config.credentials.alibaba.credential_file && (!settings.cloud || (settings.cloud == 'alibaba'))) {
-    settings.cloud = 'alibaba';
-    cloudConfig = loadHelperFile(config.credentials.alibaba.credential_file);
-} else if (config.credentials.alibaba.access_key_id && (!settings.cloud || (settings.cloud == 'alibaba'))) {
-    settings.cloud = 'alibaba';
-    checkRequiredKeys(config.credentials.alibaba, ['access_key_secret']);
-    cloudConfig = {
-        accessKeyId: config.credentials.alibaba.access_key_id,
-        accessKeySecret: config.credentials.alibaba.access_key_secret
-    };
-} else {
+// --cloud can be provided several times, or as "all" for every cloud with
+// credentials in the config file, to scan several clouds in one run. Without
+// it, the first cloud with credentials is scanned.
+var scanAll = clouds.indexOf('all') > -1;
+var cloudConfigs = {};
+CLOUDS.forEach(function(cloud) {
+    if (clouds.length && !scanAll && clouds.indexOf(cloud) === -1) return;
+    if (!clouds.length && Object.keys(cloudConfigs).length) return;
+    var loaded = loadCloudConfig(cloud);
+    if (loaded) cloudConfigs[cloud] = loaded;
+});
+
+if (scanAll || !clouds.length) clouds = Object.keys(cloudConfigs);
+var missingClouds = clouds.filter(function(cloud) {
+    return !cloudConfigs[cloud];
+});
+
+if (settings.from_collection) {
+    // A saved collection can be analyzed without any credentials
+    if (!clouds.length) clouds = ['aws'];
+    clouds.forEach(function(cloud) {
+        if (!cloudConfigs[cloud]) cloudConfigs[cloud] = {};
+    });
+} else if (!clouds.length) {
     console.error('ERROR: Config file does not contain any valid credential configs.');
     process.exit(1);
+} else if (missingClouds.length) {
+    console.error(`ERROR: Config file does not contain valid credential configs for: ${missingClouds.join(', ')}`);
+    process.exit(1);
+}
+
+if (clouds.length > 1) {
+    settings.clouds = clouds;
+    settings.cloud = null;
+    cloudConfig = cloudConfigs;
+} else {
+    settings.cloud = clouds[0];
+    cloudConfig = cloudConfigs[settings.cloud];
+}
+
+// The regions and skip_regions of each cloud in the config file, which
+// --regions and --skip-regions take precedence over
+settings.region_filters = {};
+clouds.forEach(function(cloud) {
+    var credentials = config.credentials[cloud] || {};
+    if (credentials.regions || credentials.skip_regions) {
+        settings.region_filters[cloud] = {
+            regions: credentials.regions,
+            skip_regions: credentials.skip_regions
+        };
+    }
+});
+
+// The organization block of the AWS config enables multi-account scanning,
+// with command line arguments taking precedence
+if (clouds.indexOf('aws') > -1 && config.credentials.aws.organization) {
+    settings.aws_organization = true;
+    if (!settings.aws_role_name) settings.aws_role_name = config.credentials.aws.organization.role_name;
+    if (!settings.aws_external_id) settings.aws_external_id = config.credentials.aws.organization.external_id;
+    if (!settings.account_concurrency) settings.account_concurrency = config.credentials.aws.organization.concurrency;
+}
+
+// The subscriptions block of the Azure config enables scanning several
+// subscriptions, with command line arguments taking precedence
+if (clouds.indexOf('azure') > -1 && config.credentials.azure.subscriptions) {
+    settings.azure_all_subscriptions = true;
+    if (!settings.azure_management_group) settings.azure_management_group = config.credentials.azure.subscriptions.management_group;
+    if (!settings.azure_subscriptions) settings.azure_subscriptions = config.credentials.azure.subscriptions.include;
+    if (!settings.azure_skip_subscriptions) settings.azure_skip_subscriptions = config.credentials.azure.subscriptions.exclude;
+    if (!settings.account_concurrency) settings.account_concurrency = config.credentials.azure.subscriptions.concurrency;
+}
+
+// Filtering by management group or subscription list implies scanning several subscriptions
+if (settings.azure_management_group || (settings.azure_subscriptions && settings.azure_subscriptions.length)) {
+    settings.azure_all_subscriptions = true;
+}
+
+// The projects block of the Google config enables scanning every project
+// of an organization or folder, with command line arguments taking precedence
+if (clouds.indexOf('google') > -1 && config.credentials.google.projects) {
+    if (!settings.gcp_org && !settings.gcp_folder) {
+        settings.gcp_org = config.credentials.google.projects.organization_id;
+        settings.gcp_folder = config.credentials.google.projects.folder_id;
+    }
+    if (!settings.account_concurrency) settings.account_concurrency = config.credentials.google.projects.concurrency;
+}
+
+// The compartments block of the Oracle config enables scanning every
+// compartment, with command line arguments taking precedence
+if (clouds.indexOf('oracle') > -1 && config.credentials.oracle.compartments) {
+    settings.oracle_all_compartments = true;
+    if (!settings.account_concurrency) settings.account_concurrency = config.credentials.oracle.compartments.concurrency;
 }
 
 if (settings.remediate && settings.remediate.length) {
+    if (settings.clouds) {
+        console.error('ERROR: Remediation is only supported when scanning a single cloud.');
+        process.exit(1);
+    }
     if (!config.credentials[`${settings.cloud}_remediate`]) {
         console.error('ERROR: No credentials provided for remediation.');
         process.exit(1);
@@ -57,7 +57,7 @@ function call(OracleConfig, options, callback) {
                     respBodyArr = respBodyArr.concat(respBody);
                 }
                 if (this.headers && this.headers['opc-next-page']) {
-                    innerOptions.path = originalPath + '&page=' + this.headers['opc-next-page'];
+                    innerOptions.path = originalPath + (originalPath.indexOf('?') > -1 ? '&' : '?') + 'page=' + encodeURIComponent(this.headers['opc-next-page']);
                     makeCall(innerOptions);
                 } else if (respBodyArr.length) {
                     callback(respBodyArr);
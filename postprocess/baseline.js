@@ -0,0 +1,122 @@
+var fs = require('fs');
+
+var STATUS_CODES = {
+    OK: 0,
+    WARN: 1,
+    FAIL: 2,
+    UNKNOWN: 3
+};
+
+function statusCode(statusWord) {
+    return STATUS_CODES[statusWord] !== undefined ? STATUS_CODES[statusWord] : 3;
+}
+
+// Results are matched on the same fields the JSON output writes, using the
+// same defaults for a missing resource or region.
+function resultKey(pluginKey, region, resource, account, cloud) {
+    return [cloud || '', account || '', pluginKey, region || 'Global', resource || 'N/A'].join('|');
+}
+
+// Plugin keys are only unique within a cloud, so results of scans covering
+// several clouds are qualified with their cloud
+function qualifiedKey(result) {
+    return result.cloud ? `${result.cloud}/${result.plugin}` : result.plugin;
+}
+
+module.exports = {
+    /**
+     * Loads the results of a previous scan written with --json.
+     * @param {string} path The path to the JSON results file
+     * @return {Object[]} The previous results
+     */
+    load: function(path) {
+        var previous = JSON.parse(fs.readFileSync(path, 'utf8'));
+        if (!Array.isArray(previous)) {
+            throw new Error(`Baseline file ${path} must contain the JSON output of a previous scan`);
+        }
+        return previous;
+    },
+
+    /**
+     * Creates an object that compares results to those of a previous scan.
+     * Each result is put in one of the NEW, UNCHANGED or STATUS_CHANGED
+     * buckets. Previous results that were not reported again are RESOLVED.
+     * @param {Object[]} previousResults The results of the previous scan, as
+     * written by the JSON output
+     */
+    create: function(previousResults) {
+        var previous = {};
+        (previousResults || []).forEach(function(previousResult) {
+            // Results resolved in the previous scan were not reported by it,
+            // and suppressed or accepted results are not compared
+            if (previousResult.change === 'RESOLVED' || previousResult.status === 'SUPPRESSED' || previousResult.acceptance) return;
+            var key = resultKey(previousResult.plugin, previousResult.region,
+                previousResult.resource, previousResult.account, previousResult.cloud);
+            if (!previous[key]) previous[key] = [];
+            previous[key].push(previousResult);
+        });
+
+        return {
+            /**
+             * Sets the "change" of a result and, when it was reported before,
+             * its "previousStatus".
+             * @param {Object} result The result returned by the plugin
+             * @param {string} pluginKey The plugin key, as in exports.js
+             * @param {string} account The account of the result, if any
+             * @return {string} The change of the result
+             */
+            compare: function(result, pluginKey, account) {
+                var matches = previous[resultKey(pluginKey, result.region, result.resource, account, result.cloud)];
+                if (!matches || !matches.length) {
+                    result.change = 'NEW';
+                    return result.change;
+                }
+
+                // Several results can share a key (e.g. a plugin reporting
+                // N/A resources), so prefer a previous result with the same
+                // status and only match each previous result once
+                var index = matches.findIndex(function(match) {
+                    return statusCode(match.status) === result.status;
+                });
+                if (index === -1) index = 0;
+                var match = matches.splice(index, 1)[0];
+
+                result.previousStatus = statusCode(match.status);
+                result.change = result.previousStatus === result.status ? 'UNCHANGED' : 'STATUS_CHANGED';
+                return result.change;
+            },
+
+            /**
+             * Returns the previous results that were not reported again.
+             * @param {string[]} pluginKeys The plugins that ran, as cloud/plugin
+             * when scanning several clouds. Previous results of other plugins
+             * are not considered resolved.
+             * @return {Object[]} The resolved results, with the "change",
+             * "previousStatus" and fields of a plugin result
+             */
+            resolved: function(pluginKeys) {
+                var resolved = [];
+                Object.keys(previous).forEach(function(key) {
+                    previous[key].forEach(function(previousResult) {
+                        if (pluginKeys.indexOf(qualifiedKey(previousResult)) === -1) return;
+                        resolved.push({
+                            plugin: previousResult.plugin,
+                            title: previousResult.title,
+                            category: previousResult.category,
+                            description: previousResult.description,
+                            status: 0,
+                            previousStatus: statusCode(previousResult.status),
+                            region: previousResult.region,
+                            resource: previousResult.resource,
+                            cloud: previousResult.cloud,
+                            account: previousResult.account,
+                            message: previousResult.message,
+                            change: 'RESOLVED'
+                        });
+                    });
+                });
+                return resolved;
+            }
+        };
+    }
+};
@@ -0,0 +1,108 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var baseline = require('./baseline');
+
+var previousResults = [
+    {plugin: 'bucketEncryption', region: 'us-east-1', resource: 'arn:aws:s3:::one', status: 'FAIL'},
+    {plugin: 'bucketEncryption', region: 'us-east-1', resource: 'arn:aws:s3:::two', status: 'OK'},
+    {plugin: 'bucketEncryption', region: 'us-east-1', resource: 'arn:aws:s3:::gone', status: 'FAIL', message: 'Not encrypted'},
+    {plugin: 'rootMfaEnabled', region: 'Global', resource: 'N/A', status: 'WARN'},
+    {plugin: 'otherPlugin', region: 'Global', resource: 'N/A', status: 'FAIL'}
+];
+
+describe('baseline', function () {
+    describe('load', function () {
+        it('should load the results of the JSON output', function () {
+            var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-baseline-'));
+            var file = path.join(dir, 'previous.json');
+            try {
+                fs.writeFileSync(file, JSON.stringify(previousResults));
+                expect(baseline.load(file)).to.deep.equal(previousResults);
+
+                fs.writeFileSync(file, JSON.stringify({plugin: 'bucketEncryption'}));
+                expect(function () { baseline.load(file); }).to.throw('must contain the JSON output of a previous scan');
+            } finally {
+                fs.rmSync(dir, {recursive: true, force: true});
+            }
+        });
+    });
+
+    describe('compare', function () {
+        it('should mark results missing from the baseline as new', function () {
+            var diff = baseline.create(previousResults);
+            var result = {status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::three'};
+            expect(diff.compare(result, 'bucketEncryption')).to.equal('NEW');
+            expect(result.previousStatus).to.be.undefined;
+        });
+
+        it('should mark results with the same status as unchanged', function () {
+            var diff = baseline.create(previousResults);
+            var result = {status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::one'};
+            expect(diff.compare(result, 'bucketEncryption')).to.equal('UNCHANGED');
+            expect(result.previousStatus).to.equal(2);
+        });
+
+        it('should mark results with a different status as changed', function () {
+            var diff = baseline.create(previousResults);
+            var result = {status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::two'};
+            expect(diff.compare(result, 'bucketEncryption')).to.equal('STATUS_CHANGED');
+            expect(result.previousStatus).to.equal(0);
+        });
+
+        it('should use the JSON output defaults for a missing region and resource', function () {
+            var diff = baseline.create(previousResults);
+            expect(diff.compare({status: 1}, 'rootMfaEnabled')).to.equal('UNCHANGED');
+        });
+
+        it('should match results of the same account only', function () {
+            var diff = baseline.create([{plugin: 'rootMfaEnabled', region: 'Global', resource: 'N/A', status: 'WARN', account: '111111111111'}]);
+            expect(diff.compare({status: 1}, 'rootMfaEnabled', '222222222222')).to.equal('NEW');
+            expect(diff.compare({status: 1}, 'rootMfaEnabled', '111111111111')).to.equal('UNCHANGED');
+        });
+
+        it('should match results of the same cloud only', function () {
+            var diff = baseline.create([{plugin: 'defaultSecurityGroup', region: 'Global', resource: 'N/A', status: 'FAIL', cloud: 'aws'}]);
+            expect(diff.compare({status: 2, cloud: 'azure'}, 'defaultSecurityGroup')).to.equal('NEW');
+            expect(diff.compare({status: 2, cloud: 'aws'}, 'defaultSecurityGroup')).to.equal('UNCHANGED');
+        });
+    });
+
+    describe('resolved', function () {
+        it('should return the previous results of plugins that ran and were not reported', function () {
+            var diff = baseline.create(previousResults);
+            diff.compare({status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::one'}, 'bucketEncryption');
+            diff.compare({status: 0, region: 'us-east-1', resource: 'arn:aws:s3:::two'}, 'bucketEncryption');
+
+            var resolved = diff.resolved(['bucketEncryption', 'rootMfaEnabled']);
+            expect(resolved.map(r => r.resource)).to.deep.equal(['arn:aws:s3:::gone', 'N/A']);
+            expect(resolved[0].change).to.equal('RESOLVED');
+            expect(resolved[0].previousStatus).to.equal(2);
+            expect(resolved[0].message).to.equal('Not encrypted');
+        });
+
+        it('should ignore results resolved in the previous scan', function () {
+            var diff = baseline.create([{plugin: 'rootMfaEnabled', region: 'Global', resource: 'N/A', status: 'OK', change: 'RESOLVED'}]);
+            expect(diff.resolved(['rootMfaEnabled'])).to.deep.equal([]);
+        });
+
+        it('should ignore results suppressed or accepted in the previous scan', function () {
+            var diff = baseline.create([
+                {plugin: 'rootMfaEnabled', region: 'Global', resource: 'N/A', status: 'SUPPRESSED'},
+                {plugin: 'bucketVersioning', region: 'Global', resource: 'website', status: 'FAIL', acceptance: {tag: 'cloudsploit-suppress', reason: ''}}
+            ]);
+            expect(diff.resolved(['rootMfaEnabled', 'bucketVersioning'])).to.deep.equal([]);
+        });
+
+        it('should only resolve results of plugins that ran in the same cloud', function () {
+            var diff = baseline.create([
+                {plugin: 'defaultSecurityGroup', region: 'Global', resource: 'N/A', status: 'FAIL', cloud: 'aws'},
+                {plugin: 'defaultSecurityGroup', region: 'Global', resource: 'N/A', status: 'FAIL', cloud: 'azure'}
+            ]);
+            var resolved = diff.resolved(['azure/defaultSecurityGroup']);
+            expect(resolved).to.have.length(1);
+            expect(resolved[0].cloud).to.equal('azure');
+        });
+    });
+});
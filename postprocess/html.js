@@ -0,0 +1,289 @@
+// Renders the self-contained HTML report written with --html. The results are
+// embedded as JSON and rendered in the browser, so the report has no external
+// assets and can be filtered without a server.
+
+var STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #0f2b46; color: #fff; padding: 16px 24px; }
+header h1 { margin: 0; font-size: 20px; }
+header p { margin: 4px 0 0; font-size: 13px; opacity: 0.8; }
+nav { padding: 0 24px; background: #fff; border-bottom: 1px solid #d0d7de; }
+nav button { background: none; border: none; border-bottom: 2px solid transparent; padding: 12px 16px; font-size: 14px; cursor: pointer; }
+nav button.active { border-bottom-color: #fd8c73; font-weight: 600; }
+main { padding: 16px 24px; }
+section { display: none; }
+section.active { display: block; }
+table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 16px; font-size: 13px; }
+th, td { border: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+td.num { text-align: right; }
+.summary { display: flex; flex-wrap: wrap; gap: 16px; }
+.summary > div { flex: 1 1 300px; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+.filters select, .filters input { padding: 6px; font-size: 13px; }
+details { background: #fff; border: 1px solid #d0d7de; margin-bottom: 8px; }
+summary { padding: 8px; cursor: pointer; }
+details .info { padding: 0 8px 8px; font-size: 13px; }
+.status { display: inline-block; min-width: 56px; padding: 1px 6px; border-radius: 4px; text-align: center; font-size: 12px; font-weight: 600; color: #fff; }
+.status-OK { background: #1a7f37; }
+.status-WARN { background: #bf8700; }
+.status-FAIL { background: #cf222e; }
+.status-UNKNOWN { background: #6e7781; }
+.status-SUPPRESSED { background: #8250df; }
+.count { margin-left: 4px; }
+`;
+
+var SCRIPT = `
+(function() {
+    var report = JSON.parse(document.getElementById('report-data').textContent);
+    var STATUSES = ['OK', 'WARN', 'FAIL', 'UNKNOWN', 'SUPPRESSED'];
+
+    function el(tag, attrs, children) {
+        var node = document.createElement(tag);
+        Object.keys(attrs || {}).forEach(function(key) {
+            if (key === 'text') node.textContent = attrs[key];
+            else node.setAttribute(key, attrs[key]);
+        });
+        (children || []).forEach(function(child) {
+            if (child) node.appendChild(child);
+        });
+        return node;
+    }
+
+    function statusBadge(status) {
+        return el('span', {'class': 'status status-' + status, text: status});
+    }
+
+    function table(headers, rows) {
+        return el('table', {}, [
+            el('thead', {}, [el('tr', {}, headers.map(function(header) {
+                return el('th', {text: header});
+            }))]),
+            el('tbody', {}, rows.map(function(row) {
+                return el('tr', {}, row.map(function(cell) {
+                    if (cell && cell.nodeType) return el('td', {}, [cell]);
+                    return el('td', {'class': typeof cell === 'number' ? 'num' : '', text: cell === undefined ? '' : String(cell)});
+                }));
+            }))
+        ]);
+    }
+
+    function countBy(field) {
+        var counts = {};
+        report.plugins.forEach(function(plugin) {
+            var value = plugin[field] || 'N/A';
+            if (!counts[value]) {
+                counts[value] = {};
+                STATUSES.forEach(function(status) { counts[value][status] = 0; });
+            }
+            plugin.results.forEach(function(result) {
+                counts[value][result.status] += 1;
+            });
+        });
+        return Object.keys(counts).sort().map(function(value) {
+            return [value].concat(STATUSES.map(function(status) { return counts[value][status]; }));
+        });
+    }
+
+    function renderSummary() {
+        var container = document.getElementById('summary');
+        var fields = ['severity', 'category', 'domain'];
+        if (report.hasClouds) fields.unshift('cloud');
+        container.appendChild(el('div', {'class': 'summary'}, fields.map(function(field) {
+            return el('div', {}, [
+                el('h3', {text: 'By ' + field}),
+                table([field.charAt(0).toUpperCase() + field.slice(1)].concat(STATUSES), countBy(field))
+            ]);
+        })));
+    }
+
+    function distinct(field) {
+        var values = {};
+        report.plugins.forEach(function(plugin) {
+            plugin.results.forEach(function(result) {
+                values[result[field]] = true;
+            });
+        });
+        return Object.keys(values).sort();
+    }
+
+    function select(id, label, values) {
+        return el('select', {id: id}, [el('option', {value: '', text: 'All ' + label})].concat(values.map(function(value) {
+            return el('option', {value: value, text: value});
+        })));
+    }
+
+    function renderResults() {
+        var container = document.getElementById('results');
+        var list = el('div');
+        container.appendChild(el('div', {'class': 'filters'}, [
+            select('filter-status', 'statuses', STATUSES),
+            select('filter-region', 'regions', distinct('region')),
+            el('input', {id: 'filter-resource', type: 'search', placeholder: 'Filter by resource'})
+        ]));
+        container.appendChild(list);
+
+        function render() {
+            var status = document.getElementById('filter-status').value;
+            var region = document.getElementById('filter-region').value;
+            var resource = document.getElementById('filter-resource').value.toLowerCase();
+            list.textContent = '';
+
+            report.plugins.forEach(function(plugin) {
+                var results = plugin.results.filter(function(result) {
+                    return (!status || result.status === status) &&
+                        (!region || result.region === region) &&
+                        (!resource || result.resource.toLowerCase().indexOf(resource) > -1);
+                });
+                if (!results.length) return;
+
+                var headers = ['Status', 'Region', 'Resource', 'Message'];
+                if (report.hasAccounts) headers.splice(1, 0, 'Account');
+                if (report.hasChanges) headers.push('Change');
+                if (report.hasSuppressions) headers.push('Suppression');
+
+                list.appendChild(el('details', {}, [
+                    el('summary', {}, [
+                        el('strong', {text: plugin.title}),
+                        el('span', {'class': 'count', text: '(' + [plugin.cloud, plugin.category, plugin.severity || 'N/A'].filter(Boolean).join(', ') + ') - ' + results.length + ' results'})
+                    ]),
+                    el('div', {'class': 'info'}, [
+                        el('p', {text: plugin.description}),
+                        plugin.more_info ? el('p', {text: plugin.more_info}) : null,
+                        plugin.recommended_action ? el('p', {text: 'Recommended action: ' + plugin.recommended_action}) : null,
+                        plugin.link ? el('p', {}, [el('a', {href: plugin.link, target: '_blank', rel: 'noopener noreferrer', text: plugin.link})]) : null,
+                        table(headers, results.map(function(result) {
+                            var row = [statusBadge(result.status), result.region, result.resource, result.message];
+                            if (report.hasAccounts) row.splice(1, 0, result.account);
+                            if (report.hasChanges) row.push(result.change);
+                            if (report.hasSuppressions) row.push(result.suppression);
+                            return row;
+                        }))
+                    ])
+                ]));
+            });
+        }
+
+        ['filter-status', 'filter-region', 'filter-resource'].forEach(function(id) {
+            document.getElementById(id).addEventListener('input', render);
+            document.getElementById(id).addEventListener('change', render);
+        });
+        render();
+    }
+
+    function renderCompliance() {
+        var container = document.getElementById('compliance');
+        var programs = {};
+        report.plugins.forEach(function(plugin) {
+            Object.keys(plugin.compliance || {}).forEach(function(program) {
+                if (!programs[program]) programs[program] = [];
+                programs[program].push(plugin);
+            });
+        });
+
+        if (!Object.keys(programs).length) {
+            container.appendChild(el('p', {text: 'None of the plugins that ran map to a compliance program.'}));
+            return;
+        }
+
+        Object.keys(programs).sort().forEach(function(program) {
+            container.appendChild(el('h3', {text: program.toUpperCase()}));
+            container.appendChild(table(['Plugin', 'Requirement'].concat(STATUSES), programs[program].map(function(plugin) {
+                return [plugin.title, plugin.compliance[program]].concat(STATUSES.map(function(status) {
+                    return plugin.results.filter(function(result) { return result.status === status; }).length;
+                }));
+            })));
+        });
+    }
+
+    function renderAccepted() {
+        var container = document.getElementById('accepted');
+        if (!report.accepted.length) {
+            container.appendChild(el('p', {text: 'No results were accepted through the tags of their resource.'}));
+            return;
+        }
+
+        var headers = ['Plugin', 'Status', 'Region', 'Resource', 'Message', 'Reason'];
+        if (report.hasAccounts) headers.splice(2, 0, 'Account');
+        container.appendChild(table(headers, report.accepted.map(function(result) {
+            var row = [result.title, statusBadge(result.status), result.region, result.resource, result.message, result.reason];
+            if (report.hasAccounts) row.splice(2, 0, result.account);
+            return row;
+        })));
+    }
+
+    document.querySelectorAll('nav button').forEach(function(button) {
+        button.addEventListener('click', function() {
+            document.querySelectorAll('nav button, section').forEach(function(node) {
+                node.classList.remove('active');
+            });
+            button.classList.add('active');
+            document.getElementById(button.getAttribute('data-tab')).classList.add('active');
+        });
+    });
+
+    renderSummary();
+    renderResults();
+    renderCompliance();
+    renderAccepted();
+})();
+`;
+
+// The data is embedded in a script tag, so "<" is escaped to prevent a
+// resource name or message from closing the tag
+function embedJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the HTML report.
+ * @param {Object} report The report data: "plugins" (each with its
+ * "results"), "accepted" (the results accepted through the tags of their
+ * resource), "generated", "hasClouds", "hasAccounts", "hasChanges" and
+ * "hasSuppressions"
+ * @return {string} The HTML document
+ */
+function render(report) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>CloudSploit Report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>CloudSploit Report</h1>
+<p>Generated ${escapeHtml(report.generated)}</p>
+</header>
+<nav>
+<button class="active" data-tab="summary">Summary</button>
+<button data-tab="results">Results</button>
+<button data-tab="compliance">Compliance</button>
+<button data-tab="accepted">Accepted</button>
+</nav>
+<main>
+<section id="summary" class="active"></section>
+<section id="results"></section>
+<section id="compliance"></section>
+<section id="accepted"></section>
+</main>
+<script type="application/json" id="report-data">${embedJson(report)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    render: render
+};
@@ -1,7 +1,9 @@
 var fs = require('fs');
 var ttytable = require('tty-table');
+var html = require('./html.js');
 
 function exchangeStatusWord(result) {
+    if (result.suppressed) return 'SUPPRESSED';
     if (result.status === 0) return 'OK';
     if (result.status === 1) return 'WARN';
     if (result.status === 2) return 'FAIL';
@@ -23,14 +25,156 @@ function XMLSafe(str) {
         .replace(/'/g, '&apos;');
 }
 
+// SARIF levels by plugin severity for failing results. Warnings and unknown
+// results are reported as warnings, except for informational plugins.
+var SARIF_FAIL_LEVELS = {
+    critical: 'error',
+    high: 'error',
+    medium: 'error',
+    low: 'warning',
+    info: 'note'
+};
+
+// Numeric severities used by code scanning dashboards to rank the rules
+var SARIF_SECURITY_SEVERITIES = {
+    critical: '9.5',
+    high: '8.0',
+    medium: '5.5',
+    low: '3.0',
+    info: '0.0'
+};
+
+// SARIF baseline states by change since the baseline (see postprocess/baseline.js)
+var SARIF_BASELINE_STATES = {
+    NEW: 'new',
+    UNCHANGED: 'unchanged',
+    STATUS_CHANGED: 'updated',
+    RESOLVED: 'absent'
+};
+
+function sarifLevel(result, plugin) {
+    var severity = (plugin.severity || '').toLowerCase();
+    if (severity === 'info') return 'note';
+    if (result.status === 2) return SARIF_FAIL_LEVELS[severity] || 'error';
+    return 'warning';
+}
+
 function log(msg, settings) {
     if (!settings.mocha) console.log(msg);
 }
 
+// Scans that cover several accounts (e.g. every account of an AWS
+// Organization) tag each result with the account it was found in.
+function hasAccounts(settings) {
+    return !!(settings && settings.multi_account);
+}
+
+// Scans that cover several clouds tag each result with its cloud. Plugin keys
+// are only unique within a cloud, so the outputs grouping results by plugin
+// qualify the key with the cloud.
+function hasClouds(settings) {
+    return !!(settings && settings.multi_cloud);
+}
+
+function qualifiedKey(result, pluginKey) {
+    return result.cloud ? `${result.cloud}/${pluginKey}` : pluginKey;
+}
+
+// Scans compared with a baseline tag each result with its change (NEW,
+// UNCHANGED, STATUS_CHANGED or RESOLVED) since the previous scan.
+function hasChanges(settings) {
+    return !!(settings && settings.baseline);
+}
+
+function previousStatusWord(result) {
+    if (result.previousStatus === undefined) return '';
+    return exchangeStatusWord({status: result.previousStatus});
+}
+
+// Scans accepting the results of resources tagged to suppress them (see
+// postprocess/tagsuppress.js) report the accepted results with the reason
+// given in the tag.
+function acceptedReason(result) {
+    if (!result.accepted) return '';
+    return result.accepted.reason || `Tagged ${result.accepted.tag}`;
+}
+
+// Scans with suppression rules (see postprocess/suppress.js) report the
+// results they suppress with the SUPPRESSED status and the rule matching them.
+function hasSuppressions(settings) {
+    return !!(settings && ((settings.suppress && settings.suppress.length) || settings.suppressions));
+}
+
+function suppressionRule(result) {
+    return result.suppressed ? result.suppressed.name : '';
+}
+
+// The suppression of a result as written by the JSON output, with the status
+// the result would have had
+function suppressionDetails(result) {
+    var details = {rule: result.suppressed.name, status: exchangeStatusWord({status: result.status})};
+    ['reason', 'owner', 'ticket', 'expires'].forEach(function(field) {
+        if (result.suppressed[field]) details[field] = result.suppressed[field];
+    });
+    return details;
+}
+
+// Writes straight to a file rather than through a buffered stream, so that
+// each line is on disk, and can be read by another process, once written
+function fileWriter(path) {
+    var fd = fs.openSync(path, 'w');
+    return {
+        write: function(data) {
+            fs.writeSync(fd, data);
+        },
+
+        end: function() {
+            fs.closeSync(fd);
+        }
+    };
+}
+
+// Calls fn with the path to each result ({data} or {err}) of a collection.
+// Any other value is treated as a result, so that nothing is lost.
+function eachCollectionResult(node, nodePath, fn) {
+    var isResult = !node || typeof node !== 'object' || Array.isArray(node) || !Object.keys(node).length ||
+        node.data !== undefined || node.err !== undefined;
+    if (isResult) return fn(nodePath, node);
+
+    Object.keys(node).forEach(function(key) {
+        eachCollectionResult(node[key], nodePath.concat(key), fn);
+    });
+}
+
+// The result as written by the JSON output and emitted by the emitter output
+function jsonResult(result, plugin, pluginKey, complianceMsg) {
+    var toWrite = {
+        plugin: pluginKey,
+        category: plugin.category,
+        title: plugin.title,
+        description: plugin.description,
+        resource: result.resource || 'N/A',
+        region: result.region || 'Global',
+        status: exchangeStatusWord(result),
+        message: result.message
+    };
+
+    if (plugin.severity) toWrite.severity = plugin.severity;
+    if (result.cloud) toWrite.cloud = result.cloud;
+    if (result.account) toWrite.account = result.account;
+    if (result.change) toWrite.change = result.change;
+    if (result.previousStatus !== undefined) toWrite.previous_status = previousStatusWord(result);
+    if (complianceMsg) toWrite.compliance = complianceMsg;
+    if (result.accepted) toWrite.acceptance = {tag: result.accepted.tag, reason: result.accepted.reason};
+    if (result.suppressed) toWrite.suppression = suppressionDetails(result);
+    return toWrite;
+}
+
 // For the console output, we don't need any state since we can write
 // directly to the console.
 var tableHeaders = [];
 var tableRows = [];
+var acceptedRows = [];
 
 var consoleOutputHandler = {
     writeResult: function(result, plugin, pluginKey, complianceMsg) {
@@ -40,18 +184,30 @@ var consoleOutputHandler = {
             Description: plugin.description,
             Resource: (result.resource || 'N/A'),
             Region: (result.region || 'global'),
+            Severity: (plugin.severity || 'N/A'),
             Status: exchangeStatusWord(result),
             Message: result.message || 'N/A'
         };
 
+        if (result.cloud) toWrite.Cloud = result.cloud;
+        if (result.account) toWrite.Account = result.account;
+        if (result.change) toWrite.Change = result.change;
+        if (result.suppressed) toWrite.Suppression = suppressionRule(result);
+
         if (complianceMsg) {
-            if (tableHeaders.length !== 8) {
+            if (!tableHeaders.find(function(header) { return header.value === 'Compliance'; })) {
                 tableHeaders.push({
                     value: 'Compliance'
                 });
             }
             toWrite.Compliance = complianceMsg;
         }
+
+        if (result.accepted) {
+            toWrite.Reason = acceptedReason(result);
+            acceptedRows.push(toWrite);
+            return;
+        }
         
         tableRows.push(toWrite);
     },
@@ -61,24 +217,40 @@ var consoleOutputHandler = {
         if (settings.console == 'none') {
             console.log('INFO: Console output suppressed because "console" setting was "none"');
         } else if (settings.console == 'text') {
-            tableRows.forEach(function(row){
-                Object.entries(row).forEach(function(entry){
-                    console.log(`${entry[0]}: ${entry[1]}`);
+            var printRows = function(rows) {
+                rows.forEach(function(row){
+                    Object.entries(row).forEach(function(entry){
+                        console.log(`${entry[0]}: ${entry[1]}`);
+                    });
+                    console.log('\n');
                 });
-                console.log('\n');
-            });
+            };
+            printRows(tableRows);
+            if (acceptedRows.length) {
+                console.log('Accepted results:\n');
+                printRows(acceptedRows);
+            }
         } else {
-            const t1 = ttytable(tableHeaders, tableRows, null, {
-                borderStyle: 'solid',
-                borderColor: 'white',
-                paddingBottom: 0,
-                headerAlign: 'center',
-                headerColor: 'white',
-                align: 'left',
-                color: 'white',
-                width: '100%'
-            }).render();
+            var renderTable = function(headers, rows) {
+                return ttytable(headers, rows, null, {
+                    borderStyle: 'solid',
+                    borderColor: 'white',
+                    paddingBottom: 0,
+                    headerAlign: 'center',
+                    headerColor: 'white',
+                    align: 'left',
+                    color: 'white',
+                    width: '100%'
+                }).render();
+            };
+            const t1 = renderTable(tableHeaders, tableRows);
             if (process.argv.join('').indexOf('mocha') === -1) console.log(t1);
+
+            // Accepted results are printed in a table of their own
+            if (acceptedRows.length && process.argv.join('').indexOf('mocha') === -1) {
+                console.log('Accepted results:');
+                console.log(renderTable(tableHeaders.concat({value: 'Reason'}), acceptedRows));
+            }
         }
     }
 };
@@ -92,11 +264,19 @@ module.exports = {
      */
     createCsv: function(stream, settings) {
         var headers = ['category', 'title', 'description',
-            'resource', 'region', 'statusWord', 'message'];
+            'resource', 'region', 'statusWord', 'message', 'severity'];
+        if (hasClouds(settings)) headers.push('cloud');
+        if (hasAccounts(settings)) headers.push('account');
+        if (hasChanges(settings)) headers.push('change', 'previousStatusWord');
         if (settings.compliance) headers.push('compliance');
+        if (hasSuppressions(settings)) headers.push('suppression');
         var csvWriter = require('csv-write-stream');
         var writer = csvWriter({headers: headers});
-        writer.pipe(stream);
+        writer.pipe(stream, {end: false});
+
+        // Accepted results are written in a table of their own, after an
+        // empty line, with the reason of their tag as a last column
+        var accepted = [];
 
         return {
             writer: writer,
@@ -105,22 +285,43 @@ module.exports = {
                 var toWrite = [plugin.category, plugin.title, commaSafe(plugin.description),
                     (result.resource || 'N/A'),
                     (result.region || 'Global'),
-                    exchangeStatusWord(result), commaSafe(result.message)];
-                
+                    exchangeStatusWord(result), commaSafe(result.message),
+                    (plugin.severity || '')];
+
+                if (hasClouds(settings)) toWrite.push(result.cloud || '');
+                if (hasAccounts(settings)) toWrite.push(result.account || '');
+                if (hasChanges(settings)) toWrite.push(result.change || '', previousStatusWord(result));
                 if (settings.compliance) toWrite.push(complianceMsg || '');
-                
+                if (hasSuppressions(settings)) toWrite.push(suppressionRule(result));
+
+                if (result.accepted) return accepted.push(toWrite.concat(commaSafe(acceptedReason(result))));
                 this.writer.write(toWrite);
             },
         
             close: function() {
+                this.writer.on('end', function() {
+                    if (accepted.length) {
+                        stream.write('\n');
+                        var acceptedWriter = csvWriter({headers: headers.concat('reason')});
+                        acceptedWriter.pipe(stream);
+                        accepted.forEach(function(toWrite) {
+                            acceptedWriter.write(toWrite);
+                        });
+                        acceptedWriter.end();
+                    } else {
+                        stream.end();
+                    }
+                    log(`INFO: CSV file written to ${settings.csv}`, settings);
+                });
                 this.writer.end();
-                log(`INFO: CSV file written to ${settings.csv}`, settings);
             }
         };
     },
 
     /**
-     * Creates an output handler that writes output in the JSON format.
+     * Creates an output handler that writes output in the JSON format: the
+     * list of results, the accepted results (--suppress-tag) with their
+     * acceptance.
      * @param {fs.WriteSteam} stream The stream to write to or an object that
      * obeys the writeable stream contract.
      */
@@ -129,26 +330,213 @@ module.exports = {
         return {
             stream: stream,
       
+            /**
+             * Stores the result to be written
+             */
+            writeResult: function(result, plugin, pluginKey, complianceMsg) {
+                results.push(jsonResult(result, plugin, pluginKey, complianceMsg));
+            },
+      
+            close: function() {
+                this.stream.write(JSON.stringify(results, null, 2));
+                this.stream.end();
+                log(`INFO: JSON file written to ${settings.json}`, settings);
+            }
+        };
+    },
+
+    /**
+     * Creates an output handler that writes each result as a line of JSON
+     * (NDJSON) as soon as it is found, in the format of the JSON output.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     * @param {Object} settings The source settings object
+     */
+    createNdjson: function(stream, settings) {
+        return {
+            stream: stream,
+
             writeResult: function(result, plugin, pluginKey, complianceMsg) {
+                this.stream.write(`${JSON.stringify(jsonResult(result, plugin, pluginKey, complianceMsg))}\n`);
+            },
+
+            close: function() {
+                this.stream.end();
+                log(`INFO: NDJSON file written to ${settings.ndjson}`, settings);
+            }
+        };
+    },
+
+    /**
+     * Creates an output handler that writes output in the SARIF 2.1.0 format.
+     * Each plugin is written as a rule and each non-passing result as a
+     * result of that rule, located by its resource.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     * @param {Object} settings The source settings object
+     */
+    createSarif: function(stream, settings) {
+        var rules = [];
+        var ruleIndexes = {};
+        var results = [];
+        return {
+            stream: stream,
+
+            writeResult: function(result, plugin, pluginKey) {
+                // Results resolved since the baseline pass but are reported
+                // so that code scanning closes their alerts
+                var resolved = result.change === 'RESOLVED';
+                if (result.status === 0 && !resolved) return;
+
+                var ruleId = qualifiedKey(result, pluginKey);
+                if (ruleIndexes[ruleId] === undefined) {
+                    var severity = (plugin.severity || '').toLowerCase();
+                    var help = [plugin.more_info, plugin.recommended_action ? `Recommended action: ${plugin.recommended_action}` : null]
+                        .filter(Boolean).join('\n\n');
+                    var rule = {
+                        id: ruleId,
+                        name: plugin.title,
+                        shortDescription: {text: plugin.title || pluginKey},
+                        fullDescription: {text: plugin.description || plugin.title || pluginKey},
+                        properties: {
+                            category: plugin.category,
+                            severity: plugin.severity,
+                            tags: ['security', plugin.category].filter(Boolean)
+                        }
+                    };
+                    if (help) rule.help = {text: help};
+                    if (plugin.link) rule.helpUri = plugin.link;
+                    if (SARIF_SECURITY_SEVERITIES[severity]) rule.properties['security-severity'] = SARIF_SECURITY_SEVERITIES[severity];
+
+                    ruleIndexes[ruleId] = rules.length;
+                    rules.push(rule);
+                }
+
                 var toWrite = {
-                    plugin: pluginKey,
-                    category: plugin.category,
-                    title: plugin.title,
-                    description: plugin.description,
-                    resource: result.resource || 'N/A',
-                    region: result.region || 'Global',
-                    status: exchangeStatusWord(result),
-                    message: result.message
+                    ruleId: ruleId,
+                    ruleIndex: ruleIndexes[ruleId],
+                    level: sarifLevel(result, plugin),
+                    message: {text: result.message || plugin.title || pluginKey},
+                    locations: [{
+                        logicalLocations: [{
+                            name: result.resource || 'N/A',
+                            fullyQualifiedName: [result.cloud, result.account, result.region || 'global', result.resource || 'N/A'].filter(Boolean).join('/'),
+                            kind: 'resource'
+                        }]
+                    }],
+                    properties: {
+                        region: result.region || 'global',
+                        status: exchangeStatusWord(result)
+                    }
                 };
 
-                if (complianceMsg) toWrite.compliance = complianceMsg;
+                if (result.cloud) toWrite.properties.cloud = result.cloud;
+                if (result.account) toWrite.properties.account = result.account;
+                if (result.change) toWrite.properties.change = result.change;
+                if (SARIF_BASELINE_STATES[result.change]) toWrite.baselineState = SARIF_BASELINE_STATES[result.change];
+                if (resolved) {
+                    toWrite.kind = 'pass';
+                    toWrite.level = 'none';
+                }
+                if (result.accepted) toWrite.suppressions = [{kind: 'inSource', justification: acceptedReason(result)}];
+                if (result.suppressed) {
+                    toWrite.suppressions = [{
+                        kind: 'external',
+                        justification: result.suppressed.reason || `Suppressed by ${suppressionRule(result)}`,
+                        properties: suppressionDetails(result)
+                    }];
+                }
                 results.push(toWrite);
             },
-      
+
             close: function() {
-                this.stream.write(JSON.stringify(results, null, 2));
+                this.stream.write(JSON.stringify({
+                    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                    version: '2.1.0',
+                    runs: [{
+                        tool: {
+                            driver: {
+                                name: 'CloudSploit',
+                                informationUri: 'https://github.com/aquasecurity/cloudsploit',
+                                version: require('../package.json').version,
+                                rules: rules
+                            }
+                        },
+                        results: results
+                    }]
+                }, null, 2));
                 this.stream.end();
-                log(`INFO: JSON file written to ${settings.json}`, settings);
+                log(`INFO: SARIF file written to ${settings.sarif}`, settings);
+            }
+        };
+    },
+
+    /**
+     * Creates an output handler that writes a self-contained HTML report,
+     * grouping the results by plugin.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     * @param {Object} settings The source settings object
+     */
+    createHtml: function(stream, settings) {
+        var plugins = {};
+        var accepted = [];
+        return {
+            stream: stream,
+
+            writeResult: function(result, plugin, pluginKey) {
+                var toWrite = {
+                    status: exchangeStatusWord(result),
+                    region: result.region || 'global',
+                    resource: result.resource || 'N/A',
+                    message: result.message || ''
+                };
+                if (result.account) toWrite.account = result.account;
+                if (result.change) toWrite.change = result.change;
+                if (result.suppressed) toWrite.suppression = suppressionRule(result);
+
+                // Accepted results are listed in a section of their own
+                if (result.accepted) {
+                    toWrite.title = plugin.title;
+                    toWrite.reason = acceptedReason(result);
+                    return accepted.push(toWrite);
+                }
+
+                var key = qualifiedKey(result, pluginKey);
+                if (!plugins[key]) {
+                    plugins[key] = {
+                        plugin: pluginKey,
+                        cloud: result.cloud,
+                        title: plugin.title,
+                        category: plugin.category,
+                        domain: plugin.domain,
+                        severity: plugin.severity,
+                        description: plugin.description,
+                        more_info: plugin.more_info,
+                        recommended_action: plugin.recommended_action,
+                        link: plugin.link,
+                        compliance: plugin.compliance,
+                        results: []
+                    };
+                }
+
+                plugins[key].results.push(toWrite);
+            },
+
+            close: function() {
+                this.stream.write(html.render({
+                    generated: (new Date()).toISOString(),
+                    hasClouds: hasClouds(settings),
+                    hasAccounts: hasAccounts(settings),
+                    hasChanges: hasChanges(settings),
+                    hasSuppressions: hasSuppressions(settings),
+                    plugins: Object.keys(plugins).sort().map(function(key) {
+                        return plugins[key];
+                    }),
+                    accepted: accepted
+                }));
+                this.stream.end();
+                log(`INFO: HTML report written to ${settings.html}`, settings);
             }
         };
     },
@@ -178,7 +566,7 @@ module.exports = {
              * Adds the result to be written to the output file.
              */
             writeResult: function(result, plugin, pluginKey) {
-                var suiteName = pluginKey;
+                var suiteName = qualifiedKey(result, pluginKey);
                 if (!Object.prototype.hasOwnProperty.call(this.testSuites, suiteName)) {
                     // The time to report for the tests (since we don't have
                     // time for any of them.) The expected JUnit format doesn't
@@ -188,21 +576,30 @@ module.exports = {
 
                     this.testSuites[suiteName] = {
                         name: XMLSafe(plugin.title + ': ' + (plugin.description || '')),
-                        package: pluginKey,
+                        package: suiteName,
+                        severity: XMLSafe(plugin.severity),
                         failures: 0,
                         errors: 0,
+                        skipped: 0,
                         testCases: [],
                         time: time
                     };
                 }
 
                 // Get the test suite that we want to add to
-                var testSuite = this.testSuites[pluginKey];
+                var testSuite = this.testSuites[suiteName];
 
-                // Was this test an error or failure?
-                var failure = result.status === 2 ? (result.message || 'Unexpected failure') : undefined;
+                // Was this test an error or failure? Accepted and suppressed
+                // results are reported as skipped tests instead.
+                var skipped;
+                if (result.accepted) skipped = `Accepted: ${acceptedReason(result)}`;
+                if (result.suppressed) {
+                    skipped = `Suppressed by ${suppressionRule(result)}` + (result.suppressed.reason ? `: ${result.suppressed.reason}` : '');
+                }
+                testSuite.skipped += skipped ? 1 : 0;
+                var failure = !skipped && result.status === 2 ? (result.message || 'Unexpected failure') : undefined;
                 testSuite.failures += failure ? 1 : 0;
-                var error = result.status > 2 ? (result.message || 'Unexpected error') : undefined;
+                var error = !skipped && result.status > 2 ? (result.message || 'Unexpected error') : undefined;
                 testSuite.errors += error ? 1 : 0;
 
                 // Each plugin can generate multiple results, which we map as
@@ -210,14 +607,17 @@ module.exports = {
                 // to have enough context to be useful (even for passes), so
                 // we add all of that that information at the name of the test
                 var name = result.region + '; ' + (result.resource || 'N/A') + '; ' + result.message;
+                if (result.account) name = result.account + '; ' + name;
+                if (result.change) name = result.change + '; ' + name;
 
                 testSuite.testCases.push({
                     name: XMLSafe(name),
-                    classname: pluginKey,
+                    classname: suiteName,
                     file: '',
                     line: 0,
                     failure: XMLSafe(failure),
-                    error: XMLSafe(error)
+                    error: XMLSafe(error),
+                    skipped: XMLSafe(skipped)
                 });
             },
         
@@ -254,12 +654,18 @@ module.exports = {
                                   '" hostname="localhost" tests="' + numTests +
                                   '" errors="' + testSuite.errors +
                                   '" failures="' + testSuite.failures +
+                                  (testSuite.skipped ? '" skipped="' + testSuite.skipped : '') +
                                   '" timestamp="' + testSuite.time +
                                   '" time="0" package="' + testSuite.package +
                                   '" id="' + index + '">\n');
 
                 // The schema says we must have the properties element, but it can be empty
-                this.stream.write('\t\t<properties></properties>\n');
+                if (testSuite.severity) {
+                    this.stream.write('\t\t<properties>\n\t\t\t<property name="severity" value="' +
+                                      testSuite.severity + '"/>\n\t\t</properties>\n');
+                } else {
+                    this.stream.write('\t\t<properties></properties>\n');
+                }
                 for (var testCase of testSuite.testCases) {
                     this.stream.write('\t\t<testcase classname="' +
                                       testCase.classname +'" name="' +
@@ -276,6 +682,10 @@ module.exports = {
                         this.stream.write('>\n\t\t\t<failure message="' +
                                           testCase.error + '" type="none"/>\n' +
                                           '\t\t</testcase>\n');
+                    } else if (testCase.skipped) {
+                        this.stream.write('>\n\t\t\t<skipped message="' +
+                                          testCase.skipped + '"/>\n' +
+                                          '\t\t</testcase>\n');
                     } else {
                         this.stream.write('/>\n');
                     }
@@ -292,27 +702,198 @@ module.exports = {
         };
     },
 
+    /**
+     * Creates an output handler that emits each result, in the format of the
+     * JSON output, as a "result" event and each collection as a "collection"
+     * event. Used by the Node API (see scan.js).
+     * @param {EventEmitter} emitter The emitter to emit the events on
+     */
+    createEmitter: function(emitter) {
+        return {
+            writeResult: function(result, plugin, pluginKey, complianceMsg) {
+                emitter.emit('result', jsonResult(result, plugin, pluginKey, complianceMsg));
+            },
+
+            writeCollection: function(collection, providerName, account) {
+                emitter.emit('collection', {cloud: providerName, account: account || null, collection: collection});
+            },
+
+            close: function() {}
+        };
+    },
+
     /**
      * Creates an output handler that writes collection in the JSON format.
+     * Each collection is written as soon as its account is collected, so
+     * that it is not held until the scan completes, except for those of
+     * scans of several accounts in several clouds, which are grouped by
+     * cloud once the scan completes.
      * @param {fs.WriteSteam} stream The stream to write to or an object that
      * obeys the writeable stream contract.
      */
     createCollection: function(stream, settings) {
-        var results = {};
+        var entries = 0;
+        var single = false;
+        var byCloud = {};
+
+        // Nests a JSON string one level deeper
+        var indent = function(json) {
+            return json.replace(/\n/g, '\n  ');
+        };
+
+        // Writes an entry of the top-level object
+        var writeEntry = function(key, json) {
+            stream.write(`${entries++ ? ',' : '{'}\n  ${JSON.stringify(String(key))}: ${indent(json)}`);
+        };
+
         return {
             stream: stream,
 
-            write: function(collection) {
-                results = collection;
+            /**
+             * Writes a collection. When scanning several accounts, each
+             * collection is keyed by its account. When scanning several
+             * clouds, the collections of each cloud are also keyed by the
+             * cloud.
+             */
+            write: function(collection, providerName, account) {
+                var json = JSON.stringify(collection, null, 2);
+                if (hasClouds(settings) && account) {
+                    if (!byCloud[providerName]) byCloud[providerName] = [];
+                    byCloud[providerName].push(`${JSON.stringify(String(account))}: ${indent(json)}`);
+                } else if (hasClouds(settings) || account) {
+                    writeEntry(hasClouds(settings) ? providerName : account, json);
+                } else {
+                    single = true;
+                    this.stream.write(json);
+                }
             },
 
             close: function() {
-                this.stream.write(JSON.stringify(results, null, 2));
+                Object.keys(byCloud).forEach(function(cloud) {
+                    writeEntry(cloud, `{\n  ${byCloud[cloud].join(',\n  ')}\n}`);
+                });
+                if (!single) this.stream.write(entries ? '\n}' : '{}');
                 this.stream.end();
                 log(`INFO: Collection file written to ${settings.collection}`, settings);
             }
         };
     },
+
+    /**
+     * Creates an output handler that writes each result of a collection as a
+     * line of JSON (NDJSON). The collectors that report each result once
+     * complete (see writeResult) have their results written while the
+     * account is still being collected, and the others once it is. Each line
+     * holds the path to the result in the collection (service, call, region
+     * and, for calls made once per resource, the resource) and the result,
+     * tagged with its cloud and account when there are several.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     */
+    createCollectionNdjson: function(stream, settings) {
+        // The accounts of each cloud whose results were written as collected
+        var streamed = {};
+
+        var writeLine = function(resultPath, result, providerName, account) {
+            var line = {};
+            if (hasClouds(settings)) line.cloud = providerName;
+            if (account) line.account = account;
+            line.path = resultPath;
+            line.result = result;
+            stream.write(`${JSON.stringify(line)}\n`);
+        };
+
+        return {
+            stream: stream,
+
+            /**
+             * Writes the result of a call in a region, as reported by the
+             * collector once complete.
+             * @param {string[]} resultPath The service, call and region
+             * @param {Object} result The result, or the result of each
+             * resource for calls made once per resource
+             */
+            writeResult: function(resultPath, result, providerName, account) {
+                streamed[`${providerName}:${account || ''}`] = true;
+                eachCollectionResult(result, resultPath, function(nodePath, node) {
+                    writeLine(nodePath, node, providerName, account);
+                });
+            },
+
+            write: function(collection, providerName, account) {
+                if (streamed[`${providerName}:${account || ''}`]) return;
+                eachCollectionResult(collection, [], function(resultPath, result) {
+                    writeLine(resultPath, result, providerName, account);
+                });
+            },
+
+            close: function() {
+                this.stream.end();
+                log(`INFO: Collection NDJSON file written to ${settings.collection_ndjson}`, settings);
+            }
+        };
+    },
+
+    /**
+     * Creates an output handler that writes the report of the API calls of
+     * each collection (see helpers/callreport.js) in the JSON format.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     */
+    createCollectionReport: function(stream, settings) {
+        var calls = [];
+        return {
+            stream: stream,
+
+            /**
+             * Stores the report of a collection. Each call is tagged with its
+             * cloud and account when scanning several of them.
+             */
+            write: function(report, providerName, account) {
+                report.forEach(function(entry) {
+                    var call = {};
+                    if (hasClouds(settings)) call.cloud = providerName;
+                    if (account) call.account = account;
+                    calls.push(Object.assign(call, entry));
+                });
+            },
+
+            close: function() {
+                var summary = {calls: calls.length, errors: {permission_denied: 0, throttled: 0, other: 0}, permission_denied_calls: []};
+                calls.forEach(function(call) {
+                    Object.keys(summary.errors).forEach(function(type) {
+                        summary.errors[type] += call.errors[type];
+                    });
+                    if (call.errors.permission_denied) {
+                        var name = [call.cloud, call.account, call.call].filter(Boolean).join('/');
+                        if (summary.permission_denied_calls.indexOf(name) === -1) summary.permission_denied_calls.push(name);
+                    }
+                });
+
+                this.stream.write(JSON.stringify({summary: summary, calls: calls}, null, 2));
+                this.stream.end();
+                log(`INFO: Collection report written to ${settings.collection_report}`, settings);
+            }
+        };
+    },
+
+    /**
+     * Creates an output handler that writes the report of the suppression
+     * rules (see postprocess/suppress.js) in the JSON format.
+     * @param {fs.WriteSteam} stream The stream to write to or an object that
+     * obeys the writeable stream contract.
+     */
+    createSuppressionReport: function(stream, settings) {
+        return {
+            stream: stream,
+
+            write: function(report) {
+                this.stream.write(JSON.stringify(report, null, 2));
+                this.stream.end();
+                log(`INFO: Suppression report written to ${settings.suppression_report}`, settings);
+            }
+        };
+    },
     /**
      * Creates an output handler depending on the arguments list as expected
      * in the command line format. If multiple output handlers are specified
@@ -329,6 +910,9 @@ module.exports = {
     create: function(settings) {
         var outputs = [];
         var collectionOutput;
+        var collectionNdjsonOutput;
+        var collectionReportOutput;
+        var suppressionReportOutput;
 
         tableHeaders = [
             {
@@ -347,6 +931,10 @@ module.exports = {
             {
                 value: 'Region'
             },
+            {
+                value: 'Severity',
+                width: '10%'
+            },
             {
                 value: 'Status',
                 width: '10%',
@@ -368,7 +956,35 @@ module.exports = {
             }
         ];
 
+        if (hasAccounts(settings)) {
+            tableHeaders.splice(3, 0, {
+                value: 'Account'
+            });
+        }
+
+        if (hasClouds(settings)) {
+            tableHeaders.splice(0, 0, {
+                value: 'Cloud',
+                width: '8%'
+            });
+        }
+
+        if (hasChanges(settings)) {
+            tableHeaders.splice(tableHeaders.findIndex(function(header) {
+                return header.value === 'Status';
+            }) + 1, 0, {
+                value: 'Change'
+            });
+        }
+
+        if (hasSuppressions(settings)) {
+            tableHeaders.push({
+                value: 'Suppression'
+            });
+        }
+
         tableRows = [];
+        acceptedRows = [];
 
         // Creates the handlers for writing output.
         if (settings.csv) {
@@ -386,11 +1002,44 @@ module.exports = {
             outputs.push(this.createJson(streamJson, settings));
         }
 
+        if (settings.ndjson) {
+            outputs.push(this.createNdjson(fileWriter(settings.ndjson), settings));
+        }
+
+        if (settings.sarif) {
+            var streamSarif = fs.createWriteStream(settings.sarif);
+            outputs.push(this.createSarif(streamSarif, settings));
+        }
+
+        if (settings.html) {
+            var streamHtml = fs.createWriteStream(settings.html);
+            outputs.push(this.createHtml(streamHtml, settings));
+        }
+
         if (settings.collection) {
             var streamColl = fs.createWriteStream(settings.collection);
             collectionOutput = this.createCollection(streamColl, settings);
         }
 
+        if (settings.collection_ndjson) {
+            collectionNdjsonOutput = this.createCollectionNdjson(fileWriter(settings.collection_ndjson), settings);
+        }
+
+        if (settings.collection_report) {
+            var streamReport = fs.createWriteStream(settings.collection_report);
+            collectionReportOutput = this.createCollectionReport(streamReport, settings);
+        }
+
+        if (settings.suppression_report) {
+            var streamSuppressions = fs.createWriteStream(settings.suppression_report);
+            suppressionReportOutput = this.createSuppressionReport(streamSuppressions, settings);
+        }
+
+        // The Node API receives the results as events instead of printing them
+        if (settings.emitter) {
+            outputs.push(this.createEmitter(settings.emitter));
+        }
+
         var addConsoleOutput = settings.console;
 
         // Write to console if specified or by default if there is not
@@ -409,18 +1058,38 @@ module.exports = {
         return {
             writeResult: function(result, plugin, pluginKey, complianceMsg) {
                 outputs.forEach(function(output) {
-                    if (!(ignoreOkStatus && result.status === 0)) {
+                    // Results resolved since the baseline pass, but are the
+                    // changes a baseline comparison reports
+                    if (!(ignoreOkStatus && result.status === 0 && result.change !== 'RESOLVED')) {
                         output.writeResult(result, plugin, pluginKey, complianceMsg);
                     }
                 });
             },
 
-            writeCollection: function(collection, providerName) {
-                if (collectionOutput) collectionOutput.write(collection, providerName);
+            writeCollectionResult: function(resultPath, result, providerName, account) {
+                if (collectionNdjsonOutput) collectionNdjsonOutput.writeResult(resultPath, result, providerName, account);
+            },
+
+            writeCollection: function(collection, providerName, account) {
+                if (collectionOutput) collectionOutput.write(collection, providerName, account);
+                if (collectionNdjsonOutput) collectionNdjsonOutput.write(collection, providerName, account);
+                outputs.forEach(function(output) {
+                    if (output.writeCollection) output.writeCollection(collection, providerName, account);
+                });
+            },
+
+            writeCollectionReport: function(report, providerName, account) {
+                if (collectionReportOutput) collectionReportOutput.write(report, providerName, account);
+            },
+
+            writeSuppressionReport: function(report) {
+                if (suppressionReportOutput) suppressionReportOutput.write(report);
             },
 
             close: function() {
                 if (collectionOutput) collectionOutput.close();
+                if (collectionNdjsonOutput) collectionNdjsonOutput.close();
+                if (collectionReportOutput) collectionReportOutput.close();
                 outputs.forEach(function(output) {
                     output.close(settings);
                 });
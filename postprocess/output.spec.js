@@ -66,6 +66,15 @@ describe('output', function () {
             expect(buffer.cache).to.include('error message');
         })
 
+        it('should include the plugin severity as a property', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJunit(buffer, { mocha: true, junit: 'test.junit' });
+            handler.writeResult({status: 2, message: 'fail message'}, {title:'myTitle', severity: 'High'}, 'key');
+            handler.close();
+
+            expect(buffer.cache).to.include('<property name="severity" value="High"/>');
+        })
+
         it('content should not contain XML characters', function() {
             var buffer = createOutputBuffer();
             var handler = output.createJunit(buffer, { mocha: true, junit: 'test.junit' });
@@ -78,6 +87,26 @@ describe('output', function () {
             expect(buffer.cache).to.include(' fail message&amp;&lt;&gt;&quot;&apos;');
             expect(buffer.cache).to.include(' error message&amp;&lt;&gt;&quot;&apos;');
         })
+
+        it('should report suppressed results as skipped with their rule', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJunit(buffer, { mocha: true, junit: 'test.junit' });
+            handler.writeResult({status: 2, message: 'fail message', suppressed: {name: 'key:us-east-1:*', reason: 'Accepted risk'}}, {title:'myTitle'}, 'key');
+            handler.close();
+
+            expect(buffer.cache).to.include(' failures="0" skipped="1" ');
+            expect(buffer.cache).to.include('<skipped message="Suppressed by key:us-east-1:*: Accepted risk"/>');
+        })
+
+        it('should report accepted results as skipped', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJunit(buffer, { mocha: true, junit: 'test.junit' });
+            handler.writeResult({status: 2, message: 'fail message', accepted: {tag: 'cloudsploit-suppress', reason: 'Public website'}}, {title:'myTitle'}, 'key');
+            handler.close();
+
+            expect(buffer.cache).to.include(' failures="0" skipped="1" ');
+            expect(buffer.cache).to.include('<skipped message="Accepted: Public website"/>');
+        })
     })
 
     describe('csv', function () {
@@ -93,7 +122,55 @@ describe('output', function () {
             var handler = output.createCsv(buffer, { mocha: true, junit: 'test.csv' });
             handler.writeResult({status: 0}, {title:'myTitle', description: 'myDescription'}, 'key');
             handler.close();
-            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message\n,myTitle,myDescription,N/A,Global,OK,\n');
+            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity\n,myTitle,myDescription,N/A,Global,OK,,\n');
+        })
+
+        it('should include the plugin severity', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCsv(buffer, { mocha: true, junit: 'test.csv' });
+            handler.writeResult({status: 2}, {title:'myTitle', description: 'myDescription', severity: 'High'}, 'key');
+            handler.close();
+            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity\n,myTitle,myDescription,N/A,Global,FAIL,,High\n');
+        })
+
+        it('should include the change columns when compared with a baseline', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCsv(buffer, { mocha: true, baseline: 'previous.json' });
+            handler.writeResult({status: 2, change: 'STATUS_CHANGED', previousStatus: 0}, {title:'myTitle', description: 'myDescription'}, 'key');
+            handler.close();
+            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity,change,previousStatusWord\n,myTitle,myDescription,N/A,Global,FAIL,,,STATUS_CHANGED,OK\n');
+        })
+
+        it('should write accepted results in a table of their own with their reason', function (done) {
+            var buffer = createOutputBuffer();
+            var handler = output.createCsv(buffer, { mocha: true, suppress_tag: 'cloudsploit-suppress' });
+            handler.writeResult({status: 2, accepted: {tag: 'cloudsploit-suppress', reason: ''}}, {title:'acceptedTitle'}, 'key');
+            handler.writeResult({status: 2}, {title:'myTitle'}, 'key');
+            buffer.end = function () {
+                expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity\n' +
+                    ',myTitle,,N/A,Global,FAIL,,\n' +
+                    '\n' +
+                    'category,title,description,resource,region,statusWord,message,severity,reason\n' +
+                    ',acceptedTitle,,N/A,Global,FAIL,,,Tagged cloudsploit-suppress\n');
+                done();
+            };
+            handler.close();
+        })
+
+        it('should include the suppression column when suppressing results', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCsv(buffer, { mocha: true, suppress: ['key:us-east-1:*'] });
+            handler.writeResult({status: 2, suppressed: {name: 'key:us-east-1:*'}}, {title:'myTitle', description: 'myDescription'}, 'key');
+            handler.close();
+            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity,suppression\n,myTitle,myDescription,N/A,Global,SUPPRESSED,,,key:us-east-1:*\n');
+        })
+
+        it('should include the cloud column when scanning several clouds', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCsv(buffer, { mocha: true, multi_cloud: true });
+            handler.writeResult({status: 2, cloud: 'azure'}, {title:'myTitle', description: 'myDescription'}, 'key');
+            handler.close();
+            expect(buffer.cache).to.equal('category,title,description,resource,region,statusWord,message,severity,cloud\n,myTitle,myDescription,N/A,Global,FAIL,,,azure\n');
         })
     })
 
@@ -112,6 +189,361 @@ describe('output', function () {
             handler.close();
             expect(JSON.stringify(JSON.parse(buffer.cache))).to.equal('[{"plugin":"key","title":"myTitle","description":"myDescription","resource":"N/A","region":"Global","status":"OK"}]');
         })
+
+        it('should include the account when the result has one', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, junit: 'test.json' });
+            handler.writeResult({ status: 0, account: '123456789012' }, { title: 'myTitle', description: 'myDescription' }, 'key');
+            handler.close();
+            expect(JSON.parse(buffer.cache)[0].account).to.equal('123456789012');
+        })
+
+        it('should include the cloud when the result has one', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, junit: 'test.json' });
+            handler.writeResult({ status: 0, cloud: 'google' }, { title: 'myTitle', description: 'myDescription' }, 'key');
+            handler.close();
+            expect(JSON.parse(buffer.cache)[0].cloud).to.equal('google');
+        })
+
+        it('should include the plugin severity', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, junit: 'test.json' });
+            handler.writeResult({ status: 2 }, { title: 'myTitle', severity: 'Critical' }, 'key');
+            handler.close();
+            expect(JSON.parse(buffer.cache)[0].severity).to.equal('Critical');
+        })
+
+        it('should include the change when compared with a baseline', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, junit: 'test.json' });
+            handler.writeResult({ status: 2, change: 'STATUS_CHANGED', previousStatus: 1 }, { title: 'myTitle' }, 'key');
+            handler.close();
+            expect(JSON.parse(buffer.cache)[0].change).to.equal('STATUS_CHANGED');
+            expect(JSON.parse(buffer.cache)[0].previous_status).to.equal('WARN');
+        })
+
+        it('should include the suppression of suppressed results', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, junit: 'test.json' });
+            handler.writeResult({ status: 1, suppressed: {name: 'key:us-east-1:*', reason: 'Accepted risk', ticket: 'SEC-123'} }, { title: 'myTitle' }, 'key');
+            handler.close();
+
+            var result = JSON.parse(buffer.cache)[0];
+            expect(result.status).to.equal('SUPPRESSED');
+            expect(result.suppression).to.deep.equal({rule: 'key:us-east-1:*', status: 'WARN', reason: 'Accepted risk', ticket: 'SEC-123'});
+        })
+
+        it('should mark accepted results with their acceptance', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createJson(buffer, { mocha: true, suppress_tag: 'cloudsploit-suppress' });
+            handler.writeResult({ status: 2, accepted: {tag: 'cloudsploit-suppress', reason: 'Public website'} }, { title: 'acceptedTitle' }, 'key');
+            handler.writeResult({ status: 2 }, { title: 'myTitle' }, 'key');
+            handler.close();
+
+            var written = JSON.parse(buffer.cache);
+            expect(written).to.have.length(2);
+            expect(written[0]).to.include({title: 'acceptedTitle', status: 'FAIL'});
+            expect(written[0].acceptance).to.deep.equal({tag: 'cloudsploit-suppress', reason: 'Public website'});
+            expect(written[1]).to.include({title: 'myTitle'}).and.not.have.property('acceptance');
+        })
+    })
+
+    describe('sarif', function () {
+        var plugin = {
+            title: 'S3 Bucket Encryption',
+            category: 'S3',
+            description: 'Ensures object encryption is enabled on S3 buckets',
+            more_info: 'S3 object encryption provides fully-managed encryption.',
+            recommended_action: 'Enable encryption for all S3 buckets.',
+            link: 'https://docs.aws.amazon.com/AmazonS3/latest/dev/bucket-encryption.html',
+            severity: 'High'
+        };
+
+        it('should generate an empty run if no results', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif' });
+            handler.close();
+            var sarif = JSON.parse(buffer.cache);
+            expect(sarif.version).to.equal('2.1.0');
+            expect(sarif.runs[0].tool.driver.rules).to.deep.equal([]);
+            expect(sarif.runs[0].results).to.deep.equal([]);
+        })
+
+        it('should map each plugin to a rule and skip passing results', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif' });
+            handler.writeResult({status: 0, region: 'us-east-1', resource: 'arn:aws:s3:::ok'}, plugin, 'bucketEncryption');
+            handler.writeResult({status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::one', message: 'Not encrypted'}, plugin, 'bucketEncryption');
+            handler.writeResult({status: 2, region: 'us-east-1', resource: 'arn:aws:s3:::two', message: 'Not encrypted'}, plugin, 'bucketEncryption');
+            handler.close();
+
+            var run = JSON.parse(buffer.cache).runs[0];
+            expect(run.tool.driver.rules).to.have.length(1);
+            expect(run.tool.driver.rules[0].id).to.equal('bucketEncryption');
+            expect(run.tool.driver.rules[0].helpUri).to.equal(plugin.link);
+            expect(run.tool.driver.rules[0].help.text).to.include(plugin.recommended_action);
+            expect(run.tool.driver.rules[0].properties['security-severity']).to.equal('8.0');
+            expect(run.results).to.have.length(2);
+            expect(run.results[1].ruleIndex).to.equal(0);
+            expect(run.results[1].level).to.equal('error');
+            expect(run.results[1].locations[0].logicalLocations[0].name).to.equal('arn:aws:s3:::two');
+        })
+
+        it('should derive the level from the status and severity', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif' });
+            handler.writeResult({status: 1}, plugin, 'bucketEncryption');
+            handler.writeResult({status: 2}, Object.assign({}, plugin, {severity: 'Low'}), 'lowPlugin');
+            handler.writeResult({status: 2}, Object.assign({}, plugin, {severity: 'Info'}), 'infoPlugin');
+            handler.close();
+
+            var run = JSON.parse(buffer.cache).runs[0];
+            expect(run.results.map(r => r.level)).to.deep.equal(['warning', 'warning', 'note']);
+        })
+
+        it('should mark suppressed results with their rule', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif' });
+            handler.writeResult({status: 2, suppressed: {name: 'bucketEncryption:us-east-1:*', reason: 'Encrypted by the client'}}, plugin, 'bucketEncryption');
+            handler.close();
+
+            var result = JSON.parse(buffer.cache).runs[0].results[0];
+            expect(result.suppressions).to.deep.equal([{
+                kind: 'external',
+                justification: 'Encrypted by the client',
+                properties: {rule: 'bucketEncryption:us-east-1:*', status: 'FAIL', reason: 'Encrypted by the client'}
+            }]);
+        })
+
+        it('should report the changes since the baseline, including resolved results', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif' });
+            handler.writeResult({status: 2, resource: 'arn:aws:s3:::one', change: 'NEW'}, plugin, 'bucketEncryption');
+            handler.writeResult({status: 0, previousStatus: 2, resource: 'arn:aws:s3:::two', message: 'Not encrypted', change: 'RESOLVED'}, plugin, 'bucketEncryption');
+            handler.close();
+
+            var run = JSON.parse(buffer.cache).runs[0];
+            expect(run.results).to.have.length(2);
+            expect(run.results[0].baselineState).to.equal('new');
+            expect(run.results[1]).to.include({baselineState: 'absent', kind: 'pass', level: 'none'});
+            expect(run.results[1].locations[0].logicalLocations[0].name).to.equal('arn:aws:s3:::two');
+        })
+
+        it('should keep the rules of plugins with the same key in different clouds apart', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createSarif(buffer, { mocha: true, sarif: 'test.sarif', multi_cloud: true });
+            handler.writeResult({status: 2, cloud: 'aws'}, plugin, 'defaultSecurityGroup');
+            handler.writeResult({status: 2, cloud: 'azure'}, plugin, 'defaultSecurityGroup');
+            handler.close();
+
+            var run = JSON.parse(buffer.cache).runs[0];
+            expect(run.tool.driver.rules.map(r => r.id)).to.deep.equal(['aws/defaultSecurityGroup', 'azure/defaultSecurityGroup']);
+            expect(run.results[1].ruleIndex).to.equal(1);
+            expect(run.results[1].properties.cloud).to.equal('azure');
+        })
+    })
+
+    describe('html', function () {
+        it('should embed the results grouped by plugin', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createHtml(buffer, { mocha: true, html: 'test.html' });
+            var plugin = {title: 'myTitle', category: 'S3', severity: 'High', compliance: {pci: 'PCI requirement'}};
+            handler.writeResult({status: 2, region: 'us-east-1', resource: 'one', message: 'fail message'}, plugin, 'key');
+            handler.writeResult({status: 0, region: 'us-east-1', resource: 'two'}, plugin, 'key');
+            handler.close();
+
+            expect(buffer.cache).to.include('<!DOCTYPE html>');
+            var data = buffer.cache.match(/<script type="application\/json" id="report-data">(.*)<\/script>/)[1];
+            var report = JSON.parse(data);
+            expect(report.plugins).to.have.length(1);
+            expect(report.plugins[0].compliance).to.deep.equal({pci: 'PCI requirement'});
+            expect(report.plugins[0].results.map(r => r.status)).to.deep.equal(['FAIL', 'OK']);
+        })
+
+        it('should escape the embedded data', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createHtml(buffer, { mocha: true, html: 'test.html' });
+            handler.writeResult({status: 2, resource: '</script><script>alert(1)</script>'}, {title: 'myTitle'}, 'key');
+            handler.close();
+
+            expect(buffer.cache).not.to.include('</script><script>alert(1)');
+        })
+
+        it('should list accepted results apart from the plugins', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createHtml(buffer, { mocha: true, html: 'test.html' });
+            handler.writeResult({status: 2, resource: 'one', accepted: {tag: 'cloudsploit-suppress', reason: 'Public website'}}, {title: 'myTitle'}, 'key');
+            handler.close();
+
+            var report = JSON.parse(buffer.cache.match(/<script type="application\/json" id="report-data">(.*)<\/script>/)[1]);
+            expect(report.plugins).to.have.length(0);
+            expect(report.accepted).to.deep.equal([{status: 'FAIL', region: 'global', resource: 'one', message: '', title: 'myTitle', reason: 'Public website'}]);
+        })
+    })
+
+    describe('collection', function () {
+        it('should key the collection by account when one is provided', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollection(buffer, { mocha: true, collection: 'test.json' });
+            handler.write({s3: {}}, 'aws', '111111111111');
+            handler.write({ec2: {}}, 'aws', '222222222222');
+            handler.close();
+            expect(JSON.parse(buffer.cache)).to.deep.equal({'111111111111': {s3: {}}, '222222222222': {ec2: {}}});
+        })
+
+        it('should write each collection as soon as it is collected', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollection(buffer, { mocha: true, collection: 'test.json' });
+            handler.write({s3: {listBuckets: {'us-east-1': {data: []}}}}, 'aws', '111111111111');
+            expect(buffer.cache).to.include('"111111111111"');
+            handler.close();
+            expect(buffer.cache).to.equal(JSON.stringify({'111111111111': {s3: {listBuckets: {'us-east-1': {data: []}}}}}, null, 2));
+        })
+
+        it('should write an empty object without collections', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollection(buffer, { mocha: true, collection: 'test.json' });
+            handler.close();
+            expect(buffer.cache).to.equal('{}');
+        })
+
+        it('should key the collection by cloud when scanning several clouds', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollection(buffer, { mocha: true, collection: 'test.json', multi_cloud: true });
+            handler.write({s3: {}}, 'aws', '111111111111');
+            handler.write({compute: {}}, 'google');
+            handler.close();
+            expect(JSON.parse(buffer.cache)).to.deep.equal({google: {compute: {}}, aws: {'111111111111': {s3: {}}}});
+        })
+    })
+
+    describe('collectionReport', function () {
+        var entry = function(call, permissionDenied) {
+            return {call: call, regions: 1, resources: 0, duration: 10, retries: 0, errors: {permission_denied: permissionDenied, throttled: 1, other: 0}, error_codes: {}};
+        };
+
+        it('should summarize the errors and the calls denied a permission', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollectionReport(buffer, { mocha: true, collection_report: 'report.json' });
+            handler.write([entry('IAM:getAccountSummary', 1), entry('S3:listBuckets', 0)], 'aws', '111111111111');
+            handler.close();
+
+            var report = JSON.parse(buffer.cache);
+            expect(report.calls).to.have.length(2);
+            expect(report.calls[0].account).to.equal('111111111111');
+            expect(report.summary.errors).to.deep.equal({permission_denied: 1, throttled: 2, other: 0});
+            expect(report.summary.permission_denied_calls).to.deep.equal(['111111111111/IAM:getAccountSummary']);
+        })
+
+        it('should tag each call with its cloud when scanning several clouds', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollectionReport(buffer, { mocha: true, collection_report: 'report.json', multi_cloud: true });
+            handler.write([entry('compute:list', 0)], 'google');
+            handler.close();
+            expect(JSON.parse(buffer.cache).calls[0].cloud).to.equal('google');
+        })
+    })
+
+    describe('ndjson', function () {
+        it('should write each result as a line as soon as it is found', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createNdjson(buffer, { mocha: true, ndjson: 'test.ndjson' });
+            handler.writeResult({status: 2, message: 'fail message', resource: 'arn:1'}, {title: 'myTitle', category: 'S3'}, 'key');
+            expect(buffer.cache.split('\n')).to.have.length(2);
+
+            handler.writeResult({status: 0, message: 'ok message'}, {title: 'myTitle', category: 'S3'}, 'key');
+            handler.close();
+
+            var lines = buffer.cache.trim().split('\n').map(JSON.parse);
+            expect(lines).to.have.length(2);
+            expect(lines[0]).to.include({plugin: 'key', status: 'FAIL', resource: 'arn:1', message: 'fail message'});
+            expect(lines[1]).to.include({status: 'OK', region: 'Global'});
+        })
+
+        it('should flush each line to the file before the scan completes', function () {
+            var fs = require('fs');
+            var file = require('path').join(require('os').tmpdir(), `output-${process.pid}.ndjson`);
+            var handler = output.create({ mocha: true, ndjson: file });
+            handler.writeResult({status: 2, message: 'fail message'}, {title: 'myTitle'}, 'key');
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).status).to.equal('FAIL');
+            handler.close();
+            fs.unlinkSync(file);
+        })
+    })
+
+    describe('collectionNdjson', function () {
+        it('should write each result of the collection as a line', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollectionNdjson(buffer, { mocha: true, collection_ndjson: 'test.ndjson' });
+            handler.write({
+                s3: {
+                    listBuckets: {'us-east-1': {data: [{Name: 'one'}]}},
+                    getBucketPolicy: {'us-east-1': {one: {err: 'NoSuchBucketPolicy'}}}
+                }
+            }, 'aws', '111111111111');
+            handler.close();
+
+            expect(buffer.cache.trim().split('\n').map(JSON.parse)).to.deep.equal([
+                {account: '111111111111', path: ['s3', 'listBuckets', 'us-east-1'], result: {data: [{Name: 'one'}]}},
+                {account: '111111111111', path: ['s3', 'getBucketPolicy', 'us-east-1', 'one'], result: {err: 'NoSuchBucketPolicy'}}
+            ]);
+        })
+
+        it('should write the results reported by the collector as they complete', function () {
+            var buffer = createOutputBuffer();
+            var handler = output.createCollectionNdjson(buffer, { mocha: true, collection_ndjson: 'test.ndjson' });
+            handler.writeResult(['s3', 'getBucketPolicy', 'us-east-1'], {one: {err: 'NoSuchBucketPolicy'}}, 'aws', '111111111111');
+            expect(buffer.cache.trim().split('\n').map(JSON.parse)).to.deep.equal([
+                {account: '111111111111', path: ['s3', 'getBucketPolicy', 'us-east-1', 'one'], result: {err: 'NoSuchBucketPolicy'}}
+            ]);
+
+            // The collection of an account written as it progressed is not
+            // written again, unlike those of collectors that do not report
+            // their results
+            handler.write({s3: {getBucketPolicy: {'us-east-1': {one: {err: 'NoSuchBucketPolicy'}}}}}, 'aws', '111111111111');
+            handler.write({s3: {listBuckets: {'us-east-1': {data: []}}}}, 'aws', '222222222222');
+            handler.close();
+            expect(buffer.cache.trim().split('\n')).to.have.length(2);
+        })
+    })
+
+    describe('emitter', function () {
+        it('should emit each result and collection', function () {
+            var EventEmitter = require('events');
+            var emitter = new EventEmitter();
+            var results = [];
+            var collections = [];
+            emitter.on('result', function (result) { results.push(result); });
+            emitter.on('collection', function (collection) { collections.push(collection); });
+
+            var handler = output.create({ emitter: emitter, ignore_ok: true });
+            handler.writeResult({status: 2, message: 'fail message', region: 'us-east-1', account: '111111111111'}, {title: 'myTitle', severity: 'High'}, 'key');
+            handler.writeResult({status: 0, message: 'ok message'}, {title: 'myTitle'}, 'key');
+            handler.writeCollection({s3: {}}, 'aws', '111111111111');
+            handler.close();
+
+            expect(results).to.have.length(1);
+            expect(results[0]).to.include({plugin: 'key', status: 'FAIL', severity: 'High', region: 'us-east-1', account: '111111111111'});
+            expect(collections).to.deep.equal([{cloud: 'aws', account: '111111111111', collection: {s3: {}}}]);
+        })
+    })
+
+    describe('ignore_ok', function () {
+        it('should keep the results resolved since the baseline', function () {
+            var EventEmitter = require('events');
+            var emitter = new EventEmitter();
+            var results = [];
+            emitter.on('result', function (result) { results.push(result); });
+
+            var handler = output.create({ emitter: emitter, ignore_ok: true });
+            handler.writeResult({status: 0, message: 'ok message', change: 'UNCHANGED'}, {title: 'myTitle'}, 'key');
+            handler.writeResult({status: 0, previousStatus: 2, message: 'fail message', change: 'RESOLVED'}, {title: 'myTitle'}, 'key');
+            handler.close();
+
+            expect(results).to.have.length(1);
+            expect(results[0]).to.include({plugin: 'key', status: 'OK', change: 'RESOLVED'});
+        })
     })
 
     describe('create', function() {
@@ -144,5 +576,49 @@ describe('output', function () {
             // No expect here because in the current structure, we cannot
             // capture the standard output
         })
+
+        it('should handle baseline changes without errors', function () {
+            var handler = output.create({baseline: 'previous.json', console: 'table'});
+
+            handler.writeResult({ status: 2, message: 'Certificate has no validation', change: 'NEW'}, {
+                category: 'ACM',
+                title: 'ACM Certificate Validation',
+                description: 'Testing the ACM certificate which must have DNS validation enabled'
+            }, 'key3');
+            handler.close();
+            // No expect here because in the current structure, we cannot
+            // capture the standard output
+        })
+
+        it('should handle accepted results without errors', function () {
+            var handler = output.create({suppress_tag: 'cloudsploit-suppress', console: 'table'});
+
+            handler.writeResult({ status: 2, message: 'Bucket does not have versioning enabled', accepted: {tag: 'cloudsploit-suppress', reason: 'Static website'}}, {
+                category: 'S3',
+                title: 'S3 Bucket Versioning',
+                description: 'Ensures object versioning is enabled on S3 buckets'
+            }, 'bucketVersioning');
+            handler.close();
+            // No expect here because in the current structure, we cannot
+            // capture the standard output
+        })
+
+        it('should handle results of several clouds without errors', function () {
+            var handler = output.create({multi_cloud: true, multi_account: true, console: 'table'});
+
+            handler.writeResult({ status: 2, message: 'Default security group allows traffic', cloud: 'aws', account: '111111111111'}, {
+                category: 'EC2',
+                title: 'Default Security Group Restricts All Traffic',
+                description: 'Ensure the default security group of every VPC restricts all traffic'
+            }, 'defaultSecurityGroup');
+            handler.writeResult({ status: 0, message: 'Default security group restricts traffic', cloud: 'azure'}, {
+                category: 'Network Security Groups',
+                title: 'Default Security Group',
+                description: 'Ensures that default security groups block all traffic by default'
+            }, 'defaultSecurityGroup');
+            handler.close();
+            // No expect here because in the current structure, we cannot
+            // capture the standard output
+        })
     })
 })
\ No newline at end of file
@@ -1,67 +1,360 @@
+var fs = require('fs');
+var path = require('path');
+var yaml = require('js-yaml');
+
+// The attributes of a result the rules of a suppressions file can match, on
+// top of or instead of match
+var CONDITIONS = ['plugin', 'region', 'resource', 'category', 'severity', 'message', 'arn', 'tags'];
+
+// The components of an ARN a rule can match
+var ARN_FIELDS = ['partition', 'service', 'region', 'account'];
+
+// The properties of an entry of a suppressions file
+var RULE_FIELDS = ['match', 'reason', 'owner', 'ticket', 'expires'].concat(CONDITIONS);
+
+// Validate suppression format
+const validateSuppression = (expr) => {
+    // Check basic format (three parts separated by colons)
+    const parts = expr.split(':');
+    if (parts.length !== 3) {
+        throw new Error(`Invalid suppression format: ${expr}. Expected format: pluginId:region:resourceId`);
+    }
+
+    // The plugins of a plugin directory are prefixed with its name, e.g. acme.bucketTags
+    const pluginPattern = /^(?=.{1,255}$)([A-Za-z0-9_-]+\.)?[A-Za-z0-9_-]+$/; // eslint-disable-line
+    const regionPattern = /^[A-Za-z0-9\-_]{1,255}$/; // eslint-disable-line
+    const resourcePattern = /^[ A-Za-z0-9._~()'!*:@,;+?#$%^&={}\\[\]\\|\"/-]{1,255}$/;  // eslint-disable-line
+    const [pluginId, region, resourceId] = parts;
+
+    // Validate pluginId
+    if (!pluginPattern.test(pluginId)) {
+        throw new Error(`Invalid pluginId in suppression: ${pluginId}. Must only contain letters, numbers, hyphen (-), and underscore (_), optionally prefixed by the name of its plugin directory and a dot (.), and be between 1-255 characters.`);
+    }
+
+    // Validate region
+    if (!regionPattern.test(region)) {
+        throw new Error(`Invalid region in suppression: ${region}. Must only contain letters, numbers, hyphen (-), and underscore (_) and be between 1-255 characters.`);
+    }
+
+    // Validate resourceId with specific pattern
+    if (!resourcePattern.test(resourceId)) {
+        throw new Error(`Invalid resourceId in suppression: ${resourceId}. Must match allowed pattern and be between 1-255 characters.`);
+    }
+
+    return true;
+};
+
+// Matches a glob, where * matches anything, regardless of case
+var globRegExp = function(pattern) {
+    return new RegExp('^' + String(pattern)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .split('*')
+        .join('.*') + '$', 'i');
+};
+
+// The components of an AWS ARN, e.g. arn:aws:s3:::bucket
+var parseArn = function(resource) {
+    var match = /^arn:([^:]*):([^:]*):([^:]*):([^:]*):(.+)$/.exec(resource || '');
+    if (!match) return null;
+    return {partition: match[1], service: match[2], region: match[3], account: match[4], resource: match[5]};
+};
+
+// A condition value is a glob or a list of globs, any of which can match.
+// YAML parses account IDs and such as numbers.
+var conditionValues = function(value) {
+    var values = [].concat(value);
+    if (!values.length || values.some(function(v) { return typeof v !== 'string' && typeof v !== 'number'; })) return null;
+    return values.map(String);
+};
+
+// Compiles the conditions of a rule into a function matching the attributes
+// of a result: its plugin, region, resource, category, severity, message and
+// tags. Every condition of the rule has to match.
+var compileConditions = function(rule) {
+    var checks = [];
+    var matchAny = function(patterns, value) {
+        return value !== undefined && value !== null && patterns.some(function(pattern) {
+            return pattern.test(String(value));
+        });
+    };
+
+    ['plugin', 'region', 'resource', 'category', 'severity', 'message'].forEach(function(field) {
+        if (rule[field] === undefined) return;
+        var patterns = [].concat(rule[field]).map(globRegExp);
+        checks.push(function(attributes) {
+            return matchAny(patterns, attributes[field]);
+        });
+    });
+
+    Object.keys(rule.arn || {}).forEach(function(field) {
+        var patterns = [].concat(rule.arn[field]).map(globRegExp);
+        checks.push(function(attributes) {
+            var arn = parseArn(attributes.resource);
+            return !!arn && matchAny(patterns, arn[field]);
+        });
+    });
+
+    Object.keys(rule.tags || {}).forEach(function(key) {
+        var patterns = [].concat(rule.tags[key]).map(globRegExp);
+        checks.push(function(attributes) {
+            var tags = attributes.tags || {};
+            var tag = Object.keys(tags).find(function(name) {
+                return name.toLowerCase() === key.toLowerCase();
+            });
+            return tag !== undefined && matchAny(patterns, tags[tag]);
+        });
+    });
+
+    return function(attributes) {
+        return !!attributes && checks.every(function(check) {
+            return check(attributes);
+        });
+    };
+};
+
+/**
+ * Names a rule in messages and reports: its match followed by its conditions,
+ * e.g. category=S3, tags.data-class=public.
+ * @param {Object|string} rule The rule
+ * @return {string} The name of the rule
+ */
+var ruleName = function(rule) {
+    if (typeof rule === 'string') return rule;
+    var parts = rule.match ? [rule.match] : [];
+    CONDITIONS.forEach(function(field) {
+        if (rule[field] === undefined) return;
+        if (field == 'arn' || field == 'tags') {
+            Object.keys(rule[field]).forEach(function(key) {
+                parts.push(`${field}.${key}=${[].concat(rule[field][key]).join('|')}`);
+            });
+        } else {
+            parts.push(`${field}=${[].concat(rule[field]).join('|')}`);
+        }
+    });
+    return parts.join(', ');
+};
+
+// The expiry date of a rule. YAML parses unquoted dates as Date objects.
+var parseExpiry = function(expires) {
+    if (expires instanceof Date) return isNaN(expires.getTime()) ? null : expires;
+    if (typeof expires !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(expires)) return null;
+    var date = new Date(expires);
+    return isNaN(date.getTime()) ? null : date;
+};
+
 module.exports = {
-    create: function(suppressions) {
-        // Creates an object that can post process results to suppress rules
-        // This allows the client to set to ignore particular failures so that
-        // they don't affect the overall score
-        // Suppressions have the format pluginId:region:resourceId, where any
-        // of the items can be * to indicate match all.
-        if (!suppressions) suppressions = [];
+    // The plugin the warnings of expired suppression rules are reported under
+    expiredPlugin: {
+        title: 'Expired Suppression',
+        category: 'Suppressions',
+        domain: 'Management and Governance',
+        severity: 'Low',
+        description: 'Ensures that suppression rules are renewed or removed once they expire',
+        more_info: 'A suppression rule past its expiry date no longer suppresses the results it matches, which are reported again.',
+        recommended_action: 'Fix the suppressed findings, or renew the rule with a new expiry date once the risk has been reviewed.',
+        link: 'https://github.com/aquasecurity/cloudsploit#suppressions',
+        apis: []
+    },
 
-        // Validate suppression format
-        const validateSuppression = (expr) => {
-            // Check basic format (three parts separated by colons)
-            const parts = expr.split(':');
-            if (parts.length !== 3) {
-                throw new Error(`Invalid suppression format: ${expr}. Expected format: pluginId:region:resourceId`);
-            }
-            
-            const pluginPattern = /^[A-Za-z0-9]{1,255}$/; // eslint-disable-line
-            const regionPattern = /^[A-Za-z0-9\-_]{1,255}$/; // eslint-disable-line
-            const resourcePattern = /^[ A-Za-z0-9._~()'!*:@,;+?#$%^&={}\\[\]\\|\"/-]{1,255}$/;  // eslint-disable-line
-            const [pluginId, region, resourceId] = parts;
-            
-            // Validate pluginId
-            if (!pluginPattern.test(pluginId)) {
-                throw new Error(`Invalid pluginId in suppression: ${pluginId}. Must only contain letters and numbers and be between 1-255 characters.`);
-            }
+    ruleName: ruleName,
 
-            // Validate region
-            if (!regionPattern.test(region)) {
-                throw new Error(`Invalid region in suppression: ${region}. Must only contain letters, numbers, hyphen (-), and underscore (_) and be between 1-255 characters.`);
+    /**
+     * Loads a suppressions file. The file holds a list of rules, either at its
+     * top level or under a suppressions key, each with:
+     * - match: (Optional) The results to suppress, as pluginId:region:resourceId
+     * - plugin, region, resource, category, severity, message: (Optional) A
+     *   glob or list of globs the attribute of the result has to match
+     * - arn: (Optional) The globs the partition, service, region or account
+     *   of the ARN of the resource have to match
+     * - tags: (Optional) The globs the tags (AWS, Azure, Oracle) or labels
+     *   (Google) of the resource have to match, keyed by tag
+     * - reason: Why the results are suppressed
+     * - owner: (Optional) Who accepted the risk
+     * - ticket: (Optional) The ticket tracking the risk
+     * - expires: (Optional) The date, as YYYY-MM-DD, from which the rule no
+     *   longer applies
+     * @param {string} file The path of the file, in the JSON or YAML format
+     * @return {Object[]} The rules of the file
+     * @throws {Error} When the file cannot be read or a rule is invalid
+     */
+    load: function(file) {
+        var contents = fs.readFileSync(file, 'utf8');
+        var rules = /\.ya?ml$/i.test(path.extname(file)) ? yaml.safeLoad(contents) : JSON.parse(contents);
+        if (rules && !Array.isArray(rules) && typeof rules === 'object') rules = rules.suppressions;
+        if (!Array.isArray(rules)) throw new Error(`${file} does not contain a list of suppressions`);
+
+        return rules.map(function(rule, index) {
+            var name = `Suppression ${index + 1} of ${file}`;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${name} is not an object`);
+
+            var unknown = Object.keys(rule).filter(function(field) {
+                return RULE_FIELDS.indexOf(field) === -1;
+            });
+            if (unknown.length) throw new Error(`${name} has unknown properties: ${unknown.join(', ')}. Expected: ${RULE_FIELDS.join(', ')}`);
+
+            var conditions = CONDITIONS.filter(function(field) {
+                return rule[field] !== undefined;
+            });
+            if (rule.match === undefined && !conditions.length) throw new Error(`${name} does not have a match or any of: ${CONDITIONS.join(', ')}`);
+            if (rule.match !== undefined) {
+                if (typeof rule.match !== 'string') throw new Error(`${name} has an invalid match`);
+                validateSuppression(rule.match);
             }
+            if (typeof rule.reason !== 'string' || !rule.reason.trim().length) throw new Error(`${name} does not have a reason`);
+            ['owner', 'ticket'].forEach(function(field) {
+                if (rule[field] !== undefined && typeof rule[field] !== 'string' && typeof rule[field] !== 'number') {
+                    throw new Error(`${name} has an invalid ${field}`);
+                }
+            });
 
-            // Validate resourceId with specific pattern
-            if (!resourcePattern.test(resourceId)) {
-                throw new Error(`Invalid resourceId in suppression: ${resourceId}. Must match allowed pattern and be between 1-255 characters.`);
+            var parsed = {};
+            if (rule.match !== undefined) parsed.match = rule.match;
+            conditions.forEach(function(field) {
+                if (field == 'arn' || field == 'tags') {
+                    if (!rule[field] || typeof rule[field] !== 'object' || Array.isArray(rule[field]) || !Object.keys(rule[field]).length) {
+                        throw new Error(`${name} has an invalid ${field}. Expected an object`);
+                    }
+                    parsed[field] = {};
+                    Object.keys(rule[field]).forEach(function(key) {
+                        if (field == 'arn' && ARN_FIELDS.indexOf(key) === -1) throw new Error(`${name} has an unknown arn component: ${key}. Expected: ${ARN_FIELDS.join(', ')}`);
+                        var values = conditionValues(rule[field][key]);
+                        if (!values) throw new Error(`${name} has an invalid ${field}.${key}. Expected a string or a list of strings`);
+                        parsed[field][key] = values.length == 1 ? values[0] : values;
+                    });
+                } else {
+                    var values = conditionValues(rule[field]);
+                    if (!values) throw new Error(`${name} has an invalid ${field}. Expected a string or a list of strings`);
+                    parsed[field] = values.length == 1 ? values[0] : values;
+                }
+            });
+            parsed.reason = rule.reason;
+            if (rule.owner !== undefined) parsed.owner = String(rule.owner);
+            if (rule.ticket !== undefined) parsed.ticket = String(rule.ticket);
+            if (rule.expires !== undefined) {
+                var expires = parseExpiry(rule.expires);
+                if (!expires) throw new Error(`${name} has an invalid expiry date: ${rule.expires}. Expected format: YYYY-MM-DD`);
+                parsed.expires = expires.toISOString().replace('T00:00:00.000Z', '');
             }
+            return parsed;
+        });
+    },
 
-            return true;
+    /**
+     * The warning result of a suppression rule past its expiry date.
+     * @param {Object} rule The rule, as returned by load()
+     * @return {Object} The result, reported under expiredPlugin
+     */
+    expiredResult: function(rule) {
+        var details = [rule.reason, rule.owner && `owner: ${rule.owner}`, rule.ticket && `ticket: ${rule.ticket}`].filter(Boolean);
+        return {
+            status: 1,
+            message: `Suppression expired on ${rule.expires} and no longer applies: ${details.join('; ')}`,
+            region: 'global',
+            resource: ruleName(rule)
         };
+    },
+
+    create: function(suppressions, now) {
+        // Creates an object that can post process results to suppress rules
+        // This allows the client to set to ignore particular failures so that
+        // they don't affect the overall score
+        // Suppressions have the format pluginId:region:resourceId, where any
+        // of the items can be * to indicate match all. They are either
+        // strings or the rules of a suppressions file, which can also match
+        // the attributes of the result and stop applying once they expire.
+        if (!suppressions) suppressions = [];
+        now = now || new Date();
+
+        var rules = suppressions.map(function(rule) {
+            return Object.assign({name: ruleName(rule)}, typeof rule === 'string' ? {match: rule} : rule);
+        });
+        var expired = rules.filter(function(rule) {
+            return rule.expires && parseExpiry(rule.expires) <= now;
+        });
 
         // Validate and create expressions
-        var expressions = suppressions
-            .map(function(expr) {
-                // Validate the expression format
-                validateSuppression(expr);
+        var expressions = rules
+            .filter(function(rule) {
+                return expired.indexOf(rule) === -1;
+            })
+            .map(function(rule) {
+                var expr = rule.match;
+                var regExp;
+                if (expr !== undefined) {
+                    // Validate the expression format
+                    validateSuppression(expr);
 
-                // Escape special regex characters except * which we handle specially
-                const escapedExpr = expr
-                    .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars
-                    .split('*')
-                    .join('.*'); // Replace * with .*
+                    // Escape special regex characters except * which we handle specially
+                    const escapedExpr = expr
+                        .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars
+                        .split('*')
+                        .join('.*'); // Replace * with .*
+                    regExp = new RegExp('^' + escapedExpr + '$');
+                }
 
                 return [
-                    expr,
-                    new RegExp('^' + escapedExpr + '$')
+                    regExp,
+                    CONDITIONS.some(function(field) { return rule[field] !== undefined; }) ? compileConditions(rule) : null,
+                    rule
                 ];
             });
 
-        return function(result) {
+        // The number of results each rule suppressed
+        var counts = new Map();
+
+        var filter = function(result, attributes) {
+            var rule = filter.match(result, attributes);
+            return rule && rule.name;
+        };
+
+        /**
+         * Finds the first rule suppressing a result.
+         * @param {string} result The result, as pluginId:region:resourceId
+         * @param {Object} attributes (Optional) The attributes of the result
+         * matched by the conditions of the rules: plugin, region, resource,
+         * category, severity, message and tags
+         * @return {Object} The rule, with its name, if any
+         */
+        filter.match = function(result, attributes) {
             var match = expressions.find(function(expression) {
-                return expression[1].test(result);
+                return (!expression[0] || expression[0].test(result)) && (!expression[1] || expression[1](attributes));
             });
+            if (!match) return;
 
-            return match && match[0];
+            counts.set(match[2], (counts.get(match[2]) || 0) + 1);
+            return match[2];
         };
+
+        // The rules past their expiry date, which do not suppress anything
+        filter.expired = expired;
+
+        // Whether the tags of the resources are needed to match the rules
+        filter.usesTags = rules.some(function(rule) {
+            return rule.tags !== undefined;
+        });
+
+        /**
+         * Reports the results suppressed by each rule, so that the rules that
+         * never matched or expired can be removed. A result only counts for
+         * the first rule matching it.
+         * @return {Object} The summary and the rules with their match count
+         */
+        filter.report = function() {
+            var summary = {rules: rules.length, suppressed: 0, unmatched: [], expired: []};
+            var reported = rules.map(function(rule) {
+                var entry = Object.assign({}, rule, {matched: counts.get(rule) || 0});
+                summary.suppressed += entry.matched;
+                if (expired.indexOf(rule) > -1) {
+                    entry.expired = true;
+                    summary.expired.push(rule.name);
+                } else if (!entry.matched) {
+                    summary.unmatched.push(rule.name);
+                }
+                return entry;
+            });
+            return {summary: summary, rules: reported};
+        };
+
+        return filter;
     }
 };
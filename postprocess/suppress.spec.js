@@ -1,4 +1,7 @@
 var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var suppress = require('./suppress');
 
 describe('create', function () {
@@ -24,4 +27,170 @@ describe('create', function () {
         ]);
         expect(filter('plugin456:us-west-2:second')).to.equal('plugin456:us-west-2:second');
     });
+
+    it('should match the plugins of plugin directories', function () {
+        var filter = suppress.create(['acme.bucketTags:us-east-1:*', {match: 'acme-security.bucketTags:us-west-2:*', reason: 'Accepted'}]);
+        expect(filter('acme.bucketTags:us-east-1:arn:aws:s3:::logs')).to.equal('acme.bucketTags:us-east-1:*');
+        expect(filter('acmeXbucketTags:us-east-1:arn:aws:s3:::logs')).to.be.undefined;
+        expect(filter('acme-security.bucketTags:us-west-2:arn:aws:s3:::logs')).to.equal('acme-security.bucketTags:us-west-2:*');
+
+        filter = suppress.create(['acme.my-check:us-east-1:*', 'acme_security.bucket_tags:us-west-2:*']);
+        expect(filter('acme.my-check:us-east-1:arn:aws:s3:::logs')).to.equal('acme.my-check:us-east-1:*');
+        expect(filter('acme_security.bucket_tags:us-west-2:arn:aws:s3:::logs')).to.equal('acme_security.bucket_tags:us-west-2:*');
+        expect(function() {
+            suppress.create(['acme.s3.bucketTags:us-east-1:*']);
+        }).to.throw('Invalid pluginId in suppression: acme.s3.bucketTags');
+    });
+
+    it('should return the rule matching a result', function () {
+        var rule = {match: 'plugin123:us-east-1:*', reason: 'Accepted', owner: 'platform-team'};
+        var filter = suppress.create([rule]);
+        expect(filter.match('plugin123:us-east-1:name')).to.deep.equal(Object.assign({name: 'plugin123:us-east-1:*'}, rule));
+        expect(filter.match('plugin456:us-east-1:name')).to.be.undefined;
+    });
+
+    it('should match the category and severity of the plugin', function () {
+        var filter = suppress.create([{category: 'S3', severity: ['Low', 'Medium'], reason: 'Accepted'}]);
+        expect(filter('bucketLogging:us-east-1:logs', {plugin: 'bucketLogging', category: 'S3', severity: 'Low'})).to.equal('category=S3, severity=Low|Medium');
+        expect(filter('bucketLogging:us-east-1:logs', {plugin: 'bucketLogging', category: 'S3', severity: 'High'})).to.be.undefined;
+        expect(filter('bucketLogging:us-east-1:logs')).to.be.undefined;
+    });
+
+    it('should match the components of the ARN of the resource', function () {
+        var filter = suppress.create([{arn: {partition: 'aws', service: 's3', account: ['', '123456789012']}, reason: 'Accepted'}]);
+        expect(filter.match('bucketLogging:us-east-1:logs', {resource: 'arn:aws:s3:::logs'})).to.not.be.undefined;
+        expect(filter.match('bucketLogging:us-east-1:logs', {resource: 'arn:aws-us-gov:s3:::logs'})).to.be.undefined;
+        expect(filter.match('instanceMaxCount:us-east-1:i', {resource: 'arn:aws:ec2:us-east-1:123456789012:instance/i-1'})).to.be.undefined;
+        expect(filter.match('bucketLogging:us-east-1:logs', {resource: 'logs'})).to.be.undefined;
+    });
+
+    it('should match the tags of the resource regardless of case', function () {
+        var filter = suppress.create([{tags: {'data-class': 'public'}, resource: 'arn:aws:s3:::*', reason: 'Public data'}]);
+        expect(filter.usesTags).to.be.true;
+        expect(filter.match('bucketEncryption:us-east-1:website', {resource: 'arn:aws:s3:::website', tags: {'Data-Class': 'Public'}})).to.not.be.undefined;
+        expect(filter.match('bucketEncryption:us-east-1:website', {resource: 'arn:aws:s3:::website', tags: {'data-class': 'internal'}})).to.be.undefined;
+        expect(filter.match('bucketEncryption:us-east-1:website', {resource: 'arn:aws:s3:::website'})).to.be.undefined;
+    });
+
+    it('should match the message of the result', function () {
+        var filter = suppress.create([{match: 'sgOpenPort:us-east-1:*', message: '*port 443*', reason: 'HTTPS is public'}]);
+        expect(filter('sgOpenPort:us-east-1:sg-1', {message: 'Security group has TCP port 443 open to 0.0.0.0/0'})).to.equal('sgOpenPort:us-east-1:*, message=*port 443*');
+        expect(filter('sgOpenPort:us-east-1:sg-1', {message: 'Security group has TCP port 22 open to 0.0.0.0/0'})).to.be.undefined;
+        expect(filter('otherPlugin:us-east-1:sg-1', {message: 'Security group has TCP port 443 open to 0.0.0.0/0'})).to.be.undefined;
+    });
+
+    it('should not apply expired rules', function () {
+        var filter = suppress.create([
+            {match: 'plugin123:us-east-1:*', reason: 'Accepted', expires: '2024-01-01'},
+            {match: 'plugin456:us-east-1:*', reason: 'Accepted', expires: '2024-06-01'}
+        ], new Date('2024-03-01'));
+        expect(filter('plugin123:us-east-1:name')).to.be.undefined;
+        expect(filter('plugin456:us-east-1:name')).to.equal('plugin456:us-east-1:*');
+        expect(filter.expired.map(function(rule) { return rule.match; })).to.deep.equal(['plugin123:us-east-1:*']);
+    });
+
+    it('should report the results each rule matched', function () {
+        var filter = suppress.create([
+            'plugin123:us-east-1:*',
+            {match: 'plugin456:us-east-1:*', reason: 'Accepted'},
+            {match: 'plugin789:us-east-1:*', reason: 'Accepted', expires: '2024-01-01'}
+        ], new Date('2024-03-01'));
+        filter('plugin123:us-east-1:first');
+        filter('plugin123:us-east-1:second');
+        filter('plugin789:us-east-1:first');
+
+        var report = filter.report();
+        expect(report.summary).to.deep.equal({rules: 3, suppressed: 2, unmatched: ['plugin456:us-east-1:*'], expired: ['plugin789:us-east-1:*']});
+        expect(report.rules.map(function(rule) { return rule.matched; })).to.deep.equal([2, 0, 0]);
+        expect(report.rules[2].expired).to.be.true;
+    });
+});
+
+describe('load', function () {
+    var dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudsploit-suppress-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('should load the rules of a YAML file', function () {
+        var file = path.join(dir, 'suppressions.yaml');
+        fs.writeFileSync(file, [
+            'suppressions:',
+            '  - match: bucketVersioning:global:logs-*',
+            '    reason: Log buckets are not versioned',
+            '    owner: platform-team',
+            '    ticket: SEC-123',
+            '    expires: 2025-06-30'
+        ].join('\n'));
+
+        expect(suppress.load(file)).to.deep.equal([{
+            match: 'bucketVersioning:global:logs-*',
+            reason: 'Log buckets are not versioned',
+            owner: 'platform-team',
+            ticket: 'SEC-123',
+            expires: '2025-06-30'
+        }]);
+    });
+
+    it('should load the rules of a JSON file', function () {
+        var file = path.join(dir, 'suppressions.json');
+        fs.writeFileSync(file, JSON.stringify([{match: 'plugin123:us-east-1:*', reason: 'Accepted'}]));
+        expect(suppress.load(file)).to.deep.equal([{match: 'plugin123:us-east-1:*', reason: 'Accepted'}]);
+    });
+
+    it('should fail on a rule without a reason', function () {
+        var file = path.join(dir, 'suppressions.json');
+        fs.writeFileSync(file, JSON.stringify([{match: 'plugin123:us-east-1:*'}]));
+        expect(function () {
+            suppress.load(file);
+        }).to.throw('Suppression 1 of ' + file + ' does not have a reason');
+    });
+
+    it('should load rules matching attributes of the result', function () {
+        var file = path.join(dir, 'suppressions.yaml');
+        fs.writeFileSync(file, [
+            '- arn:',
+            '    account: 123456789012',
+            '  tags:',
+            '    data-class: public',
+            '  severity: [Low, Medium]',
+            '  reason: Public data'
+        ].join('\n'));
+
+        expect(suppress.load(file)).to.deep.equal([{
+            arn: {account: '123456789012'},
+            tags: {'data-class': 'public'},
+            severity: ['Low', 'Medium'],
+            reason: 'Public data'
+        }]);
+    });
+
+    it('should fail on a rule without a match or condition', function () {
+        var file = path.join(dir, 'suppressions.json');
+        fs.writeFileSync(file, JSON.stringify([{reason: 'Accepted'}]));
+        expect(function () {
+            suppress.load(file);
+        }).to.throw('does not have a match or any of: plugin, region');
+    });
+
+    it('should fail on an unknown ARN component', function () {
+        var file = path.join(dir, 'suppressions.json');
+        fs.writeFileSync(file, JSON.stringify([{arn: {bucket: 'logs'}, reason: 'Accepted'}]));
+        expect(function () {
+            suppress.load(file);
+        }).to.throw('has an unknown arn component: bucket');
+    });
+
+    it('should fail on an invalid expiry date', function () {
+        var file = path.join(dir, 'suppressions.json');
+        fs.writeFileSync(file, JSON.stringify([{match: 'plugin123:us-east-1:*', reason: 'Accepted', expires: 'next year'}]));
+        expect(function () {
+            suppress.load(file);
+        }).to.throw('has an invalid expiry date: next year');
+    });
 });
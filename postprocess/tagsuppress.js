@@ -0,0 +1,170 @@
+// Accepts the results of resources tagged to suppress them, e.g. with the tag
+// cloudsploit-suppress=pluginId1,pluginId2;reason=Public website. The tags are
+// read from the collection: the AWS tagging API, Azure tags, Google labels and
+// Oracle freeform tags.
+
+// The tag key used when --suppress-tag is given without one
+var DEFAULT_TAG = 'cloudsploit-suppress';
+
+// The tagging API call AWS tags are read from, as in checkTags of
+// helpers/aws/functions.js
+var AWS_TAGS_CALL = 'ResourceGroupsTaggingAPI:getResources';
+
+// Google results name resources after the path of their selfLink, e.g.
+// projects/p/zones/z/instances/i or b/bucket
+var GOOGLE_LINK_PREFIX = /^https?:\/\/[^/]+\/(?:[^/]+\/)?v[0-9][^/]*\//;
+
+// Reads the resource IDs and tags of an item of a collection of each cloud
+var CLOUD_TAGS = {
+    aws: function(item) {
+        if (typeof item.ResourceARN !== 'string' || !Array.isArray(item.Tags)) return null;
+        var tags = {};
+        item.Tags.forEach(function(tag) {
+            tags[tag.Key] = tag.Value;
+        });
+        return {ids: [item.ResourceARN], tags: tags};
+    },
+    azure: function(item) {
+        if (typeof item.id !== 'string' || !item.tags || typeof item.tags !== 'object') return null;
+        return {ids: [item.id], tags: item.tags};
+    },
+    google: function(item) {
+        if (!item.labels || typeof item.labels !== 'object') return null;
+        var ids = [];
+        if (typeof item.selfLink === 'string') ids.push(item.selfLink.replace(GOOGLE_LINK_PREFIX, ''));
+        if (typeof item.name === 'string' && item.name.indexOf('projects/') === 0) ids.push(item.name);
+        return ids.length ? {ids: ids, tags: item.labels} : null;
+    },
+    oracle: function(item) {
+        if (typeof item.id !== 'string' || !item.freeformTags || typeof item.freeformTags !== 'object') return null;
+        return {ids: [item.id], tags: item.freeformTags};
+    }
+};
+
+// Calls fn with each item of the data of the results of a collection
+function eachItem(node, fn) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    if (node.data !== undefined || node.err !== undefined) {
+        if (node.data && typeof node.data === 'object') {
+            [].concat(node.data).forEach(function(item) {
+                if (item && typeof item === 'object') fn(item);
+            });
+        }
+        return;
+    }
+
+    Object.keys(node).forEach(function(key) {
+        eachItem(node[key], fn);
+    });
+}
+
+/**
+ * Parses the value of a suppression tag: the IDs of the plugins whose results
+ * are accepted, separated by commas, or "all", optionally followed by
+ * ";reason=" and the reason. Google labels cannot hold commas, semicolons or
+ * uppercase letters, so their plugin IDs are separated by underscores and
+ * matched regardless of case.
+ * @param {string} value The value of the tag
+ * @param {string} cloud The cloud of the resource
+ * @return {Object} The plugin IDs, in lowercase, and the reason
+ */
+function parse(value, cloud) {
+    var parts = String(value || '').split(';');
+    var plugins = parts[0].split(cloud == 'google' ? /[,_]/ : ',').map(function(pluginId) {
+        return pluginId.trim().toLowerCase();
+    }).filter(Boolean);
+
+    var reason = '';
+    parts.slice(1).forEach(function(part) {
+        var match = part.match(/^\s*reason\s*=([\s\S]*)$/i);
+        if (match) reason = match[1].trim();
+    });
+
+    return {plugins: plugins, reason: reason};
+}
+
+/**
+ * Reads the tags of the resources of a collection.
+ * @param {string} cloud The cloud of the collection
+ * @param {Object} collection The collection
+ * @return {Object} The tags of each resource, keyed by its ID in lowercase
+ */
+function index(cloud, collection) {
+    var readTags = CLOUD_TAGS[cloud];
+    var resources = {};
+    if (!readTags) return resources;
+
+    var source = collection || {};
+    if (cloud == 'aws') source = source.resourcegroupstaggingapi && source.resourcegroupstaggingapi.getResources;
+
+    eachItem(source, function(item) {
+        var resource = readTags(item);
+        if (!resource) return;
+        resource.ids.forEach(function(id) {
+            resources[id.toLowerCase()] = resource.tags;
+        });
+    });
+    return resources;
+}
+
+module.exports = {
+    DEFAULT_TAG: DEFAULT_TAG,
+    AWS_TAGS_CALL: AWS_TAGS_CALL,
+    CLOUDS: Object.keys(CLOUD_TAGS),
+    parse: parse,
+
+    /**
+     * Creates a lookup of the tags of the resources of a collection, e.g. to
+     * match the tags of suppression rules (see postprocess/suppress.js).
+     * @param {string} cloud The cloud of the collection
+     * @param {Object} collection The collection
+     * @return {Function} Called with the resource of a result, returns its
+     * tags, if any
+     */
+    tags: function(cloud, collection) {
+        var resources = index(cloud, collection);
+        return function(resource) {
+            return resource ? resources[String(resource).toLowerCase()] : undefined;
+        };
+    },
+
+    /**
+     * Creates a filter of the results accepted through the tags of their
+     * resource, read from the collection of an account.
+     * @param {string} cloud The cloud of the collection
+     * @param {Object} collection The collection
+     * @param {string} tagKey The key of the tag, matched regardless of case
+     * @return {Function} Called with the plugin ID and resource of a result,
+     * returns the acceptance ({tag, reason}) of the result, if any. Its
+     * "resources" property is the number of resources tagged.
+     */
+    create: function(cloud, collection, tagKey) {
+        var key = (tagKey || DEFAULT_TAG).toLowerCase();
+        var accepted = {};
+
+        var resources = index(cloud, collection);
+        Object.keys(resources).forEach(function(id) {
+            var tags = resources[id];
+            var tag = Object.keys(tags).find(function(name) {
+                return name.toLowerCase() === key;
+            });
+            if (tag === undefined) return;
+
+            var acceptance = parse(tags[tag], cloud);
+            acceptance.tag = tag;
+            accepted[id] = acceptance;
+        });
+
+        var filter = function(pluginId, resource) {
+            if (!resource) return;
+            var acceptance = accepted[String(resource).toLowerCase()];
+            if (!acceptance) return;
+
+            if (acceptance.plugins.indexOf('all') === -1 && acceptance.plugins.indexOf(pluginId.toLowerCase()) === -1) return;
+            return {tag: acceptance.tag, reason: acceptance.reason};
+        };
+
+        filter.resources = Object.keys(accepted).length;
+        return filter;
+    }
+};
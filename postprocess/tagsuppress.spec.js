@@ -0,0 +1,66 @@
+var expect = require('chai').expect;
+var tagSuppress = require('./tagsuppress');
+
+describe('tagsuppress', function () {
+    describe('parse', function () {
+        it('should parse the plugin IDs and the reason', function () {
+            expect(tagSuppress.parse('bucketVersioning, bucketLogging;reason=Public website', 'aws')).to.deep.equal({
+                plugins: ['bucketversioning', 'bucketlogging'],
+                reason: 'Public website'
+            });
+        });
+
+        it('should split Google labels on underscores', function () {
+            expect(tagSuppress.parse('bucketversioning_bucketlogging', 'google')).to.deep.equal({
+                plugins: ['bucketversioning', 'bucketlogging'],
+                reason: ''
+            });
+        });
+    });
+
+    describe('create', function () {
+        it('should accept the results of AWS resources tagged through the tagging API', function () {
+            var filter = tagSuppress.create('aws', {
+                resourcegroupstaggingapi: {getResources: {'us-east-1': {data: [
+                    {ResourceARN: 'arn:aws:s3:::website', Tags: [{Key: 'CloudSploit-Suppress', Value: 'bucketVersioning;reason=Static website'}]},
+                    {ResourceARN: 'arn:aws:s3:::logs', Tags: [{Key: 'team', Value: 'platform'}]}
+                ]}}}
+            }, 'cloudsploit-suppress');
+
+            expect(filter.resources).to.equal(1);
+            expect(filter('bucketVersioning', 'arn:aws:s3:::website')).to.deep.equal({tag: 'CloudSploit-Suppress', reason: 'Static website'});
+            expect(filter('bucketLogging', 'arn:aws:s3:::website')).to.be.undefined;
+            expect(filter('bucketVersioning', 'arn:aws:s3:::logs')).to.be.undefined;
+        });
+
+        it('should accept the results of Azure resources regardless of the case of their ID', function () {
+            var filter = tagSuppress.create('azure', {
+                storageAccounts: {list: {eastus: {data: [
+                    {id: '/subscriptions/123/resourceGroups/RG/providers/Microsoft.Storage/storageAccounts/public', tags: {'cloudsploit-suppress': 'all'}}
+                ]}}}
+            });
+
+            expect(filter('blobServiceEncryption', '/subscriptions/123/resourcegroups/rg/providers/microsoft.storage/storageaccounts/public')).to.deep.equal({tag: 'cloudsploit-suppress', reason: ''});
+        });
+
+        it('should name Google resources after their selfLink', function () {
+            var filter = tagSuppress.create('google', {
+                compute: {list: {'us-central1-a': {data: [
+                    {name: 'web', selfLink: 'https://www.googleapis.com/compute/v1/projects/p/zones/us-central1-a/instances/web', labels: {'cloudsploit-suppress': 'instancepublicip'}}
+                ]}}}
+            });
+
+            expect(filter('instancePublicIp', 'projects/p/zones/us-central1-a/instances/web')).to.deep.equal({tag: 'cloudsploit-suppress', reason: ''});
+        });
+
+        it('should accept the results of Oracle resources with freeform tags', function () {
+            var filter = tagSuppress.create('oracle', {
+                bucket: {list: {'us-ashburn-1': {data: [
+                    {id: 'ocid1.bucket.oc1..aaa', freeformTags: {'cloudsploit-suppress': 'bucketPublicAccessType;reason=Public downloads'}}
+                ]}}}
+            });
+
+            expect(filter('bucketPublicAccessType', 'ocid1.bucket.oc1..aaa')).to.deep.equal({tag: 'cloudsploit-suppress', reason: 'Public downloads'});
+        });
+    });
+});
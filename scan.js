@@ -0,0 +1,101 @@
+var EventEmitter = require('events');
+var engine = require('./engine.js');
+var callReport = require('./helpers/callreport.js');
+var engineOptions = require('./helpers/options.js');
+
+/**
+ * Runs a CloudSploit scan from Node and returns its results instead of
+ * printing them. Nothing is printed, written to disk or exits the process
+ * unless requested through the settings, e.g. settings.json to also write
+ * the JSON output.
+ * @param {Object} options Properties:
+ * - cloud: The cloud to scan, or an array of clouds. Default: aws
+ * - credentials: The credentials of the cloud, in the format of its
+ *   credential file (see config_example.js), or the credentials of each
+ *   cloud keyed by its name when scanning several. Default: the default AWS
+ *   credential chain
+ * - plugins: (Optional) The IDs of the plugins to run, or include filters
+ *   such as service:s3 (see helpers/selection.js)
+ * - settings: (Optional) The settings of the command line options, named
+ *   after them, e.g. {regions: 'us-east-1', min_severity: 'High'}. Options
+ *   not provided take the defaults of the command line.
+ * - logger: (Optional) A function receiving the messages of the scan, such as
+ *   console.log
+ * @return {Promise} Resolves to the results of the scan, rejects with the
+ * error that stopped it. Listeners added with on() receive a "result" event
+ * for each result and a "collection" event for each collection. Properties
+ * of the resolved value:
+ * - results: The results, in the format of the JSON output
+ * - collections: The collection of each account with its cloud, account and
+ *   the errors of its API calls
+ * - errors: The accounts or clouds that could not be scanned and the
+ *   plugins that failed to run
+ * - status: The worst status of the results (0: OK, 1: WARN, 2: FAIL,
+ *   3: UNKNOWN)
+ */
+var scan = function(options) {
+    options = options || {};
+
+    var emitter = new EventEmitter();
+    var clouds = [].concat(options.cloud || 'aws');
+    var settings = Object.assign({}, engineOptions.DEFAULTS, options.settings, {
+        emitter: emitter,
+        logger: options.logger || function() {}
+    });
+
+    var credentials = options.credentials || {};
+    if (clouds.length > 1) {
+        settings.clouds = clouds;
+        settings.cloud = null;
+        credentials = {};
+        clouds.forEach(function(cloud) {
+            credentials[cloud] = engineOptions.credentials(cloud, (options.credentials || {})[cloud]);
+        });
+    } else {
+        settings.cloud = clouds[0];
+        credentials = engineOptions.credentials(settings.cloud, credentials);
+    }
+    if (options.plugins) settings.include = (settings.include || []).concat(options.plugins);
+
+    var scanResults = {results: [], collections: [], errors: [], status: 0};
+    emitter.on('result', function(result) {
+        scanResults.results.push(result);
+    });
+    emitter.on('collection', function(collection) {
+        collection.errors = callReport.errors(collection.collection);
+        scanResults.collections.push(collection);
+    });
+
+    var promise = new Promise(function(resolve, reject) {
+        // The scan starts once the caller had a chance to add listeners
+        setImmediate(function() {
+            try {
+                engine(credentials, settings, function(err, summary) {
+                    if (err) return reject(err);
+                    if (summary) {
+                        scanResults.errors = summary.errors;
+                        scanResults.status = summary.status;
+                    }
+                    resolve(scanResults);
+                });
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+
+    /**
+     * Adds a listener for the "result" or "collection" events of the scan.
+     * @return {Promise} The scan, to chain calls
+     */
+    promise.on = function(event, listener) {
+        emitter.on(event, listener);
+        return promise;
+    };
+
+    return promise;
+};
+
+module.exports = {
+    scan: scan
+};